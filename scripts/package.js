@@ -19,6 +19,7 @@ const outPath  = path.join(root, 'dist', outName);
 const include = [
   'manifest.json',
   'src/',
+  '_locales/',
   'icons/',
   'LICENSE',
   'PRIVACY.md',
@@ -60,6 +61,6 @@ try {
   console.log(`✓ Packaged: dist/${outName}`);
 } catch (err) {
   console.error('Packaging failed:', err.message);
-  console.log('Tip: you can also zip manually — include: manifest.json, src/, icons/, LICENSE, PRIVACY.md');
+  console.log('Tip: you can also zip manually — include: manifest.json, src/, _locales/, icons/, LICENSE, PRIVACY.md');
   process.exit(1);
 }
@@ -0,0 +1,308 @@
+'use strict';
+
+/**
+ * Rating cache — Netflix Ratings Overlay
+ *
+ * IndexedDB-backed store for resolved ratings, the site video ID →
+ * imdbID map and per-season episode ratings. Loaded into the service
+ * worker with importScripts() and exposed as the global `NRO_CACHE`.
+ *
+ *   ratings     { key, entry, cachedAt, lastAccess, imdbID }
+ *               indexed on cachedAt (TTL sweep), lastAccess (LRU), imdbID
+ *   siteIds     { siteId: '<site>:<video id>', imdbID, at }, indexed on imdbID
+ *   seasons     { key: '<imdbID>:<season>', imdbID, season, entry, cachedAt },
+ *               indexed on cachedAt (TTL sweep) — added in version 2
+ *
+ * Earlier versions kept ratings in chrome.storage.local under `rating_`
+ * keys; those are moved over once, the first time the database is opened.
+ */
+
+const NRO_CACHE = (() => {
+
+const DB_NAME        = 'nro-cache';
+const DB_VERSION     = 2;
+const RATINGS        = 'ratings';
+const SITE_IDS       = 'siteIds';
+const SEASONS        = 'seasons';
+const MIGRATED_KEY   = 'cacheMigratedToIdb';
+const LEGACY_RATING_PREFIX = 'rating_';
+const LEGACY_COUNTER_KEY   = '_nro_cacheWriteCount';
+
+/** A hit only rewrites lastAccess when the stored one is older than this. */
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+let dbPromise = null;
+
+// ─── Plumbing ─────────────────────────────────────────────────
+
+function open() {
+  if (!dbPromise) {
+    dbPromise = openDatabase()
+      .then(async db => { await migrateLegacy(db); return db; })
+      .catch(err => { dbPromise = null; throw err; });
+  }
+  return dbPromise;
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+    req.onupgradeneeded = e => {
+      const db = req.result;
+      if (e.oldVersion < 1) {
+        const ratings = db.createObjectStore(RATINGS, { keyPath: 'key' });
+        ratings.createIndex('cachedAt', 'cachedAt');
+        ratings.createIndex('lastAccess', 'lastAccess');
+        ratings.createIndex('imdbID', 'imdbID');
+        db.createObjectStore(SITE_IDS, { keyPath: 'siteId' }).createIndex('imdbID', 'imdbID');
+      }
+      if (e.oldVersion < 2) {
+        const seasons = db.createObjectStore(SEASONS, { keyPath: 'key' });
+        seasons.createIndex('cachedAt', 'cachedAt');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+/**
+ * Run `fn(...stores)` inside one transaction and resolve with its return
+ * value once the transaction has committed.
+ */
+function transact(db, names, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(names, mode);
+    let result;
+    t.oncomplete = () => resolve(result);
+    t.onerror    = () => reject(t.error);
+    t.onabort    = () => reject(t.error || new Error('Cache transaction aborted.'));
+
+    Promise.resolve(fn(...names.map(n => t.objectStore(n)))).then(
+      value => { result = value; },
+      err   => { reject(err); try { t.abort(); } catch { /* already finished */ } },
+    );
+  });
+}
+
+async function tx(names, mode, fn) {
+  return transact(await open(), names, mode, fn);
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+/** Delete what the cursor walks over, stopping after `limit` records. */
+function deleteFromCursor(cursorReq, limit = Infinity) {
+  return new Promise((resolve, reject) => {
+    let deleted = 0;
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor || deleted >= limit) { resolve(deleted); return; }
+      cursor.delete();
+      deleted++;
+      cursor.continue();
+    };
+    cursorReq.onerror = () => reject(cursorReq.error);
+  });
+}
+
+function ratingRecord(key, entry, lastAccess = Date.now()) {
+  const record = { key, entry, cachedAt: entry.cachedAt, lastAccess };
+  if (entry.imdbID) record.imdbID = entry.imdbID; // unresolved titles stay out of the index
+  return record;
+}
+
+// ─── One-time migration from chrome.storage.local ─────────────
+
+async function migrateLegacy(db) {
+  if ((await chrome.storage.local.get(MIGRATED_KEY))[MIGRATED_KEY]) return;
+
+  const all = await chrome.storage.local.get(null);
+  const legacyKeys = [LEGACY_COUNTER_KEY];
+
+  await transact(db, [RATINGS], 'readwrite', ratings => {
+    for (const [key, value] of Object.entries(all)) {
+      if (!key.startsWith(LEGACY_RATING_PREFIX)) continue;
+      legacyKeys.push(key);
+      if (Number.isFinite(value?.cachedAt)) {
+        // No access history yet — age is the best LRU guess
+        ratings.put(ratingRecord(key.slice(LEGACY_RATING_PREFIX.length), value, value.cachedAt));
+      }
+    }
+  });
+
+  await chrome.storage.local.remove(legacyKeys);
+  await chrome.storage.local.set({ [MIGRATED_KEY]: true });
+}
+
+// ─── Ratings ──────────────────────────────────────────────────
+
+/**
+ * Cached entry for `key`, or null when missing or older than `ttlMs`.
+ * Read-only unless the entry has expired or its lastAccess is stale.
+ */
+async function get(key, ttlMs) {
+  const record = await tx([RATINGS], 'readonly', store => request(store.get(key)));
+  if (!record) return null;
+
+  const now     = Date.now();
+  const expired = now - record.cachedAt > ttlMs;
+  if (expired || now - record.lastAccess > TOUCH_INTERVAL_MS) {
+    await tx([RATINGS], 'readwrite', async store => {
+      // A put since the read is newer than what we saw: leave it alone
+      const current = await request(store.get(key));
+      if (current?.cachedAt !== record.cachedAt) return;
+      if (expired) store.delete(key);
+      else store.put({ ...current, lastAccess: now });
+    });
+  }
+  return expired ? null : record.entry;
+}
+
+function put(key, entry) {
+  return tx([RATINGS], 'readwrite', store => { store.put(ratingRecord(key, entry)); });
+}
+
+function remove(keys) {
+  return tx([RATINGS], 'readwrite', store => {
+    for (const key of [].concat(keys)) store.delete(key);
+  });
+}
+
+/** The entry for `key` whatever its age, without counting as an access. */
+function peek(key) {
+  return tx([RATINGS], 'readonly', async store => (await request(store.get(key)))?.entry || null);
+}
+
+/** Every record, expired or not: [{ key, entry, cachedAt, lastAccess }]. */
+function list() {
+  return tx([RATINGS], 'readonly', async store =>
+    (await request(store.getAll())).map(({ key, entry, cachedAt, lastAccess }) => ({ key, entry, cachedAt, lastAccess })));
+}
+
+/**
+ * Drop entries (and seasons) older than `ttlMs`, then the least recently
+ * used ratings until at most `maxSize` remain. Every walk uses an index,
+ * so the cost is proportional to what gets removed, not to the cache size.
+ */
+function evict({ ttlMs, maxSize }) {
+  return tx([RATINGS, SEASONS], 'readwrite', async (store, seasons) => {
+    const expired = IDBKeyRange.upperBound(Date.now() - ttlMs, true);
+    await deleteFromCursor(seasons.index('cachedAt').openCursor(expired));
+    let removed = await deleteFromCursor(store.index('cachedAt').openCursor(expired));
+
+    const over = (await request(store.count())) - maxSize;
+    if (over > 0) removed += await deleteFromCursor(store.index('lastAccess').openCursor(), over);
+    return removed;
+  });
+}
+
+/** { key: entry } for every entry cached at or after `since`. */
+function exportRatings(since = 0) {
+  return tx([RATINGS], 'readonly', async store => {
+    const records = await request(store.index('cachedAt').getAll(IDBKeyRange.lowerBound(since)));
+    return Object.fromEntries(records.map(r => [r.key, r.entry]));
+  });
+}
+
+/** Write each entry unless the cache already holds one at least as new. */
+function mergeRatings(entries) {
+  return tx([RATINGS], 'readwrite', async store => {
+    let written = 0, skipped = 0;
+    for (const [key, entry] of Object.entries(entries)) {
+      const existing = await request(store.get(key));
+      if (existing && existing.cachedAt >= entry.cachedAt) { skipped++; continue; }
+      store.put(ratingRecord(key, entry));
+      written++;
+    }
+    return { written, skipped };
+  });
+}
+
+// ─── Site video ID → imdbID ──────────────────────────────────
+
+function getSiteId(siteId) {
+  return tx([SITE_IDS], 'readonly', async store =>
+    (await request(store.get(siteId)))?.imdbID || null);
+}
+
+function setSiteId(siteId, imdbID, at = Date.now()) {
+  return tx([SITE_IDS], 'readwrite', store => { store.put({ siteId, imdbID, at }); });
+}
+
+function removeSiteId(siteId) {
+  return tx([SITE_IDS], 'readwrite', store => { store.delete(siteId); });
+}
+
+/** { siteId: { imdbID, at } } for every mapping. */
+function exportSiteIds() {
+  return tx([SITE_IDS], 'readonly', async store => {
+    const records = await request(store.getAll());
+    return Object.fromEntries(records.map(r => [r.siteId, { imdbID: r.imdbID, at: r.at }]));
+  });
+}
+
+function mergeSiteIds(mappings) {
+  return tx([SITE_IDS], 'readwrite', async store => {
+    let written = 0, skipped = 0;
+    for (const [siteId, { imdbID, at }] of Object.entries(mappings)) {
+      const existing = await request(store.get(siteId));
+      if (existing && existing.at >= at) { skipped++; continue; }
+      store.put({ siteId, imdbID, at });
+      written++;
+    }
+    return { written, skipped };
+  });
+}
+
+// ─── Episode ratings, one record per season ───────────────────
+
+function seasonKey(imdbID, season) { return `${imdbID}:${season}`; }
+
+/** The cached season, with its `cachedAt`, whatever its age; null if none. */
+function getSeason(imdbID, season) {
+  return tx([SEASONS], 'readonly', async store => {
+    const record = await request(store.get(seasonKey(imdbID, season)));
+    return record ? { ...record.entry, cachedAt: record.cachedAt } : null;
+  });
+}
+
+function putSeason(imdbID, season, entry, cachedAt = Date.now()) {
+  return tx([SEASONS], 'readwrite', store => {
+    store.put({ key: seasonKey(imdbID, season), imdbID, season, entry, cachedAt });
+  });
+}
+
+// ─── Whole-cache operations ───────────────────────────────────
+
+function stats() {
+  return tx([RATINGS, SITE_IDS], 'readonly', async (ratings, ids) => ({
+    ratings: await request(ratings.count()),
+    siteIds: await request(ids.count()),
+  }));
+}
+
+/** Empty every store; resolves with how many ratings and mappings were removed. */
+async function clear() {
+  const before = await stats();
+  await tx([RATINGS, SITE_IDS, SEASONS], 'readwrite', (ratings, ids, seasons) => {
+    ratings.clear();
+    ids.clear();
+    seasons.clear();
+  });
+  return before;
+}
+
+return {
+  get, peek, put, remove, list, evict, exportRatings, mergeRatings,
+  getSiteId, setSiteId, removeSiteId, exportSiteIds, mergeSiteIds,
+  getSeason, putSeason, stats, clear,
+};
+
+})();
@@ -4,75 +4,867 @@
  * Service Worker — Netflix Ratings Overlay
  *
  * Responsibilities:
- *  1. Listen for FETCH_RATING messages from the content script.
- *  2. Check the local rating cache (chrome.storage.local).
- *  3. Query OMDb API when cache misses, using smart search + scoring.
- *  4. Cache results for 7 days; prune old / over-limit entries.
- *  5. Track daily API usage to respect the free-tier limit.
+ *  1. Listen for FETCH_RATING (hover) and FETCH_RATINGS_BATCH (prefetch)
+ *     messages from the content script; hover lookups always run first,
+ *     and each prefetched title is sent back as soon as it resolves.
+ *  2. Apply user match overrides (site title → imdbID), then check
+ *     the local rating cache (IndexedDB, see rating-cache.js). Lookups carrying a
+ *     site video ID (`siteId`, '<site>:<video id>') are keyed on it, and a
+ *     persistent site-ID → imdbID map lets every surface share one resolution. Concurrent
+ *     lookups for the same title share one pending promise.
+ *  3. Query every configured ratings provider (OMDb, TMDb) when the cache
+ *     misses, using smart search + scoring, and merge their fields.
+ *  4. Cache results (7 days by default); evict expired, then least
+ *     recently used entries beyond the size limit.
+ *  5. Track daily API usage per provider (and per OMDb key, rotating to
+ *     the next key when one runs out) to respect free-tier limits. Days
+ *     follow the quota reset time zone (UTC by default), and a 30-day
+ *     history of calls and cache hits / misses feeds the popup chart.
+ *  6. Export / import the cache, overrides and site-ID map as JSON.
+ *  7. List, refresh and delete single cache entries for the cache
+ *     browser page (src/cache-browser/).
+ *  8. Fetch a series' episode ratings one season at a time (OMDb
+ *     `Season=`) for the preview modal's episode list.
+ *  9. In debug mode, keep a trace of the last lookups — extraction,
+ *     search strategy, scored candidates, calls spent — for the options
+ *     page.
  *
- * All state is in chrome.storage.local — the service worker is ephemeral.
+ * Ratings and the site-ID map live in IndexedDB; everything else is in
+ * chrome.storage.local — the service worker is ephemeral. User-tunable
+ * values come from the shared settings schema.
  */
 
+importScripts('../shared/i18n.js', '../shared/settings.js', '../shared/marks.js', 'rating-cache.js');
+
 // ─── Constants (duplicated from src/constants/config.js — no ES imports in SW) ─
 
-const CACHE_TTL_MS       = 7 * 24 * 60 * 60 * 1000; // 7 days
-const MAX_CACHE_SIZE     = 1000;
-const PRUNE_INTERVAL     = 50;
+const HOUR_MS            = 60 * 60 * 1000;
+const DAY_MS             = 24 * HOUR_MS;
 const API_DAILY_LIMIT    = 1000;
-const API_WARN_THRESHOLD = 900;
 const FETCH_TIMEOUT_MS   = 8000;
-const CACHE_KEY_PREFIX   = 'rating_';
-const PRUNE_COUNTER_KEY  = '_nro_cacheWriteCount';
+const RETRY_ATTEMPTS     = 3;    // first try + 2 retries, transient errors only
+const RETRY_BASE_MS      = 500;  // backoff: 500 ms, 1 s (+ up to 25 % jitter)
+const TMDB_API_BASE      = 'https://api.themoviedb.org/3';
+const CONFIDENT_SIMILARITY   = 0.9; // titleSimilarity() of a match the next provider takes on trust
+const PREFETCH_MAX_BATCH     = 40;  // items accepted per FETCH_RATINGS_BATCH
+const PREFETCH_MAX_QUEUE     = 120; // oldest queued items are dropped beyond this
+const OVERRIDES_KEY          = 'matchOverrides';
+const KEY_USAGE_KEY          = 'omdbKeyUsage';
+const USAGE_HISTORY_KEY      = 'usageHistory';
+const USAGE_HISTORY_DAYS     = 30;
+const LAST_LOOKUP_KEY        = 'lastLookup';
+const IMDB_ID_PATTERN        = /^tt\d{7,10}$/;
+const TOP_CAST               = 3;   // actors kept for the detail panel
+const EXPORT_FORMAT          = 'netflix-ratings-overlay/cache';
+const EXPORT_VERSION         = 1;
+const TRACE_KEY              = 'lookupTrace';
+const TRACE_MAX              = 100; // lookups kept while debug mode is on
 
 // ─── Message listener ─────────────────────────────────────────
 
-chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
-  if (request.type !== 'FETCH_RATING') return false;
-
-  handleFetchRating(request)
+const MESSAGE_HANDLERS = {
+  FETCH_RATING:        handleForegroundFetch,
+  FETCH_RATINGS_BATCH: handleFetchBatch,
+  SET_MATCH_OVERRIDE:    handleSetOverride,
+  REMOVE_MATCH_OVERRIDE: handleRemoveOverride,
+  LIST_MATCH_OVERRIDES:  handleListOverrides,
+  EXPORT_CACHE:          handleExportCache,
+  IMPORT_CACHE:          handleImportCache,
+  LIST_CACHE:            handleListCache,
+  REFRESH_CACHE_ENTRY:   handleRefreshCacheEntry,
+  DELETE_CACHE_ENTRY:    handleDeleteCacheEntry,
+  FETCH_EPISODES:        handleFetchEpisodes,
+  SET_MARK:              handleSetMark,
+  CLEAR_MARK:            handleClearMark,
+  GET_LOOKUP_TRACE:      handleGetTrace,
+  CLEAR_LOOKUP_TRACE:    handleClearTrace,
+  GET_CACHE_STATS:       handleCacheStats,
+  CLEAR_CACHE:           handleClearCache,
+  GET_KEY_STATUS:        handleKeyStatus,
+  GET_USAGE:             handleUsage,
+  OPEN_POPUP:            handleOpenPopup,
+};
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  const handler = MESSAGE_HANDLERS[request.type];
+  if (!handler) return false;
+
+  handler(request, sender)
     .then(sendResponse)
-    .catch(err => sendResponse({ error: err.message || 'Unknown error' }));
+    .catch(async err => sendResponse(await errorResult(err)));
 
   return true; // keep message channel open for async response
 });
 
 // ─── Top-level handler ────────────────────────────────────────
 
-async function handleFetchRating({ title, year, mediaType }) {
-  const keyTitle = title.toLowerCase().substring(0, 100);
-  const cacheKey = `${CACHE_KEY_PREFIX}${keyTitle}_${year || ''}_${mediaType || 'any'}`;
+/**
+ * Resolve one title, sharing the work with any lookup for the same cache
+ * key that is already in flight (see SINGLE-FLIGHT below).
+ *
+ * `usage` is only passed by the prefetch queue: it marks the lookup as
+ * background work (subject to the prefetch budget) and collects the
+ * metered API calls the lookup spent. A lookup that joins another one
+ * spends nothing.
+ */
+async function handleFetchRating(request, usage = null) {
+  const rating = await singleFlight(lookupKey(request), () => resolveRating(request, usage));
 
-  // 1. Cache hit?
-  const cached = await getCached(cacheKey);
-  if (cached) return cached;
+  // A hover that joined a prefetch the budget turned away still gets an answer
+  if (rating?.deferred && !usage?.background) return handleFetchRating(request, usage);
+  return rating;
+}
 
-  // 2. API key configured?
-  const apiKey = (await chrome.storage.local.get('apiKey')).apiKey;
-  if (!apiKey) {
-    return { error: 'API key not configured. Click the extension icon to add your OMDb API key.' };
+/** One lookup, traced when debug mode is on (see LOOKUP TRACE below). */
+async function resolveRating(request, usage) {
+  if (!(await getSettings()).debugMode) return lookUpRating(request, usage, null);
+
+  const trace  = startTrace(request);
+  const rating = await lookUpRating(request, usage, trace);
+  await recordTrace(trace, rating);
+  return rating;
+}
+
+/** override → cache → providers → cache write. */
+async function lookUpRating(request, usage, trace) {
+  const { title, year, mediaType, siteId } = request;
+  const cacheKey = lookupKey(request);
+  const asked    = lookupQuery(request);
+
+  // 1. User override? It pins the imdbID, so the cache only counts if it agrees.
+  const override = await getOverride(cacheKey)
+    || (siteId ? await getOverride(titleKey(request)) : null);
+  if (trace) trace.override = override?.imdbID || null;
+
+  // 2. Cache hit? A title resolved before its video ID was known still counts.
+  let cached = await getCached(cacheKey);
+  if (!cached && siteId) {
+    cached = await getCached(titleKey(request));
+    if (cached?.imdbID && !override) await rememberSiteId(siteId, cached.imdbID);
+  }
+  if (cached && (!override || cached.imdbID === override.imdbID)) {
+    if (trace) trace.source = 'cache';
+    await recordUsage('hits');
+    return cached;
   }
 
-  // 3. Under daily limit?
-  if (await getApiCallCount() >= API_DAILY_LIMIT) {
-    return { error: 'Daily API limit reached (1,000 requests). Ratings will resume tomorrow.' };
+  // 3. Any provider key configured?
+  const configured = await configuredProviders();
+  if (!configured.length) {
+    return errorResult(new LookupError(ERROR_CODES.NO_KEY, NRO_I18N.msg('errorNoKey')));
   }
 
-  // 4. Query OMDb
-  try {
-    const result = await queryOMDb(apiKey, title, year, mediaType);
+  // 4. Under daily limit? (providers that are over it sit this lookup out)
+  const available = [];
+  for (const ctx of configured) {
+    if (!await isOverLimit(ctx)) available.push(ctx);
+  }
+  if (!available.length) {
+    return errorResult(new LookupError(ERROR_CODES.QUOTA, NRO_I18N.msg('errorQuota')));
+  }
+  if (trace) traceProviders(trace, available);
+
+  // 5. Prefetch stays inside its share of the daily budget
+  if (usage?.background && !await prefetchBudgetLeft()) {
+    return { deferred: true };
+  }
 
-    if (result) {
-      return await processAndCache(cacheKey, result);
+  // 6. Query providers — by imdbID when the user pinned one or another
+  //    surface already resolved this video ID (one `i=` call, no search)
+  const knownID = override?.imdbID || (siteId ? await NRO_CACHE.getSiteId(siteId) : null);
+  const query   = knownID ? { title, year, mediaType, imdbID: knownID } : { title, year, mediaType };
+  if (trace) Object.assign(trace, { source: 'providers', knownID });
+  try {
+    const pending = knownID
+      ? singleFlight(knownID, () => queryProviders(available, query))
+      : queryProviders(available, query);
+    const fields = await pending
+      .finally(() => { if (usage) usage.calls += meteredCalls(available); });
+
+    if (fields) {
+      if (siteId && fields.imdbID) await rememberSiteId(siteId, fields.imdbID);
+      return await processAndCache(cacheKey, fields, asked);
     }
 
-    // Cache the miss so we don't keep retrying
-    const miss = { notFound: true, title, cachedAt: Date.now() };
+    // Cache the miss so we don't keep retrying (for notFoundTtlHours)
+    const miss = missEntry(title, asked);
     await writeCache(cacheKey, miss);
     return miss;
   } catch (err) {
-    console.error('[NRO] OMDb error:', err);
-    return { error: err.message || 'Failed to fetch rating.' };
+    console.error('[NRO] provider error:', err);
+    return errorResult(err);
+  } finally {
+    await recordUsage('misses');
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SINGLE-FLIGHT — concurrent lookups for one title share one chain
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Pending lookups, keyed on the cache key (the site ID or the title key) and,
+ * for the provider query alone, on the imdbID being fetched — so a card
+ * and the billboard resolving the same show spend one set of calls.
+ *
+ * A flight is registered synchronously, before its first await, and only
+ * lands once its result is cached: a duplicate that arrives while the
+ * first lookup is parked on the quota counter lock or an IndexedDB write
+ * still finds it.
+ */
+const inFlight = new Map(); // flight key → Promise
+
+function singleFlight(key, fn) {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const flight = fn();
+  inFlight.set(key, flight);
+  const land = () => { if (inFlight.get(key) === flight) inFlight.delete(key); };
+  flight.then(land, land);
+  return flight;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PREFETCH QUEUE — hover lookups always jump ahead
+// ═══════════════════════════════════════════════════════════════
+
+let foregroundCount = 0;       // hover lookups in flight
+let foregroundWaiters = [];    // resolvers waiting for foregroundCount → 0
+const prefetchQueue = [];      // { request, resolve }
+let prefetchRunning = false;
+
+async function handleForegroundFetch(request) {
+  foregroundCount++;
+  try {
+    const rating = await handleFetchRating(request);
+    await recordLastLookup(request, rating);
+    return rating;
+  } finally {
+    if (--foregroundCount === 0) foregroundWaiters.splice(0).forEach(r => r());
+  }
+}
+
+function foregroundIdle() {
+  if (foregroundCount === 0) return Promise.resolve();
+  return new Promise(r => foregroundWaiters.push(r));
+}
+
+/**
+ * Queue a batch of titles for background resolution. Answers right away
+ * with how many were queued; each item's result then goes back to the
+ * sending frame on its own as a PREFETCH_RESULT { batch, index, rating }
+ * as soon as the queue gets to it, so one slow title doesn't hold up the
+ * rest. Budget-blocked, dropped and over-the-limit items come back as
+ * { deferred } for the page to ask again later.
+ */
+async function handleFetchBatch({ items, batch }, sender) {
+  if (!Array.isArray(items)) return { queued: 0 };
+
+  const reply = index => rating => {
+    if (!sender?.tab?.id) return;
+    const message = { type: 'PREFETCH_RESULT', batch, index, rating };
+    chrome.tabs.sendMessage(sender.tab.id, message, { frameId: sender.frameId ?? 0 }).catch(() => {});
+  };
+
+  items.forEach((request, index) => {
+    if (index < PREFETCH_MAX_BATCH) prefetchQueue.push({ request, resolve: reply(index) });
+    else reply(index)({ deferred: true });
+  });
+  while (prefetchQueue.length > PREFETCH_MAX_QUEUE) {
+    prefetchQueue.shift().resolve({ deferred: true });
+  }
+
+  runPrefetchQueue();
+  return { queued: Math.min(items.length, PREFETCH_MAX_BATCH) };
+}
+
+async function runPrefetchQueue() {
+  if (prefetchRunning) return;
+  prefetchRunning = true;
+
+  try {
+    while (prefetchQueue.length) {
+      await foregroundIdle();
+      const job = prefetchQueue.shift();
+      if (!job) break;
+
+      const usage = { background: true, calls: 0 };
+      try {
+        job.resolve(await handleFetchRating(job.request, usage));
+      } catch (err) {
+        job.resolve({ error: err.message || NRO_I18N.msg('errorPrefetchFailed') });
+      }
+      if (usage.calls) await incrementDailyCounter('prefetch', usage.calls);
+    }
+  } finally {
+    prefetchRunning = false;
+  }
+}
+
+/** Has prefetch spent less than its user-set share of today's budget? */
+async function prefetchBudgetLeft() {
+  const { prefetchShare, apiKeys } = await getSettings();
+  const budget = API_DAILY_LIMIT * Math.max(1, apiKeys.length);
+  return (await readDailyCounter('prefetch')) < Math.floor(budget * prefetchShare / 100);
+}
+
+/** API calls spent by metered providers (the ones with a daily limit). */
+function meteredCalls(contexts) {
+  return contexts
+    .filter(ctx => Number.isFinite(ctx.provider.dailyLimit))
+    .reduce((sum, ctx) => sum + ctx.calls, 0);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MATCH OVERRIDES — user-pinned imdbIDs for titles the matcher got wrong
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Cache key without the prefix; overrides are stored under the same key.
+ * The site's video ID wins over the title so every surface agrees.
+ */
+function lookupKey(request) {
+  return request.siteId || titleKey(request);
+}
+
+function titleKey({ title, year, mediaType }) {
+  const keyTitle = title.toLowerCase().substring(0, 100);
+  return `${keyTitle}_${year || ''}_${mediaType || 'any'}`;
+}
+
+/** What the page asked for, as stored with overrides and cache entries. */
+function lookupQuery({ title, year, mediaType, siteId }) {
+  return { title, year: year || null, mediaType: mediaType || null, siteId: siteId || null };
+}
+
+async function rememberSiteId(siteId, imdbID) {
+  await NRO_CACHE.setSiteId(siteId, imdbID);
+}
+
+async function getOverride(key) {
+  return (await readOverrides())[key] || null;
+}
+
+/** Every override, by lookup key. */
+async function readOverrides() {
+  const { [OVERRIDES_KEY]: overrides = {} } = await chrome.storage.local.get(OVERRIDES_KEY);
+  return overrides;
+}
+
+/** The popup's "Wrong match?" section offers to fix the last hovered title. */
+async function recordLastLookup({ title, year, mediaType, siteId }, rating) {
+  if (!title || rating?.error) return;
+  await chrome.storage.local.set({
+    [LAST_LOOKUP_KEY]: {
+      key:   lookupKey({ title, year, mediaType, siteId }),
+      query: lookupQuery({ title, year, mediaType, siteId }),
+      match: rating.notFound ? null : { title: rating.title, year: rating.year, imdbID: rating.imdbID },
+      at:    Date.now(),
+    },
+  });
+}
+
+/** Pin `query` to `imdbID`, drop the stale cache entry, and re-resolve. */
+async function handleSetOverride({ query, imdbID }) {
+  if (!query?.title || !IMDB_ID_PATTERN.test(imdbID || '')) {
+    return { error: NRO_I18N.msg('errorBadImdbId') };
+  }
+
+  const key = lookupKey(query);
+  const overrides = await readOverrides();
+  overrides[key] = {
+    imdbID,
+    query:     lookupQuery(query),
+    createdAt: Date.now(),
+  };
+  await chrome.storage.local.set({ [OVERRIDES_KEY]: overrides });
+  await NRO_CACHE.remove(key);
+  if (query.siteId) await rememberSiteId(query.siteId, imdbID);
+  inFlight.delete(key); // a lookup started before the pin must not answer for it
+
+  return handleForegroundFetch(overrides[key].query);
+}
+
+async function handleRemoveOverride({ key }) {
+  const overrides = await readOverrides();
+  if (!overrides[key]) return { removed: false };
+
+  const { siteId } = overrides[key].query;
+  delete overrides[key];
+  await chrome.storage.local.set({ [OVERRIDES_KEY]: overrides });
+
+  // Forget the pinned answer too, so the next hover re-runs the matcher
+  await NRO_CACHE.remove(key);
+  if (siteId) await NRO_CACHE.removeSiteId(siteId);
+  return { removed: true };
+}
+
+async function handleListOverrides() {
+  const overrides = await readOverrides();
+  return {
+    overrides: Object.entries(overrides)
+      .map(([key, o]) => ({ key, ...o }))
+      .sort((a, b) => b.createdAt - a.createdAt),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CACHE EXPORT / IMPORT — move a warm cache between profiles
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Export file layout (version 1):
+ *   { format, version, exportedAt,
+ *     ratings:   { <lookup key>: <cache entry> },
+ *     overrides: { <lookup key>: <override> },
+ *     siteIds:   { <site>:<video id>: { imdbID, at } } }
+ * The layout is independent of where this version keeps each piece, so
+ * files from before the IndexedDB move still import.
+ */
+async function handleExportCache() {
+  const oldest = Date.now() - (await getSettings()).cacheTtlDays * DAY_MS;
+  const overrides = await readOverrides();
+
+  return {
+    data: {
+      format:     EXPORT_FORMAT,
+      version:    EXPORT_VERSION,
+      exportedAt: Date.now(),
+      ratings:    await NRO_CACHE.exportRatings(oldest),
+      overrides,
+      siteIds:    await NRO_CACHE.exportSiteIds(),
+    },
+  };
+}
+
+/**
+ * Merge an export into this profile. On a key present on both sides the
+ * newer entry wins (ratings by `cachedAt`, overrides by `createdAt`,
+ * site-ID mappings by `at`); expired or malformed entries are skipped.
+ */
+async function handleImportCache({ data }) {
+  if (data?.format !== EXPORT_FORMAT || !Number.isInteger(data.version)) {
+    return { error: NRO_I18N.msg('errorNotAnExport') };
+  }
+  if (data.version > EXPORT_VERSION) {
+    return { error: NRO_I18N.msg('errorNewerExport') };
+  }
+
+  const now    = Date.now();
+  const oldest = now - (await getSettings()).cacheTtlDays * DAY_MS;
+  const result = { ratings: 0, overrides: 0, siteIds: 0, skipped: 0 };
+
+  const isFresh = t => Number.isFinite(t) && t >= oldest && t <= now;
+  const isStamp = t => Number.isFinite(t) && t <= now;
+
+  const ratings = {};
+  for (const [key, entry] of Object.entries(asRecord(data.ratings))) {
+    if (isFresh(entry?.cachedAt)) ratings[key] = entry;
+    else result.skipped++;
+  }
+
+  const siteIds = {};
+  for (const [siteId, mapping] of Object.entries(asRecord(data.siteIds))) {
+    if (IMDB_ID_PATTERN.test(mapping?.imdbID || '') && isStamp(mapping.at)) {
+      siteIds[siteId] = { imdbID: mapping.imdbID, at: mapping.at };
+    } else {
+      result.skipped++;
+    }
+  }
+
+  const overrides = { ...await readOverrides() };
+  for (const [key, o] of Object.entries(asRecord(data.overrides))) {
+    if (!IMDB_ID_PATTERN.test(o?.imdbID || '') || !o.query?.title || !isStamp(o.createdAt)
+        || overrides[key]?.createdAt >= o.createdAt) {
+      result.skipped++;
+      continue;
+    }
+    overrides[key] = o;
+    result.overrides++;
+  }
+  if (result.overrides) await chrome.storage.local.set({ [OVERRIDES_KEY]: overrides });
+
+  const mergedRatings = await NRO_CACHE.mergeRatings(ratings);
+  const mergedIds     = await NRO_CACHE.mergeSiteIds(siteIds);
+  result.ratings = mergedRatings.written;
+  result.siteIds = mergedIds.written;
+  result.skipped   += mergedRatings.skipped + mergedIds.skipped;
+
+  if (result.ratings) await pruneCache();
+  return result;
+}
+
+function asRecord(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CACHE BROWSER — one row per cached lookup (src/cache-browser/)
+// ═══════════════════════════════════════════════════════════════
+
+// `<title>_<year>_<type>` as written by titleKey(); anything else is a site ID
+const TITLE_KEY_PATTERN = /^(.*)_(\d{4})?_(movie|series|any)$/;
+
+/**
+ * The query a cache entry answered. Entries written since the cache
+ * browser remember it; for older ones it is read back out of the key,
+ * which keeps the title lowercased (or, for a video ID key, has none).
+ */
+function entryQuery(key, entry) {
+  if (entry?.query?.title) return entry.query;
+
+  const m = TITLE_KEY_PATTERN.exec(key);
+  if (m) return lookupQuery({ title: m[1], year: m[2], mediaType: m[3] === 'any' ? null : m[3] });
+  return lookupQuery({ title: entry?.title || '', siteId: key });
+}
+
+/** Every entry with its query and whether a match override pins it. */
+async function handleListCache() {
+  const overrides = await readOverrides();
+  const records = await NRO_CACHE.list();
+  return {
+    entries: records.map(({ key, entry, cachedAt, lastAccess }) => ({
+      key, entry, cachedAt, lastAccess,
+      query:  entryQuery(key, entry),
+      pinned: !!overrides[key],
+    })),
+  };
+}
+
+/**
+ * Look the entry's query up again, skipping the cached answer. A pinned
+ * imdbID or remembered video ID still holds — that is re-matching, which
+ * goes through SET_MATCH_OVERRIDE. Not a hover, so the popup's "Wrong
+ * match?" section keeps offering the last title actually looked at.
+ */
+async function handleRefreshCacheEntry({ key }) {
+  const entry = await NRO_CACHE.peek(key);
+  const query = entry && entryQuery(key, entry);
+  if (!query?.title) return { error: NRO_I18N.msg('errorNotCached') };
+
+  const keys = answeringKeys(key, query);
+  await NRO_CACHE.remove(keys);
+  for (const k of keys) inFlight.delete(k);
+  return handleFetchRating(query);
+}
+
+/** Forget the answer and the video ID's imdbID, so the next hover re-runs the matcher. */
+async function handleDeleteCacheEntry({ key }) {
+  const query = entryQuery(key, await NRO_CACHE.peek(key));
+  await NRO_CACHE.remove(answeringKeys(key, query));
+  if (query.siteId) await NRO_CACHE.removeSiteId(query.siteId);
+  return { removed: true };
+}
+
+/**
+ * The entry's key and, for a video ID row, the title key a lookup falls
+ * back to when that row is gone (lookUpRating step 2) — left behind, it
+ * would answer for the row instead of the providers.
+ */
+function answeringKeys(key, query) {
+  return query.siteId && query.title ? [key, titleKey(query)] : [key];
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MARKS — every tab's seen / watchlist changes, one at a time
+// ═══════════════════════════════════════════════════════════════
+
+// Each change rewrites the whole store (src/shared/marks.js); made here
+// in turn, two tabs marking at once can't write over each other.
+const queueMarkWrite = writeQueue();
+
+async function handleSetMark({ imdbID, list, title, year, videoId }) {
+  const mark = await queueMarkWrite(() => NRO_MARKS.commitSet(imdbID, list, { title, year, videoId }));
+  return { mark };
+}
+
+async function handleClearMark({ imdbID }) {
+  await queueMarkWrite(() => NRO_MARKS.commitClear(imdbID));
+  return { cleared: true };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EPISODE RATINGS — OMDb `Season=` on a series' imdbID
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * One season's episodes:
+ *   { season, totalSeasons, episodes: [{ episode, title, imdbRating, imdbID }] }
+ * cached per season. A season with an episode still unrated (one that
+ * is airing, or just out) is kept only for notFoundTtlHours so the new
+ * ratings turn up; a complete one for the whole cache lifetime. OMDb is
+ * the only provider with per-episode ratings, so this needs an OMDb key.
+ */
+async function handleFetchEpisodes({ imdbID, season }) {
+  if (!IMDB_ID_PATTERN.test(imdbID || '') || !Number.isInteger(season) || season < 1) {
+    return { error: NRO_I18N.msg('errorEpisodeArgs') };
+  }
+  return singleFlight(`season:${imdbID}:${season}`, () => resolveSeason(imdbID, season));
+}
+
+async function resolveSeason(imdbID, season) {
+  const cached = await NRO_CACHE.getSeason(imdbID, season);
+  if (cached && !await isSeasonStale(cached)) return cached;
+
+  const ctx = (await configuredProviders()).find(c => c.provider.id === 'omdb');
+  if (!ctx) {
+    return errorResult(new LookupError(ERROR_CODES.NO_KEY, NRO_I18N.msg('errorEpisodeNoKey')));
+  }
+  if (await isOverLimit(ctx)) {
+    return errorResult(new LookupError(ERROR_CODES.QUOTA, NRO_I18N.msg('errorQuota')));
+  }
+
+  try {
+    const data  = await omdbFetch(ctx, new URLSearchParams({ i: imdbID, Season: String(season) }));
+    const entry = seasonFields(data, season);
+    await NRO_CACHE.putSeason(imdbID, season, entry);
+    return { ...entry, cachedAt: Date.now() };
+  } catch (err) {
+    console.error('[NRO] episode ratings error:', err);
+    return errorResult(err);
+  }
+}
+
+async function isSeasonStale(entry) {
+  const { cacheTtlDays, notFoundTtlHours } = await getSettings();
+  const complete = entry.episodes.length && entry.episodes.every(e => e.imdbRating);
+  const ttl = complete ? cacheTtlDays * DAY_MS : notFoundTtlHours * HOUR_MS;
+  return Date.now() - entry.cachedAt > ttl;
+}
+
+/** OMDb season record → { season, totalSeasons, episodes }; a miss has no episodes. */
+function seasonFields(data, season) {
+  const episodes = data.Response === 'False' || !Array.isArray(data.Episodes) ? [] : data.Episodes;
+  return {
+    season,
+    totalSeasons: parseInt(data.totalSeasons, 10) || null,
+    episodes: episodes
+      .map(e => ({
+        episode:    parseInt(e.Episode, 10),
+        title:      presentValue(e.Title),
+        imdbRating: presentValue(e.imdbRating),
+        imdbID:     presentValue(e.imdbID),
+      }))
+      .filter(e => Number.isInteger(e.episode)),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LOOKUP TRACE — what each lookup did, while debug mode is on
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * With the `debugMode` setting on, resolveRating() records every lookup
+ * it runs and keeps the last TRACE_MAX under TRACE_KEY, for the options
+ * page to show and copy into a bug report. A trace is:
+ *
+ *   at        — when the lookup ran
+ *   query     — what the content script extracted, with `strategy`, the
+ *               extraction strategy that found the title
+ *   key       — the cache key looked up
+ *   override  — imdbID pinned by a match correction, if any
+ *   source    — 'cache', or 'providers' (with `knownID` when the search
+ *               was skipped for an imdbID already known)
+ *   providers — per provider asked: the search strategy, every request
+ *               and a summary of its answer, the candidates pickBest()
+ *               scored, and the calls spent
+ *   outcome   — 'found', 'notFound', 'deferred' or the error code
+ *   imdbID / calls — where the lookup landed, and the API calls it spent
+ *
+ * The providers fill in their part through `ctx.trace`.
+ */
+
+function startTrace(request) {
+  return {
+    at:        Date.now(),
+    query:     { ...lookupQuery(request), strategy: request.strategy || null },
+    key:       lookupKey(request),
+    override:  null,
+    source:    null,
+    knownID:   null,
+    providers: [],
+  };
+}
+
+function traceProviders(trace, contexts) {
+  for (const ctx of contexts) {
+    ctx.trace = { provider: ctx.provider.label, search: null, requests: [], candidates: [], calls: 0 };
+    trace.providers.push(ctx.trace);
+  }
+}
+
+/** The strategy a provider started with; the ones it falls back on show in its requests. */
+function traceSearch(ctx, strategy) {
+  if (ctx.trace) ctx.trace.search ??= strategy;
+}
+
+/** One request, without its API key, and what came back. */
+function traceRequest(ctx, path, params, data) {
+  if (!ctx.trace) return;
+  const shown = new URLSearchParams(params);
+  shown.delete('apikey');
+  shown.delete('api_key');
+  ctx.trace.requests.push({ request: `${path}?${shown}`, answer: traceAnswer(data) });
+}
+
+function traceAnswer(data) {
+  if (data.Response === 'False') return data.Error || 'no match';
+
+  const hits = data.Search || data.results
+    || (data.movie_results && [...data.movie_results, ...(data.tv_results || [])]);
+  if (hits) return `${hits.length} results`;
+
+  const title  = data.Title || data.title || data.name;
+  const imdbID = data.imdbID || data.external_ids?.imdb_id;
+  return title ? [title, data.Year, imdbID].filter(Boolean).join(' · ') : 'no match';
+}
+
+/** The candidates pickBest() is about to choose between, with its scores. */
+function traceCandidates(ctx, queryTitle, queryYear, candidates) {
+  if (!ctx.trace) return;
+  for (const c of candidates) {
+    ctx.trace.candidates.push({
+      title:  c.Title,
+      year:   c.Year || null,
+      type:   c.Type || null,
+      imdbID: c.imdbID || null,
+      score:  Math.round(scoreCandidate(queryTitle, queryYear, c) * 10) / 10,
+    });
+  }
+}
+
+function recordTrace(trace, rating) {
+  trace.outcome = rating.error ? rating.code : rating.deferred ? 'deferred' : rating.notFound ? 'notFound' : 'found';
+  trace.imdbID  = rating.imdbID || null;
+  trace.calls   = trace.providers.reduce((sum, p) => sum + p.calls, 0);
+
+  return queueTraceWrite(async () => {
+    const { [TRACE_KEY]: traces = [] } = await chrome.storage.local.get(TRACE_KEY);
+    traces.push(trace);
+    await chrome.storage.local.set({ [TRACE_KEY]: traces.slice(-TRACE_MAX) });
+  });
+}
+
+// Trace writes go one after another so concurrent lookups don't drop
+// each other's traces, without holding up the quota counters' lock.
+const queueTraceWrite = writeQueue();
+
+/** Options page: the recorded lookups, newest last. */
+async function handleGetTrace() {
+  const { [TRACE_KEY]: traces = [] } = await chrome.storage.local.get(TRACE_KEY);
+  return { traces };
+}
+
+async function handleClearTrace() {
+  await queueTraceWrite(() => chrome.storage.local.remove(TRACE_KEY));
+  return { cleared: true };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RATINGS PROVIDERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * A provider resolves a Netflix title to one upstream record and maps
+ * that record onto cache-entry fields:
+ *
+ *   id / label      — registry key and name used in logs
+ *   keyStorageKey   — setting holding its API key (or list of keys)
+ *   perKey          — the limit applies to each key, which rotate
+ *   counterPrefix   — storage prefix for its daily call counter
+ *   dailyLimit      — free-tier calls per day (Infinity = unmetered)
+ *   search(ctx, q)  — best raw record for { title, year, mediaType }
+ *   details(ctx, id)— raw record by imdbID
+ *   toFields(rec)   — normalised fields ({ imdbRating, tmdbRating, … })
+ *
+ * `ctx` is created per lookup: { provider, apiKeys, apiKey, calls, trace },
+ * where `apiKey` is the key in use, `calls` counts the API requests that
+ * lookup has spent and `trace` is the provider's part of the lookup trace
+ * (null unless debug mode is on, see LOOKUP TRACE).
+ */
+const PROVIDERS = {
+  omdb: {
+    id: 'omdb',
+    label: 'OMDb',
+    keyStorageKey: 'apiKeys',
+    perKey: true,
+    counterPrefix: 'api',
+    dailyLimit: API_DAILY_LIMIT,
+    search: (ctx, q) => queryOMDb(ctx, q.title, q.year, q.mediaType),
+    details: (ctx, imdbID) => omdbDetails(ctx, imdbID),
+    toFields: omdbFields,
+  },
+
+  tmdb: {
+    id: 'tmdb',
+    label: 'TMDb',
+    keyStorageKey: 'tmdbApiKey',
+    counterPrefix: 'tmdb',
+    dailyLimit: Infinity,
+    search: (ctx, q) => tmdbSearch(ctx, q.title, q.year, q.mediaType),
+    details: (ctx, imdbID) => tmdbFind(ctx, imdbID),
+    toFields: tmdbFields,
+  },
+};
+
+/**
+ * Providers are queried in this order. TMDb goes first: it is unmetered
+ * and returns the imdbID, which turns the OMDb lookup into a single
+ * `i=` request instead of up to four search calls — when TMDb's match is
+ * a sure one (see isConfidentMatch).
+ */
+const PROVIDER_ORDER = ['tmdb', 'omdb'];
+
+/** A lookup context for every provider that has an API key saved. */
+async function configuredProviders() {
+  const settings = await getSettings();
+  return PROVIDER_ORDER
+    .map(id => PROVIDERS[id])
+    .map(p => ({ provider: p, apiKeys: [].concat(settings[p.keyStorageKey] || []).filter(Boolean) }))
+    .filter(ctx => ctx.apiKeys.length)
+    .map(ctx => ({ ...ctx, apiKey: ctx.apiKeys[0], calls: 0, trace: null }));
+}
+
+/**
+ * Ask each provider in turn and merge what they return. Earlier providers
+ * win on conflicting fields; later ones only fill gaps (e.g. OMDb "N/A").
+ * A sure match hands its imdbID on, so the next provider fetches that
+ * record's details; after an unsure one the next provider runs its own
+ * search, and a sure match there replaces the unsure one outright.
+ * A failing provider doesn't sink the lookup unless nobody answered.
+ */
+async function queryProviders(contexts, query) {
+  let merged = null;
+  let firstError = null;
+
+  for (const ctx of contexts) {
+    const sure   = merged?.imdbID && isConfidentMatch(query, merged);
+    const imdbID = query.imdbID || (sure ? merged.imdbID : null);
+    try {
+      const record = imdbID ? await ctx.provider.details(ctx, imdbID) : await ctx.provider.search(ctx, query);
+      if (!record) continue;
+
+      const fields  = ctx.provider.toFields(record);
+      const replace = merged && !imdbID && fields.imdbID !== merged.imdbID && isConfidentMatch(query, fields);
+      merged = mergeFields(replace ? null : merged, fields);
+    } catch (err) {
+      console.error(`[NRO] ${ctx.provider.label} error:`, err);
+      firstError ??= err;
+    }
+  }
+
+  if (!merged && firstError) throw firstError;
+  return merged;
+}
+
+function mergeFields(base, extra) {
+  if (!base) return { ...extra };
+  const out = { ...base };
+  for (const [k, v] of Object.entries(extra)) {
+    if (k === 'sources') out.sources = { ...v, ...base.sources };
+    else if (out[k] == null) out[k] = v;
   }
+  return out;
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -83,30 +875,33 @@ async function handleFetchRating({ title, year, mediaType }) {
  * Choose the best search strategy based on what metadata the content
  * script was able to extract from the Netflix DOM.
  */
-async function queryOMDb(apiKey, title, year, mediaType) {
-  if (year && mediaType) return exactSearch(apiKey, title, year, mediaType);
-  if (year)             return searchBothTypes(apiKey, title, year);
-  return smartSearch(apiKey, title, year, mediaType);
+async function queryOMDb(ctx, title, year, mediaType) {
+  const strategy = year && mediaType ? 'exactSearch' : year ? 'searchBothTypes' : 'smartSearch';
+  traceSearch(ctx, strategy);
+
+  if (strategy === 'exactSearch')     return exactSearch(ctx, title, year, mediaType);
+  if (strategy === 'searchBothTypes') return searchBothTypes(ctx, title, year);
+  return smartSearch(ctx, title, year, mediaType);
 }
 
 /** Precise search: title + year + type. */
-async function exactSearch(apiKey, title, year, type) {
-  const params = new URLSearchParams({ apikey: apiKey, t: title });
+async function exactSearch(ctx, title, year, type) {
+  const params = new URLSearchParams({ t: title });
   if (year) params.set('y', year);
   if (type) params.set('type', type);
 
-  const data = await omdbFetch(params);
+  const data = await omdbFetch(ctx, params);
   return data.Response === 'True' ? data : null;
 }
 
 /** We have a year but not a type — try movie, then series. */
-async function searchBothTypes(apiKey, title, year) {
-  const movie = await exactSearch(apiKey, title, year, 'movie');
+async function searchBothTypes(ctx, title, year) {
+  const movie = await exactSearch(ctx, title, year, 'movie');
   if (movie) return movie;
 
-  if (await isOverLimit()) return null;
+  if (await isOverLimit(ctx)) return null;
 
-  return exactSearch(apiKey, title, year, 'series');
+  return exactSearch(ctx, title, year, 'series');
 }
 
 /**
@@ -114,49 +909,133 @@ async function searchBothTypes(apiKey, title, year) {
  * search API and scores candidates by title-similarity, year proximity,
  * and metadata quality.
  */
-async function smartSearch(apiKey, title, year, mediaType) {
+async function smartSearch(ctx, title, year, mediaType) {
   // Step 1 — exact match with preferred type
   const preferredType = mediaType || 'movie';
-  const exact = await exactSearch(apiKey, title, year, preferredType);
+  const exact = await exactSearch(ctx, title, year, preferredType);
   const exactOk = exact && isTitleMatch(title, exact.Title);
 
   // Step 2 — try the alternate type
-  if (!await isOverLimit()) {
+  if (!await isOverLimit(ctx)) {
     const altType = preferredType === 'movie' ? 'series' : 'movie';
-    const alt = await exactSearch(apiKey, title, year, altType);
+    const alt = await exactSearch(ctx, title, year, altType);
     const altOk = alt && isTitleMatch(title, alt.Title);
 
-    if (altOk && exactOk) return pickBest(title, year, [exact, alt]);
-    if (altOk)            return alt;
+    if (altOk && exactOk) {
+      traceCandidates(ctx, title, year, [exact, alt]);
+      return pickBest(title, year, [exact, alt]);
+    }
+    if (altOk) return alt;
   }
 
   if (exactOk) return exact;
 
   // Step 3 — OMDb search API for broader matching
-  if (await isOverLimit()) return null;
+  if (await isOverLimit(ctx)) return null;
 
-  const searchParams = new URLSearchParams({ apikey: apiKey, s: title });
+  const searchParams = new URLSearchParams({ s: title });
   if (mediaType) searchParams.set('type', mediaType);
 
-  const searchData = await omdbFetch(searchParams);
+  const searchData = await omdbFetch(ctx, searchParams);
   if (searchData.Response !== 'True' || !searchData.Search?.length) return null;
 
+  traceCandidates(ctx, title, year, searchData.Search);
   const best = pickBest(title, year, searchData.Search);
   if (!best) return null;
 
   // Fetch full details (search results don't include ratings)
-  if (await isOverLimit()) return null;
+  if (await isOverLimit(ctx)) return null;
+
+  return omdbDetails(ctx, best.imdbID);
+}
 
-  const detail = await omdbFetch(new URLSearchParams({ apikey: apiKey, i: best.imdbID }));
-  return detail.Response === 'True' ? detail : null;
+/** Full OMDb record by imdbID. */
+async function omdbDetails(ctx, imdbID) {
+  traceSearch(ctx, 'omdbDetails');
+  const data = await omdbFetch(ctx, new URLSearchParams({ i: imdbID }));
+  return data.Response === 'True' ? data : null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TMDb SEARCH
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Search TMDb by title, score the hits with the same pickBest() used for
+ * OMDb, then fetch details for the winner (search hits lack imdbID).
+ */
+async function tmdbSearch(ctx, title, year, mediaType) {
+  traceSearch(ctx, 'tmdbSearch');
+  const path = mediaType === 'movie' ? '/search/movie'
+             : mediaType === 'series' ? '/search/tv'
+             : '/search/multi';
+
+  const params = new URLSearchParams({ query: title, include_adult: 'false' });
+  if (year && mediaType === 'movie')  params.set('year', year);
+  if (year && mediaType === 'series') params.set('first_air_date_year', year);
+
+  const data = await tmdbFetch(ctx, path, params);
+  const candidates = (data.results || [])
+    .map(r => tmdbCandidate(r, mediaType))
+    .filter(c => c && isTitleMatch(title, c.Title));
+
+  traceCandidates(ctx, title, year, candidates);
+  const best = pickBest(title, year, candidates);
+  if (!best) return null;
+
+  return tmdbDetails(ctx, best.tmdbRef);
+}
+
+/** Look a title up on TMDb by its imdbID. */
+async function tmdbFind(ctx, imdbID) {
+  traceSearch(ctx, 'tmdbFind');
+  const data = await tmdbFetch(ctx, `/find/${encodeURIComponent(imdbID)}`,
+    new URLSearchParams({ external_source: 'imdb_id' }));
+
+  const hit = data.movie_results?.[0]
+    ? { kind: 'movie', id: data.movie_results[0].id }
+    : data.tv_results?.[0] ? { kind: 'tv', id: data.tv_results[0].id } : null;
+
+  return hit ? tmdbDetails(ctx, hit) : null;
+}
+
+/** Full TMDb record (with external IDs) for { kind: 'movie'|'tv', id }. */
+async function tmdbDetails(ctx, ref) {
+  const data = await tmdbFetch(ctx, `/${ref.kind}/${ref.id}`,
+    new URLSearchParams({ append_to_response: 'external_ids,credits' }));
+  return data?.id ? { ...data, _kind: ref.kind } : null;
+}
+
+/**
+ * Map a TMDb search hit onto the OMDb-shaped fields pickBest() scores.
+ * Its vote average is TMDb's own score, so it stays out of `imdbRating`.
+ */
+function tmdbCandidate(r, mediaType) {
+  const kind = r.media_type || (mediaType === 'series' ? 'tv' : 'movie');
+  if (kind !== 'movie' && kind !== 'tv') return null;
+
+  return {
+    Title:      r.title || r.name,
+    Year:       (r.release_date || r.first_air_date || '').slice(0, 4),
+    Type:       kind === 'tv' ? 'series' : 'movie',
+    tmdbRating: r.vote_count ? String(r.vote_average) : 'N/A',
+    Poster:     r.poster_path || 'N/A',
+    tmdbRef:    { kind, id: r.id },
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════
 // TITLE MATCHING & SCORING
 // ═══════════════════════════════════════════════════════════════
 
+/**
+ * Comparable form of a title: lower case, accents folded ("Amélie" →
+ * "amelie"), punctuation dropped. Letters and digits of every script
+ * survive, so "ペーパー・ハウス" or "Дом бумаги" don't collapse to "".
+ */
 function normalize(s) {
-  return s.toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+  return s.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
 }
 
 function isTitleMatch(query, result) {
@@ -191,6 +1070,17 @@ function titleSimilarity(query, result) {
   return qw.filter(w => rw.includes(w)).length / Math.max(qw.length, rw.length);
 }
 
+/**
+ * Whether a provider's match is close enough to the query to speak for
+ * the others: nearly the same title and, when both say, a year at most
+ * one off.
+ */
+function isConfidentMatch(query, fields) {
+  if (titleSimilarity(query.title, fields.title) < CONFIDENT_SIMILARITY) return false;
+  if (!query.year || !fields.year) return true;
+  return Math.abs(parseInt(fields.year) - parseInt(query.year)) <= 1;
+}
+
 function pickBest(queryTitle, queryYear, candidates) {
   if (!candidates?.length) return null;
   if (candidates.length === 1) return candidates[0];
@@ -199,172 +1089,660 @@ function pickBest(queryTitle, queryYear, candidates) {
   let bestCandidate = null;
 
   for (const c of candidates) {
-    let score = titleSimilarity(queryTitle, c.Title) * 50;
+    const score = scoreCandidate(queryTitle, queryYear, c);
+    if (score > bestScore) { bestScore = score; bestCandidate = c; }
+  }
 
-    if (queryYear && c.Year) {
-      const diff = Math.abs(parseInt(c.Year) - parseInt(queryYear));
-      score += diff === 0 ? 30 : diff === 1 ? 20 : diff <= 3 ? 10 : 0;
-    }
+  return bestCandidate;
+}
 
-    if (c.imdbRating && c.imdbRating !== 'N/A') score += 10;
-    if (c.Poster   && c.Poster   !== 'N/A') score += 5;
-    if (c.Type === 'movie') score += 3;
+/** Title similarity (50), year proximity (30), metadata quality (18). */
+function scoreCandidate(queryTitle, queryYear, c) {
+  let score = titleSimilarity(queryTitle, c.Title) * 50;
 
-    if (score > bestScore) { bestScore = score; bestCandidate = c; }
+  if (queryYear && c.Year) {
+    const diff = Math.abs(parseInt(c.Year) - parseInt(queryYear));
+    score += diff === 0 ? 30 : diff === 1 ? 20 : diff <= 3 ? 10 : 0;
   }
 
-  return bestCandidate;
+  // A rated hit counts, whichever provider rated it
+  const rating = c.imdbRating || c.tmdbRating;
+  if (rating     && rating     !== 'N/A') score += 10;
+  if (c.Poster   && c.Poster   !== 'N/A') score += 5;
+  if (c.Type === 'movie') score += 3;
+
+  return score;
 }
 
 // ═══════════════════════════════════════════════════════════════
 // DATA PROCESSING
 // ═══════════════════════════════════════════════════════════════
 
-async function processAndCache(cacheKey, data) {
-  const imdbRating     = data.imdbRating !== 'N/A' ? data.imdbRating : null;
-  const rottenTomatoes = extractRT(data.Ratings);
+async function processAndCache(cacheKey, fields, query) {
+  const hasRating = fields.imdbRating || fields.rottenTomatoes || fields.metascore
+    || fields.tmdbRating || Object.keys(fields.sources || {}).length;
 
-  if (!imdbRating && !rottenTomatoes) {
-    const miss = { notFound: true, title: data.Title, cachedAt: Date.now() };
+  if (!hasRating) {
+    const miss = missEntry(fields.title, query);
     await writeCache(cacheKey, miss);
     return miss;
   }
 
-  const rating = {
-    imdbRating,
-    rottenTomatoes,
-    title:    data.Title,
-    year:     data.Year,
-    type:     data.Type,
-    imdbID:   data.imdbID,
-    cachedAt: Date.now(),
-  };
+  const rating = { ...fields, query, cachedAt: Date.now() };
   await writeCache(cacheKey, rating);
   return rating;
 }
 
+function missEntry(title, query) {
+  return { notFound: true, code: ERROR_CODES.NOT_FOUND, title, query, cachedAt: Date.now() };
+}
+
+/** OMDb record → cache-entry fields. */
+function omdbFields(data) {
+  return {
+    imdbRating:     presentValue(data.imdbRating),
+    imdbVotes:      parseVotes(data.imdbVotes),
+    rottenTomatoes: extractRT(data.Ratings),
+    metascore:      presentValue(data.Metascore),
+    sources:        extractSources(data.Ratings),
+    title:          data.Title,
+    year:           data.Year,
+    type:           data.Type,
+    imdbID:         data.imdbID,
+    ...omdbDetailFields(data),
+  };
+}
+
+/**
+ * What the detail panel (preview modal, billboard) shows beyond the
+ * scores. Every field is null when the provider has nothing for it.
+ */
+function omdbDetailFields(data) {
+  return {
+    runtime:   parseRuntime(data.Runtime),
+    rated:     presentValue(data.Rated),
+    director:  presentValue(data.Director),
+    cast:      topCast(presentValue(data.Actors)?.split(',')),
+    awards:    presentValue(data.Awards),
+    boxOffice: presentValue(data.BoxOffice),
+    plot:      presentValue(data.Plot),
+  };
+}
+
+/** TMDb record → cache-entry fields. */
+function tmdbFields(data) {
+  const year = (data.release_date || data.first_air_date || '').slice(0, 4);
+  return {
+    tmdbRating: data.vote_count ? data.vote_average.toFixed(1) : null,
+    tmdbVotes:  data.vote_count || null,
+    tmdbID:     `${data._kind}/${data.id}`,
+    title:      data.title || data.name,
+    year:       year || null,
+    type:       data._kind === 'tv' ? 'series' : 'movie',
+    imdbID:     data.imdb_id || data.external_ids?.imdb_id || null,
+    runtime:    data.runtime || data.episode_run_time?.[0] || null,
+    director:   data.credits?.crew?.find(c => c.job === 'Director')?.name || null,
+    cast:       topCast(data.credits?.cast?.map(c => c.name)),
+    plot:       firstSentence(data.overview),
+  };
+}
+
+/** "148 min" → 148. */
+function parseRuntime(v) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function topCast(names) {
+  const cast = (names || []).map(n => n?.trim()).filter(Boolean).slice(0, TOP_CAST);
+  return cast.length ? cast : null;
+}
+
+/** TMDb overviews run to a paragraph; the panel has room for one line. */
+function firstSentence(text) {
+  if (!text) return null;
+  return text.match(/^.+?[.!?](?=\s|$)/)?.[0] || text;
+}
+
+function presentValue(v) {
+  return v && v !== 'N/A' ? v : null;
+}
+
+/** "1,234,567" → 1234567 (null when OMDb has no count). */
+function parseVotes(v) {
+  const n = parseInt(String(v ?? '').replace(/,/g, ''), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
 function extractRT(ratings) {
   if (!Array.isArray(ratings)) return null;
   return ratings.find(r => r.Source === 'Rotten Tomatoes')?.Value ?? null;
 }
 
+/** Every entry of OMDb's Ratings array, keyed by source name. */
+function extractSources(ratings) {
+  const sources = {};
+  if (!Array.isArray(ratings)) return sources;
+  for (const r of ratings) {
+    if (r?.Source && presentValue(r.Value)) sources[r.Source] = r.Value;
+  }
+  return sources;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ERRORS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Every way a lookup can fail. The code reaches the content script next
+ * to the message as `{ error, code }`; `not_found` is not an error but
+ * rides on cached misses so callers can tell the two apart. Messages
+ * are `error*` entries in _locales, like the settings validation ones.
+ */
+const ERROR_CODES = Object.freeze({
+  NO_KEY:      'no_key',
+  INVALID_KEY: 'invalid_key',
+  QUOTA:       'quota_exhausted',
+  TIMEOUT:     'timeout',
+  NETWORK:     'network',
+  UPSTREAM:    'upstream_error',
+  NOT_FOUND:   'not_found',
+  UNKNOWN:     'unknown',
+});
+
+/** Failures where the same request may well succeed a moment later. */
+const TRANSIENT_CODES = new Set([ERROR_CODES.TIMEOUT, ERROR_CODES.NETWORK, ERROR_CODES.UPSTREAM]);
+
+class LookupError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LookupError';
+    this.code = code;
+  }
+
+  get transient() {
+    return TRANSIENT_CODES.has(this.code);
+  }
+}
+
+/** Message response for anything a handler threw. */
+async function errorResult(err) {
+  const result = {
+    error: err.message || NRO_I18N.msg('errorFetchFailed'),
+    code:  err instanceof LookupError ? err.code : ERROR_CODES.UNKNOWN,
+  };
+  if (result.code === ERROR_CODES.QUOTA) result.resetsAt = await nextQuotaReset();
+  return result;
+}
+
+/**
+ * Call `fn` until it succeeds or fails for a non-transient reason, at
+ * most RETRY_ATTEMPTS times, backing off exponentially in between.
+ */
+async function withRetry(fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!err.transient || attempt >= RETRY_ATTEMPTS) throw err;
+      await sleep(RETRY_BASE_MS * 2 ** (attempt - 1) * (1 + Math.random() / 4));
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 // ═══════════════════════════════════════════════════════════════
 // HTTP HELPER
 // ═══════════════════════════════════════════════════════════════
 
-async function omdbFetch(params) {
+/**
+ * One OMDb request, made with the first key that has calls left. A key
+ * OMDb rejects or reports as over its limit is set aside until midnight
+ * and the request repeats with the next one.
+ */
+async function omdbFetch(ctx, params) {
+  for (;;) {
+    const key = await activeKey(ctx);
+    if (!key) throw await keysSpentError(ctx);
+
+    ctx.apiKey = key;
+    params.set('apikey', key);
+    const data = await providerFetch(ctx, `https://www.omdbapi.com/?${params}`);
+    traceRequest(ctx, '', params, data);
+    const reason = data.Response === 'False' ? data.Error?.toLowerCase() || '' : '';
+
+    if (reason.includes('invalid api key')) await markKeySpent(key, 'invalid');
+    else if (reason.includes('request limit')) await markKeySpent(key, 'quota');
+    else return data;
+  }
+}
+
+/** Every key is set aside: rejected keys only → invalid_key, else quota. */
+async function keysSpentError(ctx) {
+  const usage  = await readKeyUsage();
+  const keys   = keysOf(ctx);
+  const states = keys.map(k => keyState(k, usage, ctx.provider.dailyLimit));
+
+  if (states.every(s => s === 'invalid')) {
+    return new LookupError(ERROR_CODES.INVALID_KEY,
+      NRO_I18N.msg(keys.length > 1 ? 'errorOmdbKeysRejected' : 'errorOmdbKeyRejected'));
+  }
+  return new LookupError(ERROR_CODES.QUOTA, NRO_I18N.msg('errorOmdbKeysSpent'));
+}
+
+async function tmdbFetch(ctx, path, params) {
+  params.set('api_key', ctx.apiKey);
+  const data = await providerFetch(ctx, `${TMDB_API_BASE}${path}?${params}`);
+  traceRequest(ctx, path, params, data);
+
+  // TMDb status 7 = invalid API key, 34 = resource not found
+  if (data.status_code === 7) {
+    throw new LookupError(ERROR_CODES.INVALID_KEY, NRO_I18N.msg('errorTmdbKeyRejected'));
+  }
+
+  return data.status_code === 34 ? {} : data;
+}
+
+/** GET + JSON, retried on transient failures (see withRetry). */
+function providerFetch(ctx, url) {
+  return withRetry(() => fetchJSON(ctx, url));
+}
+
+/** One attempt with a timeout; every request that got an answer counts against quota. */
+async function fetchJSON(ctx, url) {
+  const { label } = ctx.provider;
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
 
+  let res;
   try {
-    const res = await fetch(`https://www.omdbapi.com/?${params}`, { signal: controller.signal });
-    clearTimeout(timer);
-    const data = await res.json();
-    await incrementApiCalls();
-
-    if (data.Response === 'False' && data.Error?.toLowerCase().includes('invalid api key')) {
-      throw new Error('Invalid API key. Please update your key in the extension settings.');
-    }
-
-    return data;
+    res = await fetch(url, { signal: controller.signal });
   } catch (err) {
-    clearTimeout(timer);
     if (err.name === 'AbortError') {
-      throw new Error('Request timed out. OMDb API may be slow — please try again.');
+      throw new LookupError(ERROR_CODES.TIMEOUT, NRO_I18N.msg('errorTimeout', label));
     }
-    throw err;
+    throw new LookupError(ERROR_CODES.NETWORK, NRO_I18N.msg('errorNetwork', label));
+  } finally {
+    clearTimeout(timer);
+  }
+
+  ctx.calls++;
+  if (ctx.trace) ctx.trace.calls = ctx.calls;
+  await incrementApiCalls(ctx);
+
+  // 429 is a per-second rate limit (TMDb), not the daily quota
+  if (res.status >= 500 || res.status === 429) {
+    throw new LookupError(ERROR_CODES.UPSTREAM, NRO_I18N.msg('errorUpstream', label, res.status));
+  }
+  try {
+    return await res.json();
+  } catch {
+    throw new LookupError(ERROR_CODES.UPSTREAM, NRO_I18N.msg('errorUnreadable', label));
   }
 }
 
+// ═══════════════════════════════════════════════════════════════
+// POPUP — overlay notices link to it
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Open the toolbar popup (key, quota and "Wrong match?" all live there).
+ * action.openPopup() needs Chrome 127+ and a focused window; otherwise
+ * the popup page opens in a tab.
+ */
+async function handleOpenPopup() {
+  try {
+    await chrome.action.openPopup();
+  } catch {
+    await chrome.tabs.create({ url: chrome.runtime.getURL('src/popup/popup.html') });
+  }
+  return { opened: true };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// KEYBOARD SHORTCUTS — manifest `commands`
+// ═══════════════════════════════════════════════════════════════
+
+// Chrome delivers shortcuts here, not to the page; hand them to the
+// content script of the tab they were pressed in. Tabs without one
+// (any other site) reject the message; there is nothing to do there.
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab?.id) return;
+  chrome.tabs.sendMessage(tab.id, { type: 'RUN_COMMAND', command }).catch(() => {});
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SETTINGS
+// ═══════════════════════════════════════════════════════════════
+
+// Read once per worker lifetime; dropped whenever a setting changes so
+// the next read picks up edits from the popup or options page.
+let settingsPromise = null;
+
+function getSettings() {
+  if (!settingsPromise) settingsPromise = NRO_SETTINGS.load().catch(() => NRO_SETTINGS.defaults());
+  return settingsPromise;
+}
+
+NRO_SETTINGS.onChange(changed => {
+  settingsPromise = null;
+  // A key OMDb rejected may have been activated or replaced since
+  if ('apiKeys' in changed) {
+    updateKeyUsage(usage => {
+      for (const [key, reason] of Object.entries(usage.spent)) if (reason === 'invalid') delete usage.spent[key];
+    });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════
 // CACHE & STORAGE
 // ═══════════════════════════════════════════════════════════════
 
+/** Misses expire after notFoundTtlHours so newly added titles turn up. */
 async function getCached(key) {
-  const result = await chrome.storage.local.get(key);
-  const entry  = result[key];
-  if (!entry) return null;
+  const { cacheTtlDays, notFoundTtlHours } = await getSettings();
+  const entry = await NRO_CACHE.get(key, cacheTtlDays * DAY_MS);
 
-  if (Date.now() - entry.cachedAt > CACHE_TTL_MS) {
-    await chrome.storage.local.remove(key);
+  if (entry?.notFound && Date.now() - entry.cachedAt > notFoundTtlHours * HOUR_MS) {
+    await NRO_CACHE.remove(key);
     return null;
   }
   return entry;
 }
 
+/** Every write is followed by an eviction pass; both are index-bounded. */
 async function writeCache(key, data) {
-  const { [PRUNE_COUNTER_KEY]: prev } = await chrome.storage.local.get(PRUNE_COUNTER_KEY);
-  const count = (prev || 0) + 1;
-
-  await chrome.storage.local.set({
-    [key]: data,
-    [PRUNE_COUNTER_KEY]: count >= PRUNE_INTERVAL ? 0 : count,
-  });
-
-  if (count >= PRUNE_INTERVAL) await pruneCache();
+  await NRO_CACHE.put(key, data);
+  await pruneCache();
 }
 
 async function pruneCache() {
-  const all  = await chrome.storage.local.get(null);
-  const now  = Date.now();
-  const toRemove = [];
-  const valid    = [];
-
-  for (const key of Object.keys(all)) {
-    if (!key.startsWith(CACHE_KEY_PREFIX)) continue;
-    const entry = all[key];
-    if (!entry?.cachedAt || now - entry.cachedAt > CACHE_TTL_MS) {
-      toRemove.push(key);
-    } else {
-      valid.push({ key, cachedAt: entry.cachedAt });
-    }
-  }
+  const { cacheTtlDays, maxCacheSize } = await getSettings();
+  await NRO_CACHE.evict({ ttlMs: cacheTtlDays * DAY_MS, maxSize: maxCacheSize });
+}
 
-  if (valid.length > MAX_CACHE_SIZE) {
-    valid.sort((a, b) => a.cachedAt - b.cachedAt);
-    for (const e of valid.slice(0, valid.length - MAX_CACHE_SIZE)) {
-      toRemove.push(e.key);
-    }
-  }
+async function handleCacheStats() {
+  return NRO_CACHE.stats();
+}
 
-  if (toRemove.length) await chrome.storage.local.remove(toRemove);
+/** Ratings and site-ID mappings go together, so a bad match can't survive a clear. */
+async function handleClearCache() {
+  return NRO_CACHE.clear();
+}
+
+/**
+ * A queue for read-modify-writes of one stored value: each `fn` handed to
+ * it starts once the one before it has settled, and its result (or error)
+ * goes back to its own caller.
+ */
+function writeQueue() {
+  let tail = Promise.resolve();
+  return fn => {
+    const run = tail.then(fn);
+    tail = run.catch(() => {});
+    return run;
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════
 // RATE-LIMIT TRACKING
 // ═══════════════════════════════════════════════════════════════
 
-async function getApiCallCount() {
-  const today = new Date().toDateString();
-  const { apiCallsToday, apiCallsDate } = await chrome.storage.local.get(['apiCallsToday', 'apiCallsDate']);
-  return apiCallsDate === today ? (apiCallsToday || 0) : 0;
+// Counters live at `<prefix>CallsToday` / `<prefix>CallsDate`; OMDb's
+// prefix is 'api'. Prefetch spending is tracked the same way under the
+// 'prefetch' prefix. The date is the quota day (see quotaDay below).
+
+async function getApiCallCount(provider = PROVIDERS.omdb) {
+  return readDailyCounter(provider.counterPrefix);
+}
+
+/** Rotating providers are over the limit only once every key is. */
+async function isOverLimit(ctx) {
+  if (ctx.provider.perKey) return !await activeKey(ctx);
+  return (await getApiCallCount(ctx.provider)) >= ctx.provider.dailyLimit;
+}
+
+async function incrementApiCalls(ctx) {
+  const { provider } = ctx;
+  const count = await incrementDailyCounter(provider.counterPrefix, 1);
+  if (provider === PROVIDERS.omdb) await recordUsage('calls');
+  if (provider.perKey) {
+    await updateKeyUsage(usage => { usage.calls[ctx.apiKey] = (usage.calls[ctx.apiKey] || 0) + 1; });
+  }
+  const { apiWarnThreshold } = await getSettings();
+
+  if (count === apiWarnThreshold && provider.dailyLimit === API_DAILY_LIMIT) {
+    console.warn(`[NRO] Approaching daily ${provider.label} API limit: ${count}/${API_DAILY_LIMIT}`);
+  }
+}
+
+// ─── Quota day ─────────────────────────────────────────────────
+
+// OMDb resets its limits at midnight UTC, not at the browser's midnight.
+// Every counter is dated with the calendar day in `quotaTimeZone`
+// (YYYY-MM-DD), so a user whose account resets elsewhere can say so.
+
+/** The YYYY-MM-DD date `ms` falls on in `timeZone`. */
+function quotaDayOf(ms, timeZone) {
+  const parts = zonedParts(ms, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
 }
 
-async function isOverLimit() {
-  return (await getApiCallCount()) >= API_DAILY_LIMIT;
+// Building a DateTimeFormat is slow next to using one; keep one per zone
+const zoneFormats = new Map();
+
+function zonedParts(ms, timeZone) {
+  let format = zoneFormats.get(timeZone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    zoneFormats.set(timeZone, format);
+  }
+  return Object.fromEntries(format.formatToParts(ms).map(p => [p.type, p.value]));
+}
+
+async function quotaDay(ms = Date.now()) {
+  return quotaDayOf(ms, (await getSettings()).quotaTimeZone);
+}
+
+/** When the current quota day ends, as epoch ms. */
+async function nextQuotaReset(now = Date.now()) {
+  const { quotaTimeZone } = await getSettings();
+  const today = quotaDayOf(now, quotaTimeZone);
+  const [h, m, s] = ['hour', 'minute', 'second'].map(k => Number(zonedParts(now, quotaTimeZone)[k]));
+
+  // Midnight by the zone's wall clock, then nudged an hour at a time for
+  // days that a DST change made 23 or 25 hours long
+  let reset = now - ((h * 60 + m) * 60 + s) * 1000 - now % 1000 + DAY_MS;
+  while (quotaDayOf(reset - HOUR_MS, quotaTimeZone) !== today) reset -= HOUR_MS;
+  while (quotaDayOf(reset, quotaTimeZone) === today) reset += HOUR_MS;
+  return reset;
+}
+
+// ─── Dates from before the quota day ───────────────────────────
+
+// Before quota days, the counters and per-key usage were dated with the
+// browser's Date#toDateString() ("Sun Mar 01 2026"). That names the same
+// calendar day, so it is rewritten as YYYY-MM-DD once and an upgrade keeps
+// today's counts. Every counter read and write waits for this first, so
+// nothing can land in between (and no lock is needed — some callers
+// already hold the counter lock).
+
+let legacyDatesConverted = null;
+
+function convertLegacyDates() {
+  legacyDatesConverted ||= (async () => {
+    const prefixes = [...Object.values(PROVIDERS).map(p => p.counterPrefix), 'prefetch'];
+    const dateKeys = prefixes.map(prefix => `${prefix}CallsDate`);
+    const stored   = await chrome.storage.local.get([...dateKeys, KEY_USAGE_KEY]);
+    const updates  = {};
+
+    for (const key of dateKeys) {
+      const day = isoDay(stored[key]);
+      if (day !== stored[key]) updates[key] = day;
+    }
+    const usage = stored[KEY_USAGE_KEY];
+    if (usage && isoDay(usage.date) !== usage.date) updates[KEY_USAGE_KEY] = { ...usage, date: isoDay(usage.date) };
+
+    if (Object.keys(updates).length) await chrome.storage.local.set(updates);
+  })().catch(err => { legacyDatesConverted = null; throw err; });
+  return legacyDatesConverted;
+}
+
+/** A stored date as YYYY-MM-DD; anything unreadable is left as it is. */
+function isoDay(value) {
+  if (typeof value !== 'string' || /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
 }
 
-// Simple lock to serialise concurrent increments
+// ─── Daily counters ────────────────────────────────────────────
+
+async function readDailyCounter(prefix) {
+  await convertLegacyDates();
+  const today = await quotaDay();
+  const countKey = `${prefix}CallsToday`;
+  const dateKey  = `${prefix}CallsDate`;
+  const stored = await chrome.storage.local.get([countKey, dateKey]);
+  return stored[dateKey] === today ? (stored[countKey] || 0) : 0;
+}
+
+// Simple lock to serialise concurrent read-modify-writes of the counters
 let _counterLock = null;
 
-async function incrementApiCalls() {
+async function withCounterLock(fn) {
   while (_counterLock) await _counterLock;
 
   let unlock;
   _counterLock = new Promise(r => { unlock = r; });
 
   try {
-    const today = new Date().toDateString();
-    const { apiCallsToday, apiCallsDate } = await chrome.storage.local.get(['apiCallsToday', 'apiCallsDate']);
-    const count = apiCallsDate === today ? (apiCallsToday || 0) + 1 : 1;
-
-    await chrome.storage.local.set({ apiCallsToday: count, apiCallsDate: today });
-
-    if (count === API_WARN_THRESHOLD) {
-      console.warn(`[NRO] Approaching daily API limit: ${count}/${API_DAILY_LIMIT}`);
-    }
+    return await fn();
   } finally {
     _counterLock = null;
     unlock();
   }
 }
+
+async function incrementDailyCounter(prefix, by) {
+  await convertLegacyDates();
+  return withCounterLock(async () => {
+    const today = await quotaDay();
+    const countKey = `${prefix}CallsToday`;
+    const dateKey  = `${prefix}CallsDate`;
+    const stored = await chrome.storage.local.get([countKey, dateKey]);
+    const count = stored[dateKey] === today ? (stored[countKey] || 0) + by : by;
+
+    await chrome.storage.local.set({ [countKey]: count, [dateKey]: today });
+    return count;
+  });
+}
+
+// ─── Per-key usage — OMDb rotates through every saved key ────
+
+// Stored under KEY_USAGE_KEY as { date, calls: { <key>: n },
+// spent: { <key>: 'quota' | 'invalid' } } and reset with the quota day
+// like the counters above. `spent` holds keys OMDb itself turned away.
+
+async function readKeyUsage() {
+  await convertLegacyDates();
+  const { [KEY_USAGE_KEY]: stored } = await chrome.storage.local.get(KEY_USAGE_KEY);
+  const today = await quotaDay();
+  return stored?.date === today ? stored : { date: today, calls: {}, spent: {} };
+}
+
+function updateKeyUsage(fn) {
+  return withCounterLock(async () => {
+    const usage = await readKeyUsage();
+    fn(usage);
+    await chrome.storage.local.set({ [KEY_USAGE_KEY]: usage });
+  });
+}
+
+function markKeySpent(key, reason) {
+  return updateKeyUsage(usage => { usage.spent[key] = reason; });
+}
+
+/** 'ready', 'quota' or 'invalid'. */
+function keyState(key, usage, limit) {
+  if (usage.spent[key]) return usage.spent[key];
+  return (usage.calls[key] || 0) >= limit ? 'quota' : 'ready';
+}
+
+function keysOf(ctx) {
+  return ctx.apiKeys || [ctx.apiKey];
+}
+
+/** First key, in the user's order, with calls left today. */
+async function activeKey(ctx) {
+  const usage = await readKeyUsage();
+  return keysOf(ctx).find(k => keyState(k, usage, ctx.provider.dailyLimit) === 'ready') || null;
+}
+
+/** Popup: today's usage for each saved OMDb key, in the user's order. */
+async function handleKeyStatus() {
+  const { apiKeys } = await getSettings();
+  const usage = await readKeyUsage();
+  const limit = PROVIDERS.omdb.dailyLimit;
+
+  const keys = apiKeys.map(key => {
+    const used  = usage.calls[key] || 0;
+    const state = keyState(key, usage, limit);
+    return { key, used, remaining: state === 'ready' ? limit - used : 0, state };
+  });
+  return { keys, active: keys.findIndex(k => k.state === 'ready'), limit, resetsAt: await nextQuotaReset() };
+}
+
+// ─── Usage history ─────────────────────────────────────────────
+
+// Stored under USAGE_HISTORY_KEY as { <quota day>: { calls, hits, misses } }
+// for the last USAGE_HISTORY_DAYS days. `calls` are metered OMDb requests;
+// a hit is a lookup the cache answered, a miss one that went to the
+// providers. Together they show whether the cache is paying off.
+
+function recordUsage(field) {
+  return withCounterLock(async () => {
+    const { [USAGE_HISTORY_KEY]: history = {} } = await chrome.storage.local.get(USAGE_HISTORY_KEY);
+    const today = await quotaDay();
+    const day   = history[today] ||= { calls: 0, hits: 0, misses: 0 };
+    day[field]++;
+
+    for (const date of Object.keys(history).sort().slice(0, -USAGE_HISTORY_DAYS)) delete history[date];
+    await chrome.storage.local.set({ [USAGE_HISTORY_KEY]: history });
+  });
+}
+
+/**
+ * Popup: today's OMDb calls and the last USAGE_HISTORY_DAYS quota days,
+ * oldest first, with zeros for days nothing was looked up.
+ */
+async function handleUsage() {
+  const { [USAGE_HISTORY_KEY]: history = {} } = await chrome.storage.local.get(USAGE_HISTORY_KEY);
+  const { quotaTimeZone } = await getSettings();
+  const now  = Date.now();
+  const days = [];
+
+  // Step back from noon so a 23- or 25-hour day can't skip or repeat a date
+  const noon = await nextQuotaReset(now) - DAY_MS / 2;
+  for (let i = USAGE_HISTORY_DAYS - 1; i >= 0; i--) {
+    const date = quotaDayOf(noon - i * DAY_MS, quotaTimeZone);
+    days.push({ date, calls: 0, hits: 0, misses: 0, ...history[date] });
+  }
+
+  return {
+    callsToday: await getApiCallCount(),
+    limit:      API_DAILY_LIMIT,
+    resetsAt:   await nextQuotaReset(now),
+    timeZone:   quotaTimeZone,
+    days,
+  };
+}
@@ -0,0 +1,330 @@
+'use strict';
+
+/**
+ * Cache Browser — Netflix Ratings Overlay
+ *
+ * One row per cached lookup: what the streaming site asked for, what the
+ * matcher answered, and when. Search, filter and sort run over the list
+ * fetched once from the service worker (LIST_CACHE); the row actions ask
+ * it to refresh or delete an entry, or pin a different imdbID the same
+ * way the popup's "Wrong match?" section does. The CSV export covers the
+ * rows currently shown.
+ */
+
+const STATUS_DISPLAY_MS = 3000;
+const IMDB_ID_IN_TEXT   = /tt\d{7,10}/;
+const { msg }           = NRO_I18N;
+
+let statusTimer = null;
+let rows        = [];                                   // from LIST_CACHE
+let sort        = { column: 'cachedAt', descending: true };
+let rematchRow  = null;                                 // row the dialog is for
+
+/**
+ * Per column: the value sorted on and the text shown (and exported).
+ * Numbers sort numerically with blanks last either way.
+ */
+const COLUMNS = {
+  query:    { value: r => queryLabel(r.query).toLowerCase(),   text: r => queryLabel(r.query) },
+  title:    { value: r => matchedTitle(r).toLowerCase(),       text: matchedTitle },
+  year:     { value: r => parseInt(r.entry.year, 10),          text: r => r.entry.year || '' },
+  type:     { value: r => r.entry.type || '',                  text: r => r.entry.type || '' },
+  imdb:     { value: r => parseFloat(r.entry.imdbRating),      text: r => r.entry.imdbRating || '' },
+  rt:       { value: r => parseInt(r.entry.rottenTomatoes, 10), text: r => r.entry.rottenTomatoes || '' },
+  imdbID:   { value: r => r.entry.imdbID || '',                text: r => r.entry.imdbID || '' },
+  cachedAt: { value: r => r.cachedAt,                          text: r => new Date(r.cachedAt).toLocaleString() },
+};
+
+const FILTERS = {
+  all:      () => true,
+  found:    r => !r.entry.notFound,
+  notFound: r => !!r.entry.notFound,
+  pinned:   r => r.pinned,
+};
+
+// ─── Bootstrap ────────────────────────────────────────────────
+
+document.addEventListener('DOMContentLoaded', async () => {
+  NRO_I18N.localize();
+  document.getElementById('search').addEventListener('input', render);
+  document.getElementById('filter').addEventListener('change', render);
+  document.getElementById('reload').addEventListener('click', load);
+  document.getElementById('exportCsv').addEventListener('click', onExportCsv);
+  document.querySelector('#entries thead').addEventListener('click', onSortClick);
+  document.querySelector('#entries tbody').addEventListener('click', onRowAction);
+  document.getElementById('rematchDialog').addEventListener('close', onRematchClosed);
+
+  await load();
+});
+
+async function load() {
+  const res = await chrome.runtime.sendMessage({ type: 'LIST_CACHE' });
+  if (!res?.entries) {
+    showStatus(res?.error || msg('cacheStatusReadFailed'), 'error');
+    return;
+  }
+  rows = res.entries;
+  render();
+}
+
+// ─── Table ───────────────────────────────────────────────────
+
+/** The rows the search box and filter let through, in the chosen order. */
+function visibleRows() {
+  const needle = document.getElementById('search').value.trim().toLowerCase();
+  const filter = FILTERS[document.getElementById('filter').value] || FILTERS.all;
+
+  const shown = rows.filter(r => filter(r) && (!needle || haystack(r).includes(needle)));
+  const { value } = COLUMNS[sort.column];
+  return shown.sort((a, b) => compare(value(a), value(b), sort.descending));
+}
+
+function haystack(r) {
+  return [r.query.title, r.entry.title, r.entry.imdbID, r.query.siteId, r.key]
+    .filter(Boolean).join('\n').toLowerCase();
+}
+
+function compare(a, b, descending) {
+  const blankA = a === '' || Number.isNaN(a);
+  const blankB = b === '' || Number.isNaN(b);
+  if (blankA || blankB) return blankA - blankB;
+
+  const order = typeof a === 'number' ? a - b : a.localeCompare(b);
+  return descending ? -order : order;
+}
+
+function render() {
+  const shown = visibleRows();
+  const body  = document.querySelector('#entries tbody');
+  body.replaceChildren(...shown.map(rowElement));
+
+  const missing = rows.filter(FILTERS.notFound).length;
+  document.getElementById('summary').textContent = msg('cacheSummary', shown.length, rows.length, missing);
+
+  for (const th of document.querySelectorAll('#entries th[aria-sort]')) {
+    const column = th.querySelector('[data-sort]').dataset.sort;
+    th.setAttribute('aria-sort', column !== sort.column ? 'none' : sort.descending ? 'descending' : 'ascending');
+  }
+}
+
+function rowElement(r) {
+  const tr = document.createElement('tr');
+  tr.dataset.key = r.key;
+  if (r.entry.notFound) tr.classList.add('not-found');
+
+  for (const [column, { text }] of Object.entries(COLUMNS)) {
+    const td = document.createElement('td');
+    td.className = `col-${column}`;
+
+    if (column === 'imdbID' && r.entry.imdbID) {
+      const link = document.createElement('a');
+      link.href        = `https://www.imdb.com/title/${r.entry.imdbID}/`;
+      link.target      = '_blank';
+      link.rel         = 'noopener noreferrer';
+      link.textContent = r.entry.imdbID;
+      td.appendChild(link);
+    } else if (column === 'title' && r.entry.notFound) {
+      td.textContent = msg('cacheNotFound');
+    } else {
+      td.textContent = text(r);
+    }
+
+    if (column === 'query') {
+      td.title = r.key;
+      if (r.pinned) td.appendChild(tag(msg('cachePinned'), msg('cachePinnedTitle')));
+    }
+    tr.appendChild(td);
+  }
+
+  const actions = document.createElement('td');
+  actions.className = 'col-actions';
+  actions.append(
+    actionButton('refresh', msg('cacheRefresh'), msg('cacheRefreshTitle')),
+    actionButton('rematch', msg('cacheRematch'), msg('cacheRematchTitle')),
+    actionButton('delete', msg('cacheDelete'), msg('cacheDeleteTitle')),
+  );
+  tr.appendChild(actions);
+  return tr;
+}
+
+function actionButton(action, label, title) {
+  const button = document.createElement('button');
+  button.type           = 'button';
+  button.className      = 'link-btn';
+  button.dataset.action = action;
+  button.textContent    = label;
+  button.title          = title;
+  return button;
+}
+
+function tag(text, title) {
+  const span = document.createElement('span');
+  span.className   = 'tag';
+  span.textContent = text;
+  span.title       = title;
+  return span;
+}
+
+/** A miss keeps the searched title in `title`; it matched nothing. */
+function matchedTitle(r) {
+  return r.entry.notFound ? '' : r.entry.title || '';
+}
+
+/** "Dune (2021, movie)", plus the site's video ID when the lookup had one. */
+function queryLabel({ title, year, mediaType, siteId }) {
+  const extra = [year, mediaType].filter(Boolean).join(', ');
+  const label = extra ? `${title} (${extra})` : title;
+  return siteId ? `${label} · ${siteId}` : label;
+}
+
+function onSortClick(e) {
+  const button = e.target.closest('[data-sort]');
+  if (!button) return;
+
+  const column = button.dataset.sort;
+  // Dates and scores read best highest-first; text A–Z
+  sort = column === sort.column
+    ? { column, descending: !sort.descending }
+    : { column, descending: ['cachedAt', 'imdb', 'rt', 'year'].includes(column) };
+  render();
+}
+
+// ─── Row actions ─────────────────────────────────────────────
+
+async function onRowAction(e) {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+
+  const row = rows.find(r => r.key === button.closest('tr').dataset.key);
+  if (!row) return;
+
+  if (button.dataset.action === 'rematch') {
+    openRematch(row);
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    if (button.dataset.action === 'refresh') await refreshRow(row);
+    else await deleteRow(row);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function refreshRow(row) {
+  showStatus(msg('cacheStatusLookingUp', row.query.title), 'info');
+  const rating = await chrome.runtime.sendMessage({ type: 'REFRESH_CACHE_ENTRY', key: row.key });
+  if (!rating || rating.error) {
+    showStatus(rating?.error || msg('cacheStatusRefreshFailed'), 'error');
+    return;
+  }
+  showStatus(rating.notFound
+    ? msg('cacheStatusStillNotFound', row.query.title)
+    : msg('cacheStatusRefreshed', row.query.title, describe(rating)), 'success');
+  await load();
+}
+
+async function deleteRow(row) {
+  await chrome.runtime.sendMessage({ type: 'DELETE_CACHE_ENTRY', key: row.key });
+  rows = rows.filter(r => r !== row);
+  render();
+  showStatus(msg('cacheStatusRemoved', row.query.title), 'info');
+}
+
+function openRematch(row) {
+  rematchRow = row;
+  document.getElementById('rematchQuery').textContent = queryLabel(row.query);
+  document.getElementById('rematchInput').value = row.entry.imdbID || '';
+  document.getElementById('rematchDialog').showModal();
+}
+
+async function onRematchClosed() {
+  const dialog = document.getElementById('rematchDialog');
+  const row    = rematchRow;
+  rematchRow   = null;
+  if (dialog.returnValue !== 'apply' || !row) return;
+
+  const imdbID = document.getElementById('rematchInput').value.match(IMDB_ID_IN_TEXT)?.[0];
+  if (!imdbID) {
+    showStatus(msg('statusPasteImdbId'), 'error');
+    return;
+  }
+
+  showStatus(msg('cacheStatusMatching', row.query.title, imdbID), 'info');
+  const rating = await chrome.runtime.sendMessage({ type: 'SET_MATCH_OVERRIDE', query: row.query, imdbID });
+  if (!rating || rating.error) {
+    showStatus(rating?.error || msg('cacheStatusRematchFailed'), 'error');
+    return;
+  }
+  showStatus(msg('cacheStatusRematched', row.query.title, rating.title || imdbID), 'success');
+  await load();
+}
+
+function describe(rating) {
+  return [rating.title, rating.imdbRating && `IMDb ${rating.imdbRating}`, rating.rottenTomatoes && `RT ${rating.rottenTomatoes}`]
+    .filter(Boolean).join(' · ');
+}
+
+// ─── CSV export ──────────────────────────────────────────────
+
+const CSV_COLUMNS = [
+  ['key',             r => r.key],
+  ['query_title',     r => r.query.title],
+  ['query_year',      r => r.query.year],
+  ['query_type',      r => r.query.mediaType],
+  ['video_id',        r => r.query.siteId],
+  ['not_found',       r => r.entry.notFound ? 'yes' : 'no'],
+  ['title',           matchedTitle],
+  ['year',            r => r.entry.year],
+  ['type',            r => r.entry.type],
+  ['imdb_rating',     r => r.entry.imdbRating],
+  ['rotten_tomatoes', r => r.entry.rottenTomatoes],
+  ['imdb_id',         r => r.entry.imdbID],
+  ['pinned',          r => r.pinned ? 'yes' : 'no'],
+  ['cached_at',       r => new Date(r.cachedAt).toISOString()],
+];
+
+/**
+ * RFC 4180: quote fields holding a comma, quote or line break; double the
+ * quotes. Titles come from the streaming site, so one starting like a
+ * formula gets a leading ' to keep spreadsheets from evaluating it.
+ */
+function csvField(value) {
+  let s = value == null ? '' : String(value);
+  if (/^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(list) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const r of list) lines.push(CSV_COLUMNS.map(([, get]) => csvField(get(r))).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+function onExportCsv() {
+  const shown = visibleRows();
+  const blob  = new Blob([toCsv(shown)], { type: 'text/csv' });
+  const url   = URL.createObjectURL(blob);
+  const link  = document.createElement('a');
+  link.href     = url;
+  link.download = `netflix-ratings-cache-${new Date().toISOString().slice(0, 10)}.csv`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+
+  showStatus(msg('cacheStatusExported', shown.length), 'success');
+}
+
+// ─── Status message ──────────────────────────────────────────
+
+function showStatus(message, type) {
+  const el = document.getElementById('status');
+  el.textContent = message;
+  el.className   = `status ${type}`;
+
+  if (statusTimer) clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => {
+    el.className = 'status';
+    statusTimer  = null;
+  }, STATUS_DISPLAY_MS);
+}
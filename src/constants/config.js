@@ -5,28 +5,51 @@
  * Imported by the service worker; content scripts duplicate these values
  * because content scripts cannot use ES module imports in Manifest V3
  * without a build step.
+ *
+ * User-tunable values (cache TTL and size, API warning threshold, hover /
+ * hide / spinner delays, prefetch share) are not constants any more —
+ * they live in the settings schema in src/shared/settings.js. The rating
+ * cache's own names (database, stores, legacy key prefixes) live with it
+ * in src/background/rating-cache.js.
  */
 
-/** How long cached ratings remain valid (7 days). */
-const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
-
-/** Maximum number of cached rating entries before pruning. */
-const MAX_CACHE_SIZE = 1000;
-
-/** Storage writes between prune checks. */
-const PRUNE_INTERVAL = 50;
-
 /** OMDb free-tier daily limit. */
 const API_DAILY_LIMIT = 1000;
 
-/** Warn in console when this many calls have been made today. */
-const API_WARN_THRESHOLD = 900;
+/** Quota days kept in the popup's usage history chart. */
+const USAGE_HISTORY_DAYS = 30;
 
-/** Timeout for each OMDb API fetch (ms). */
+/** Timeout for each provider API fetch (ms). */
 const FETCH_TIMEOUT_MS = 8000;
 
-/** Prefix for all rating cache keys in chrome.storage.local. */
-const CACHE_KEY_PREFIX = 'rating_';
+/** Base URL for TMDb's v3 REST API. */
+const TMDB_API_BASE = 'https://api.themoviedb.org/3';
+
+/** Items accepted per FETCH_RATINGS_BATCH message. */
+const PREFETCH_MAX_BATCH = 40;
 
-/** Internal storage key for the prune counter. */
-const PRUNE_COUNTER_KEY = '_nro_cacheWriteCount';
+/** Queued prefetch items beyond this are dropped, oldest first. */
+const PREFETCH_MAX_QUEUE = 120;
+
+/** Per-request retries for transient failures, with exponential backoff. */
+const RETRY_ATTEMPTS = 3;
+const RETRY_BASE_MS  = 500;
+
+/**
+ * `code` on `{ error, code }` lookup responses (and `not_found` on cached
+ * misses). Timeouts, network and upstream errors are retried first.
+ */
+const ERROR_CODES = Object.freeze({
+  NO_KEY:      'no_key',
+  INVALID_KEY: 'invalid_key',
+  QUOTA:       'quota_exhausted',
+  TIMEOUT:     'timeout',
+  NETWORK:     'network',
+  UPSTREAM:    'upstream_error',
+  NOT_FOUND:   'not_found',
+  UNKNOWN:     'unknown',
+});
+
+/** Identifies cache export files; bump EXPORT_VERSION on layout changes. */
+const EXPORT_FORMAT  = 'netflix-ratings-overlay/cache';
+const EXPORT_VERSION = 1;
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Disney+ — site adapter (see registry.js for the fields).
+ *
+ * Tiles are links wrapping a poster whose alt text is the title. Older
+ * pages link to /movies/<slug>/<id> and /series/<slug>/<id>, which also
+ * tell the two apart; the current ones link to /browse/entity-<uuid>.
+ */
+
+NRO_ADAPTERS.register((() => {
+
+const ID_RE    = /\/(?:movies|series)\/[^/]+\/(\w+)|\/browse\/entity-([\w-]+)/;
+const LINK_SEL = 'a[href*="/movies/"], a[href*="/series/"], a[href*="/browse/entity-"]';
+
+return {
+  id:   'disney',
+  name: 'Disney+',
+  urls: [/^https:\/\/www\.disneyplus\.com\//],
+
+  cards: [
+    '[data-testid="set-item"]',
+    'a[data-item-id]',
+    '.basic-card',
+    '[data-testid="details-page"]',
+  ],
+  hero: [
+    '[data-testid="hero-carousel"] [data-testid="hero-item"]',
+    '[data-testid="brand-hero"]',
+  ],
+  rowItem:    '[data-testid="set-item"], a[data-item-id]',
+  filterable: '[data-testid="set-item"], a[data-item-id]',
+  heroMatch:  '[data-testid="hero-carousel"], [data-testid="brand-hero"]',
+  modalMatch: '[data-testid="details-page"]',
+  imageRoot:  '[data-testid="set-item"], a[data-item-id]',
+
+  titles: [
+    '[data-testid="details-title-treatment"] img',
+    '[data-testid="hero-title-treatment"] img',
+    'h1[data-testid="details-title"]',
+  ],
+  meta: [
+    '[data-testid="metadata-display"]',
+    '[data-testid="details-metadata"]',
+    '[class*="metadata"]',
+  ],
+
+  mediaType(el, roots) {
+    const kind = NRO_ADAPTERS.linkMatch(roots, 'a[href*="/movies/"], a[href*="/series/"]', /\/(movies|series)\//);
+    return kind === 'movies' ? 'movie' : kind === 'series' ? 'series' : null;
+  },
+
+  videoId: (el, roots) => NRO_ADAPTERS.linkMatch(roots, LINK_SEL, ID_RE),
+};
+
+})());
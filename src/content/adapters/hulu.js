@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Hulu — site adapter (see registry.js for the fields).
+ *
+ * Collection tiles link to /movie/<slug>-<uuid> or /series/<slug>-<uuid>;
+ * the uuid is the ID and the path segment the kind. The details page
+ * shows the title as an <h1> or a logo image with alt text.
+ */
+
+NRO_ADAPTERS.register((() => {
+
+const UUID     = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+const ID_RE    = new RegExp(`/(?:movie|series)/(?:[\\w-]*?-)?(${UUID})`, 'i');
+const LINK_SEL = 'a[href*="/movie/"], a[href*="/series/"]';
+
+return {
+  id:   'hulu',
+  name: 'Hulu',
+  urls: [/^https:\/\/www\.hulu\.com\//],
+
+  cards: [
+    '[data-automationid="collection-item"]',
+    '.StandardEmphasisHorizontalTileComponent',
+    '[data-automationid="details-masthead"]',
+  ],
+  hero: [
+    '[data-automationid="hero-carousel"] [data-automationid="hero-item"]',
+    '.Masthead',
+  ],
+  rowItem:    '[data-automationid="collection-item"]',
+  filterable: '[data-automationid="collection-item"], .StandardEmphasisHorizontalTileComponent',
+  heroMatch:  '[data-automationid="hero-carousel"], .Masthead',
+  modalMatch: '[data-automationid="details-masthead"]',
+  imageRoot:  '[data-automationid="collection-item"]',
+
+  titles: [
+    '[data-automationid="tile-title"]',
+    '[data-automationid="details-masthead-title"] img',
+    '[data-automationid="details-masthead-title"]',
+    '.Masthead__title',
+  ],
+  meta: [
+    '[data-automationid="details-masthead-metadata"]',
+    '[data-automationid="tile-metadata"]',
+    '.Masthead__meta',
+  ],
+
+  mediaType(el, roots) {
+    const kind = NRO_ADAPTERS.linkMatch(roots, LINK_SEL, /\/(movie|series)\//);
+    return kind === 'movie' ? 'movie' : kind === 'series' ? 'series' : null;
+  },
+
+  videoId: (el, roots) => NRO_ADAPTERS.linkMatch(roots, LINK_SEL, ID_RE),
+};
+
+})());
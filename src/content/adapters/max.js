@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Max — site adapter (see registry.js for the fields).
+ *
+ * Rails of tiles whose links say what they point at: /movie/<uuid>,
+ * /show/<uuid> or /mini-series/<uuid>. Tile aria-labels carry the title;
+ * the details hero shows it as a logo image with alt text.
+ */
+
+NRO_ADAPTERS.register((() => {
+
+const ID_RE    = /\/(?:movie|show|mini-series|standalone)\/([\w-]+)/;
+const LINK_SEL = 'a[href*="/movie/"], a[href*="/show/"], a[href*="/mini-series/"], a[href*="/standalone/"]';
+
+return {
+  id:   'max',
+  name: 'Max',
+  urls: [/^https:\/\/play\.max\.com\//, /^https:\/\/play\.hbomax\.com\//],
+
+  cards: [
+    '[data-testid$="_tile"]',
+    '[data-testid="tile"]',
+    '[data-testid="details-hero"]',
+  ],
+  hero: [
+    '[data-testid="hero-carousel"] [data-testid$="_hero"]',
+    '[data-testid="hero"]',
+  ],
+  rowItem:    '[data-testid$="_tile"], [data-testid="tile"]',
+  filterable: '[data-testid$="_tile"], [data-testid="tile"]',
+  heroMatch:  '[data-testid="hero-carousel"], [data-testid="hero"]',
+  modalMatch: '[data-testid="details-hero"]',
+  imageRoot:  '[data-testid$="_tile"], [data-testid="tile"]',
+
+  titles: [
+    '[data-testid="tile-title"]',
+    '[data-testid="details-title"] img',
+    '[data-testid="details-title"]',
+    '[data-testid="hero-title"] img',
+  ],
+  meta: [
+    '[data-testid="metadata_release_year"]',
+    '[data-testid="metadata_duration"]',
+    '[data-testid="metadata_seasons"]',
+    '[data-testid*="metadata"]',
+  ],
+
+  mediaType(el, roots) {
+    const kind = NRO_ADAPTERS.linkMatch(roots, LINK_SEL, /\/(movie|show|mini-series|standalone)\//);
+    if (!kind) return null;
+    return kind === 'movie' || kind === 'standalone' ? 'movie' : 'series';
+  },
+
+  videoId: (el, roots) => NRO_ADAPTERS.linkMatch(roots, LINK_SEL, ID_RE),
+};
+
+})());
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Netflix — site adapter (see registry.js for the fields).
+ *
+ * Browse rows are `.slider-item`s holding a `.title-card-container`; the
+ * hover card is a `.bob-card` / `.mini-modal`, the full preview a
+ * `previewModal` (older layouts: `jawBone`), and the hero a `billboard`.
+ * A series' preview modal lists its episodes in an `episodeSelector`.
+ * Class names are part hashed, hence the [class*=…] matches.
+ */
+
+NRO_ADAPTERS.register((() => {
+
+const MODAL_MATCH = '[class*="previewModal"], [class*="jawBone"]';
+
+/** Netflix video IDs in links: /watch/<id>, /title/<id>, ?jbv=<id>. */
+const ID_RE    = /\/(?:watch|title)\/(\d+)|[?&]jbv=(\d+)/;
+const LINK_SEL = 'a[href*="/watch/"], a[href*="/title/"], a[href*="jbv="]';
+
+/**
+ * Cards, the billboard and the preview modal all render the same title
+ * differently, but they all link to the same /watch/<id> — so the ID is
+ * the stable lookup key.
+ */
+function videoId(element, roots) {
+  // The open preview modal is reflected in the URL (?jbv=<id>); prefer it
+  // over links inside the modal, which include "More like this" cards.
+  if (element.closest(MODAL_MATCH)) {
+    const jbv = location.search.match(/[?&]jbv=(\d+)/)?.[1];
+    if (jbv) return jbv;
+  }
+
+  for (const root of roots) {
+    const id = NRO_ADAPTERS.linkMatch([root], LINK_SEL, ID_RE) || trackedId(root);
+    if (id) return id;
+  }
+  return null;
+}
+
+/** Fallback — tracking context JSON, e.g. %7B%22video_id%22:81040344,… */
+function trackedId(root) {
+  const tracked = root.matches('[data-ui-tracking-context]')
+    ? root : root.querySelector('[data-ui-tracking-context]');
+  const ctx = tracked?.getAttribute('data-ui-tracking-context');
+  if (!ctx) return null;
+  try { return decodeURIComponent(ctx).match(/"video_id":(\d+)/)?.[1] || null; }
+  catch { return null; }
+}
+
+return {
+  id:   'netflix',
+  name: 'Netflix',
+  urls: [/^https:\/\/www\.netflix\.com\//],
+
+  cards: [
+    '.slider-item',
+    '.title-card-container',
+    '.bob-card',
+    '.mini-modal',
+    '[class*="previewModal"]',
+    '[class*="jawBone"]',
+  ],
+  hero: [
+    '.billboard-row',
+    '[class*="billboard-row"]',
+    '[class*="billboardRow"]',
+    '[class*="hero-image"]',
+    '[class*="hero_billboard"]',
+    '[class*="heroImage"]',
+    '.billboard',
+    '[class*="billboard"]:not([class*="billboard-motion"])',
+  ],
+  rowItem:    '.slider-item',
+  filterable: '.slider-item, .title-card-container',
+  heroMatch:  '[class*="billboard"], [class*="hero-image"], [class*="hero_billboard"]',
+  modalMatch: MODAL_MATCH,
+  ancestors:  '.bob-card, .mini-modal',
+  imageRoot:  '.title-card-container, .slider-item',
+
+  titles: [
+    // Hero / billboard
+    '.billboard-title .title-logo',
+    '.hero-title .title-logo',
+    '[class*="billboard"] .title-logo',
+    '[class*="hero"] .title-logo',
+    '[class*="billboard"] [class*="title-treatment"]',
+    '[class*="billboard"] [class*="titleTreatment"]',
+    '[class*="billboard-title"]',
+    '[class*="hero-title"]',
+    '.title-treatment',
+    // Card / modal
+    '.fallback-text',
+    '.title-card-title',
+    '.previewModal-player-titleTreatment-logo',
+    '.previewModal-title',
+    '.bob-title',
+  ],
+  meta: [
+    '.year', '[class*="year"]',
+    '.duration', '[class*="duration"]',
+    '.meta', '[class*="meta"]',
+    '.supplemental-message', '[class*="supplemental"]',
+    '.videoMetadata', '[class*="videoMetadata"]',
+    '.previewModal--detailsMetadata-left', '[class*="detailsMetadata"]',
+    '.episodeSelector', '[class*="episode"]',
+    '[class*="billboard"] [class*="supplemental"]',
+    '[class*="billboard"] [class*="info"]',
+  ],
+
+  episodes: {
+    root:   '.episodeSelector',
+    season: '.episodeSelector-dropdown [class*="dropdown-toggle"]',
+    item:   '.titleCardList--container.episode-item, [class*="episodeSelector-container"] .titleCardList--container',
+    number: '.titleCard-title_index',
+  },
+
+  videoId,
+
+  /** Account / profile-switcher links sit in the same rows as cards. */
+  skip(el) {
+    const href = el.getAttribute('href') || '';
+    return href.includes('Account') || href.includes('profile');
+  },
+};
+
+})());
@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Prime Video — site adapter (see registry.js for the fields).
+ *
+ * Served from primevideo.com and from amazon.com under /gp/video/. Cards
+ * are <article>s that carry the title and its kind as data attributes
+ * (data-card-title, data-card-entity-type: "Movie" / "TV Show"), and
+ * every title links to /detail/<ASIN or GTI>/.
+ */
+
+NRO_ADAPTERS.register((() => {
+
+const ID_RE    = /\/detail\/(?:[^/?#]+\/)?((?:amzn1\.dv\.gti\.)?[\w-]{10,})(?:[/?#]|$)/;
+const LINK_SEL = 'a[href*="/detail/"]';
+
+return {
+  id:   'prime',
+  name: 'Prime Video',
+  urls: [
+    /^https:\/\/www\.primevideo\.com\//,
+    /^https:\/\/www\.amazon\.com\/gp\/video\//,
+  ],
+
+  cards: [
+    'article[data-card-title]',
+    '[data-testid="card"]',
+    '[data-testid="packshot"]',
+    '[data-testid="super-carousel-card"]',
+    '[data-automation-id="dp-atf"]',
+  ],
+  hero: [
+    '[data-testid="hero-carousel"] [data-testid="carousel-item"]',
+    '[data-automation-id="hero-background"]',
+  ],
+  rowItem:    'article[data-card-title], [data-testid="packshot"]',
+  filterable: 'article[data-card-title], [data-testid="packshot"]',
+  heroMatch:  '[data-testid="hero-carousel"]',
+  modalMatch: '[data-automation-id="dp-atf"]',
+  imageRoot:  'article[data-card-title], [data-testid="packshot"]',
+
+  titles: [
+    '[data-automation-id="title"]',
+    '[data-testid="title-art"] img',
+    '[data-testid="card-title"]',
+  ],
+  meta: [
+    '[data-automation-id="release-year-badge"]',
+    '[data-automation-id="runtime-badge"]',
+    '[data-automation-id="meta-info"]',
+    '[data-testid="card-metadata"]',
+  ],
+
+  title: (el, roots) => NRO_ADAPTERS.attrIn(roots, 'data-card-title'),
+
+  mediaType(el, roots) {
+    const kind = NRO_ADAPTERS.attrIn(roots, 'data-card-entity-type');
+    if (!kind) return null;
+    return /\b(?:tv|show|series|season)\b/i.test(kind) ? 'series' : 'movie';
+  },
+
+  videoId: (el, roots) => NRO_ADAPTERS.linkMatch(roots, LINK_SEL, ID_RE),
+};
+
+})());
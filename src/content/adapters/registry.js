@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Site adapters — Netflix Ratings Overlay
+ *
+ * content.js is the shared core (overlay, hover, prefetch, filter,
+ * observers); everything it knows about one streaming site's markup
+ * lives in an adapter under src/content/adapters/. Every adapter file is
+ * loaded on every supported site, after this one, and calls register();
+ * content.js then asks forUrl() for the one matching the page and stays
+ * idle when there is none. Exposed as the global `NRO_ADAPTERS`.
+ *
+ * An adapter is a plain object:
+ *
+ *   id          short name, also the prefix of the site's video IDs
+ *   name        shown to people ("Prime Video")
+ *   urls        RegExps; the adapter applies when one matches location.href
+ *   cards       selectors for title cards, tiles and detail panes
+ *   hero        selectors for the featured banner
+ *   rowItem     cards that are prefetched as they scroll into view
+ *   filterable  cards the threshold filter may dim / collapse
+ *   heroMatch   inside a banner — larger badges, room for details
+ *   modalMatch  inside a detail pane or modal — room for details
+ *   ancestors   wrappers searched when a card itself has no title / meta
+ *   imageRoot   wrapper whose <img alt> may hold the title (optional)
+ *   titles      selectors for an element whose text (or alt) is the title
+ *   meta        selectors for elements holding year / runtime / seasons
+ *   episodes    the detail pane's episode list, if the site has one:
+ *               { root, season, item, number } — the list, the element
+ *               naming the season shown ("Season 2"; none means 1), each
+ *               episode row, and the row's episode number
+ *
+ * and, all optional, hooks that get the element and its search roots
+ * (the element, then its `ancestors` match):
+ *
+ *   title(el, roots)      the title, when the site keeps it in an attribute
+ *   mediaType(el, roots)  'movie' | 'series', from links or attributes
+ *   videoId(el, roots)    the site's own ID for the title
+ *   skip(el)              true for matched elements that are not titles
+ *
+ * Video IDs go to the service worker as "<id>:<video id>", so two sites
+ * can never claim the same key.
+ */
+
+const NRO_ADAPTERS = (() => {
+
+const adapters = [];
+
+const DEFAULTS = {
+  hero:       [],
+  titles:     [],
+  meta:       [],
+  heroMatch:  null,
+  modalMatch: null,
+  imageRoot:  null,
+  episodes:   null,
+  title:      () => null,
+  mediaType:  () => null,
+  videoId:    () => null,
+  skip:       () => false,
+};
+
+function register(spec) {
+  const site = { ...DEFAULTS, ...spec };
+  site.allSelector = [...site.cards, ...site.hero].join(', ');
+  site.ancestors   = [site.ancestors, site.modalMatch, site.heroMatch].filter(Boolean).join(', ') || null;
+  site.scopeId     = id => (id ? `${site.id}:${id}` : null);
+  adapters.push(site);
+  return site;
+}
+
+/** The adapter for this page, or null on a site we don't support. */
+function forUrl(href) {
+  return adapters.find(a => a.urls.some(re => re.test(href))) || null;
+}
+
+// ─── Helpers for adapters ─────────────────────────────────────
+
+/**
+ * First capture of `pattern` in the href of a link matching `selector`
+ * within `roots` (a root that is itself a link counts too).
+ */
+function linkMatch(roots, selector, pattern) {
+  for (const root of roots) {
+    const links = root.matches('a[href]') ? [root] : [];
+    links.push(...root.querySelectorAll(selector));
+    for (const a of links) {
+      const m = a.getAttribute('href').match(pattern);
+      if (m) return m.slice(1).find(Boolean) || null;
+    }
+  }
+  return null;
+}
+
+/** `name` on the closest element (in `roots`) carrying it. */
+function attrIn(roots, name) {
+  for (const root of roots) {
+    const el = root.closest(`[${name}]`) || root.querySelector(`[${name}]`);
+    const value = el?.getAttribute(name)?.trim();
+    if (value) return value;
+  }
+  return null;
+}
+
+return { register, forUrl, linkMatch, attrIn, all: () => adapters.slice() };
+
+})();
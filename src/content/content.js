@@ -3,9 +3,31 @@
 /**
  * Content Script — Netflix Ratings Overlay
  *
- * Injected into netflix.com pages. Detects poster cards and the hero
- * billboard, extracts movie/show titles from the DOM, asks the service
- * worker for ratings, and renders floating IMDb / Rotten Tomatoes badges.
+ * Injected into Netflix, Prime Video, Disney+, Max and Hulu pages; what
+ * differs between them (selectors, where titles and IDs live) comes from
+ * the page's site adapter, src/content/adapters/. Detects poster cards
+ * and the hero banner, extracts movie/show titles from the DOM, asks the service
+ * worker for ratings, and renders floating IMDb / Rotten Tomatoes /
+ * Metacritic / TMDb badges. Cards scrolled into view in browse rows are
+ * prefetched in batches so most hovers hit a warm cache. In "always on"
+ * display mode every visible card instead carries its own inline badge
+ * strip, no hover needed. The preview modal and the billboard have room
+ * for a detail panel (runtime, rating, cast, plot…) under the badges.
+ * An optional threshold filter dims, collapses
+ * or marks row cards whose ratings fall below a user-set minimum.
+ * Hovers that come back without ratings (no key, quota, not on IMDb)
+ * show a small notice with an action instead of nothing at all.
+ * Keyboard focus on a card works like a hover, every result is read out
+ * through an aria-live region, and the extension's keyboard shortcuts
+ * (manifest `commands`, relayed by the service worker) toggle the
+ * overlay or read the focused title's ratings again. The overlay also
+ * carries "seen" / "want to watch" toggles; marked titles (synced to
+ * the profile's other devices, see src/shared/marks.js) get a small flag on
+ * their cards. Your own 1–10 score (src/shared/personal.js) is one more
+ * badge, and the preview modal has a small form to set it with a note.
+ * When a series' preview modal lists its episodes, each row gets its
+ * IMDb rating (OMDb `Season=`, fetched and cached a season at a time),
+ * with the season's standouts and duds picked out against its average.
  *
  * All mutable state is scoped inside an IIFE to avoid polluting the
  * page's global namespace.
@@ -17,91 +39,40 @@
 // CONSTANTS
 // ═══════════════════════════════════════════════════════════════
 
-const DEBOUNCE_MS       = 300;
-const HIDE_DELAY_MS     = 600;
 const POSITION_POLL_MS  = 200;
 const RESCAN_DELAYS     = [2000, 5000];  // delayed full-body rescans
 const URL_POLL_MS       = 1000;          // how often we check for SPA navigation
-const SPINNER_DELAY_MS  = 150;           // only show spinner if fetch is slower than this
-const DEBUG             = false;
-
-/** CSS selectors for poster cards (bottom-half rows). */
-const CARD_SELECTORS = [
-  '.slider-item',
-  '.title-card-container',
-  '.bob-card',
-  '.mini-modal',
-  '[class*="previewModal"]',
-  '[class*="jawBone"]',
-];
-
-/** CSS selectors for the hero/billboard banner (top-half). */
-const HERO_SELECTORS = [
-  '.billboard-row',
-  '[class*="billboard-row"]',
-  '[class*="billboardRow"]',
-  '[class*="hero-image"]',
-  '[class*="hero_billboard"]',
-  '[class*="heroImage"]',
-  '.billboard',
-  '[class*="billboard"]:not([class*="billboard-motion"])',
-];
-
-const ALL_SELECTORS      = [...CARD_SELECTORS, ...HERO_SELECTORS];
-const ALL_SELECTOR_STR   = ALL_SELECTORS.join(', ');
-
-/** Selectors for finding a title inside an element. */
-const TITLE_SELECTORS = [
-  // Hero / billboard
-  '.billboard-title .title-logo',
-  '.hero-title .title-logo',
-  '[class*="billboard"] .title-logo',
-  '[class*="hero"] .title-logo',
-  '[class*="billboard"] [class*="title-treatment"]',
-  '[class*="billboard"] [class*="titleTreatment"]',
-  '[class*="billboard-title"]',
-  '[class*="hero-title"]',
-  '.title-treatment',
-  // Card / modal
-  '.fallback-text',
-  '.title-card-title',
-  '.previewModal-player-titleTreatment-logo',
-  '.previewModal-title',
-  '.bob-title',
-];
-
-/** Selectors for metadata containers that may hold year / duration info. */
-const META_SELECTORS = [
-  '.year', '[class*="year"]',
-  '.duration', '[class*="duration"]',
-  '.meta', '[class*="meta"]',
-  '.supplemental-message', '[class*="supplemental"]',
-  '.videoMetadata', '[class*="videoMetadata"]',
-  '.previewModal--detailsMetadata-left', '[class*="detailsMetadata"]',
-  '.episodeSelector', '[class*="episode"]',
-  '[class*="billboard"] [class*="supplemental"]',
-  '[class*="billboard"] [class*="info"]',
-];
+const PREFETCH_FLUSH_MS = 400;           // coalesce newly-visible cards into one batch
+const PREFETCH_RETRY_MS = 60 * 1000;     // ask again for visible cards the budget turned away
+const STRIP_CLASS       = 'nro-inline-strip';
+const LIVE_REGION_ID    = 'nro-live-region';
+const EPISODE_SPREAD    = 0.5;           // IMDb points off the season average that make a standout / dud
+const SPINNER_HTML      = '<div class="nro-ratings-loading"><span class="nro-spinner"></span></div>';
+const msg               = NRO_I18N.msg;  // UI strings, see _locales/
 
-/** Words that indicate an aria-label is NOT a movie title. */
-const NON_TITLE_WORDS = [
-  'account', 'profile', 'search', 'menu', 'navigation',
-  'close', 'play', 'pause', 'volume', 'mute', 'forward', 'back',
-  'next', 'previous', 'settings', 'audio', 'subtitles', 'notifications',
-];
+/** Threshold-filter modes that act on a card (besides 'off'). */
+const FILTER_MODES      = ['dim', 'collapse', 'mark'];
 
-const HERO_MATCH = '[class*="billboard"], [class*="hero-image"], [class*="hero_billboard"]';
-const ANCESTOR_MATCH =
-  '[class*="previewModal"], [class*="jawBone"], .bob-card, .mini-modal, ' + HERO_MATCH;
+/**
+ * Selectors and markup quirks of the site we're on — see
+ * src/content/adapters/. On a page no adapter claims, do nothing.
+ */
+const site = NRO_ADAPTERS.forUrl(location.href);
+if (!site) return;
 
 // ═══════════════════════════════════════════════════════════════
 // MUTABLE STATE
 // ═══════════════════════════════════════════════════════════════
 
-let enabled           = true;
-let initialized       = false;
+let settings          = NRO_SETTINGS.defaults(); // see src/shared/settings.js
+let unsubscribeSettings = null;  // NRO_SETTINGS.onChange handle, set once
 let overlay           = null;   // the single floating overlay <div>
-let hoveredEl         = null;   // element the user is currently hovering
+let overlayTarget     = null;   // element the overlay last showed content for
+let overlayData       = null;   // …and the data it showed
+let editingPersonal   = null;   // imdbID whose personal-rating form is open
+let hoveredEl         = null;   // element the user is currently hovering (or focused)
+let focusedEl         = null;   // card holding keyboard focus, if any
+let liveRegion        = null;   // visually hidden aria-live element
 let hoveredTitle      = null;   // dedup key for the currently-shown rating
 let mouseX            = 0;
 let mouseY            = 0;
@@ -114,13 +85,28 @@ let pendingBodyScan   = null;
 let mutObs            = null;   // MutationObserver for new DOM nodes
 let urlPollId         = null;   // setInterval ID for SPA nav detection
 let lastUrl           = location.href;
+let visObs            = null;   // IntersectionObserver for row cards
+let prefetchTimer     = null;
+const prefetchPending = new Set();     // cards seen since the last batch
+let prefetched        = new WeakSet(); // cards already sent once
+const prefetchBatches = new Map();     // batch number → cards per item, until every result is in
+const deferredCards   = new Set();     // cards the prefetch budget turned away, waiting to be asked again
+let prefetchBatchSeq  = 0;
+let prefetchRetryTimer = null;
+const cardRatings     = new WeakMap(); // card element → last rating received for it
+let marks             = new Map();     // imdbID → seen / watchlist mark
+let markedVideos      = new Map();     // site video ID → imdbID, for cards with no rating yet
+let unsubscribeMarks  = null;          // NRO_MARKS.onChange handle, set once
+let personal          = new Map();     // imdbID → your score and note
+let unsubscribePersonal = null;        // NRO_PERSONAL.onChange handle, set once
+const seasonData      = new Map();     // '<imdbID>:<season>' → episode ratings from the service worker
 
 // ═══════════════════════════════════════════════════════════════
 // LOGGING
 // ═══════════════════════════════════════════════════════════════
 
 function log(...args) {
-  if (DEBUG) console.log('[NRO]', ...args);
+  if (settings.debugMode) console.log('[NRO]', ...args);
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -133,6 +119,8 @@ function ensureOverlay() {
 
   overlay = document.createElement('div');
   overlay.id = 'nro-floating-overlay';
+  // Screen readers get the same content from the live region (ANNOUNCEMENTS)
+  overlay.setAttribute('role', 'tooltip');
   // Positioning and visibility are driven by class + styles.css.
   // We only set the essentials inline so they survive even if the
   // stylesheet is somehow blocked.
@@ -140,24 +128,37 @@ function ensureOverlay() {
     'position:fixed!important;z-index:999999!important;' +
     'pointer-events:none!important;opacity:0;' +
     'transition:opacity .15s ease-out;display:flex;gap:4px;';
+  // Only notices, mark toggles and your own rating take the pointer; over
+  // them it may cross from the card onto the overlay without it hiding.
+  overlay.addEventListener('click', onOverlayClick);
+  // Typing a note must not reach the site's own shortcuts (space = play…)
+  overlay.addEventListener('keydown', e => e.stopPropagation());
+  overlay.addEventListener('mouseenter', () => clearTimeout(hideTimer));
+  overlay.addEventListener('mouseleave', onMouseLeave);
   document.body.appendChild(overlay);
   return overlay;
 }
 
 function showOverlay(element, data) {
   const el = ensureOverlay();
+  overlayTarget = element;
+  overlayData   = data;
   el.classList.toggle('nro-hero-mode', isHero(element));
 
+  let html;
   if (data.loading) {
-    el.innerHTML = '<div class="nro-ratings-loading"><span class="nro-spinner"></span></div>';
+    html = SPINNER_HTML;
   } else if (data.error || data.notFound) {
-    hideOverlay();
-    return;
+    html = buildNoticeHTML(data);
   } else {
-    const html = buildBadgesHTML(data);
+    html = buildRatingHTML(element, data);
     if (!html) { hideOverlay(); return; }
-    el.innerHTML = html;
   }
+  el.innerHTML = html;
+  el.classList.toggle('nro-with-details', !!el.querySelector('.nro-detail-panel, .nro-personal'));
+  // Toggles and your rating take the pointer themselves (styles.css), so
+  // the badges around them never block the card underneath
+  setOverlayInteractive(!!el.querySelector('.nro-notice'));
 
   positionOverlay(element);
   el.style.opacity = '1';
@@ -166,9 +167,17 @@ function showOverlay(element, data) {
 
 function hideOverlay() {
   if (overlay) overlay.style.opacity = '0';
+  editingPersonal = null;
+  setOverlayInteractive(false);
   stopPositionPoll();
 }
 
+function setOverlayInteractive(on) {
+  if (!overlay) return;
+  overlay.classList.toggle('nro-interactive', on);
+  overlay.style.setProperty('pointer-events', on ? 'auto' : 'none', 'important');
+}
+
 // ─── Positioning — always top-left of the hovered element ─────
 
 function positionOverlay(element) {
@@ -209,10 +218,135 @@ function stopPositionPoll() {
 }
 
 function isHero(el) {
-  try { return !!(el.matches?.(HERO_MATCH) || el.closest?.(HERO_MATCH)); }
+  if (!site.heroMatch) return false;
+  try { return !!(el.matches?.(site.heroMatch) || el.closest?.(site.heroMatch)); }
   catch { return false; }
 }
 
+// ═══════════════════════════════════════════════════════════════
+// INLINE STRIPS — "always on" mode, one badge strip per card
+// ═══════════════════════════════════════════════════════════════
+
+// The strip is a child of the card itself, so it rides along with
+// Netflix's row translate3d scrolling and card zoom transforms instead
+// of chasing them with a position poll like the floating overlay does.
+
+// Strips, mark flags, threshold markers and episode badges are all
+// positioned against the element they sit in. A static one is given
+// nro-inline-host, and keeps it for as long as any of them is left.
+
+const INLINE_CHILDREN = [STRIP_CLASS, 'nro-mark-flag', 'nro-threshold-marker', 'nro-episode-badge']
+  .map(cls => `:scope > .${cls}`).join(', ');
+
+function holdInline(host) {
+  if (getComputedStyle(host).position === 'static') host.classList.add('nro-inline-host');
+}
+
+/** Call after taking one of INLINE_CHILDREN out of `host`. */
+function releaseInline(host) {
+  if (host && !host.querySelector(INLINE_CHILDREN)) host.classList.remove('nro-inline-host');
+}
+
+function ensureStrip(card) {
+  let strip = card.querySelector(`:scope > .${STRIP_CLASS}`);
+  if (strip) return strip;
+
+  holdInline(card);
+  strip = document.createElement('div');
+  strip.className = STRIP_CLASS;
+  strip.classList.toggle('nro-hero-mode', isHero(card));
+  card.appendChild(strip);
+  return strip;
+}
+
+function renderStrip(card, data) {
+  const html = data?.loading ? SPINNER_HTML
+    : data && !data.error && !data.notFound && !data.deferred ? buildRatingHTML(card, data)
+    : null;
+
+  if (!html) { removeStrip(card); return; }
+  const strip = ensureStrip(card);
+  strip.innerHTML = html;
+  strip.classList.toggle('nro-with-details', !!strip.querySelector('.nro-detail-panel'));
+}
+
+function removeStrip(card) {
+  const strip = card.querySelector(`:scope > .${STRIP_CLASS}`);
+  if (!strip) return;
+  strip.remove();
+  releaseInline(card);
+}
+
+function removeAllStrips() {
+  for (const strip of document.querySelectorAll(`.${STRIP_CLASS}`)) {
+    const card = strip.parentElement;
+    strip.remove();
+    releaseInline(card);
+  }
+}
+
+/**
+ * Netflix re-renders card contents freely — put back strips it dropped.
+ * `force` re-renders every strip (e.g. after the badge selection changed).
+ */
+function restoreStrips(force = false) {
+  if (settings.displayMode !== 'always') return;
+  for (const card of document.querySelectorAll('[data-nro-attached]')) {
+    const data = cardRatings.get(card);
+    if (data && (force || !card.querySelector(`:scope > .${STRIP_CLASS}`))) renderStrip(card, data);
+  }
+}
+
+/** Remember what we learned about a card and reflect it in the page. */
+function setCardRating(card, data) {
+  if (data && !data.error && !data.deferred) cardRatings.set(card, data);
+  if (settings.displayMode === 'always') renderStrip(card, cardRatings.get(card) || data);
+  applyFilter(card);
+  applyMark(card);
+  if (site.episodes && isModal(card)) annotateEpisodesAll();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// THRESHOLD FILTER — dim / collapse / mark low-rated cards
+// ═══════════════════════════════════════════════════════════════
+
+function isBelowThreshold(data) {
+  if (!data || data.notFound) return false;
+  const imdb = parseFloat(data.imdbRating);
+  const rt   = parseInt(data.rottenTomatoes, 10);
+
+  return (settings.filterMinImdb != null && Number.isFinite(imdb) && imdb < settings.filterMinImdb)
+      || (settings.filterMinRt   != null && Number.isFinite(rt)   && rt   < settings.filterMinRt);
+}
+
+function applyFilter(card) {
+  const below = settings.enabled && settings.filterMode !== 'off' && card.matches(site.filterable)
+    && isBelowThreshold(cardRatings.get(card));
+
+  card.classList.toggle('nro-below-threshold', below);
+  for (const mode of FILTER_MODES) {
+    card.classList.toggle(`nro-filter-${mode}`, below && settings.filterMode === mode);
+  }
+
+  const marker = card.querySelector(':scope > .nro-threshold-marker');
+  if (below && settings.filterMode === 'mark') {
+    if (!marker) {
+      holdInline(card);
+      const m = document.createElement('div');
+      m.className = 'nro-threshold-marker';
+      m.textContent = msg('belowThreshold');
+      card.appendChild(m);
+    }
+  } else if (marker) {
+    marker.remove();
+    releaseInline(card);
+  }
+}
+
+function applyFilterAll() {
+  for (const card of document.querySelectorAll('[data-nro-attached]')) applyFilter(card);
+}
+
 // ═══════════════════════════════════════════════════════════════
 // BADGE RENDERING
 // ═══════════════════════════════════════════════════════════════
@@ -222,61 +356,260 @@ function esc(s) {
                   .replace(/>/g,'&gt;').replace(/"/g,'&quot;');
 }
 
+/**
+ * Set `props` on `el`, skipping those it already holds. Rescans re-apply
+ * flags and episode badges to everything on the page; writing nothing
+ * when nothing changed keeps the MutationObserver from taking our own
+ * edits for the site's and scheduling yet another rescan.
+ */
+function update(el, props) {
+  for (const [key, value] of Object.entries(props)) {
+    if (el[key] !== value) el[key] = value;
+  }
+}
+
+/**
+ * Badges and mark toggles, plus the detail panel where the surface has
+ * room for it and, in the preview modal, your own rating.
+ */
+function buildRatingHTML(element, data) {
+  const badges = buildBadgesHTML(data);
+  const details = settings.showDetails && hasDetailRoom(element) ? buildDetailHTML(data) : null;
+  const mine = data.imdbID && isModal(element) ? buildPersonalHTML(data) : null;
+  if (!badges && !details && !mine) return null;
+  const row = (badges || '') + buildMarksHTML(data);
+  if (!details && !mine) return row;
+  return `<div class="nro-badge-row">${row}</div>${details || ''}${mine || ''}`;
+}
+
 function buildBadgesHTML(data) {
   const parts = [];
 
-  if (data.imdbRating) {
-    parts.push(
-      `<div class="nro-rating-badge nro-imdb">` +
-        `<span class="nro-rating-icon">IMDb</span>` +
-        `<span class="nro-rating-value">${esc(data.imdbRating)}</span>` +
-      `</div>`
-    );
+  for (const id of settings.badges) {
+    const html = BADGE_RENDERERS[id]?.(data);
+    if (html) parts.push(html);
   }
 
-  if (data.rottenTomatoes) {
+  return parts.length ? parts.join('') : null;
+}
+
+/** One renderer per badge id — order in the output follows `settings.badges`. */
+const BADGE_RENDERERS = {
+  imdb(data) {
+    if (!data.imdbRating) return null;
+    const votes = settings.showVotes && data.imdbVotes
+      ? `<span class="nro-rating-votes">· ${formatVotes(data.imdbVotes)}</span>`
+      : '';
+    return badgeHTML('nro-imdb', 'IMDb', data.imdbRating, votes);
+  },
+
+  rt(data) {
+    if (!data.rottenTomatoes) return null;
     const fresh = parseInt(data.rottenTomatoes, 10) >= 60 ? 'fresh' : 'rotten';
-    parts.push(
-      `<div class="nro-rating-badge nro-rt nro-${fresh}">` +
-        `<span class="nro-rating-icon">RT</span>` +
-        `<span class="nro-rating-value">${esc(data.rottenTomatoes)}</span>` +
-      `</div>`
-    );
+    return badgeHTML(`nro-rt nro-${fresh}`, 'RT', data.rottenTomatoes);
+  },
+
+  metacritic(data) {
+    const score = parseInt(data.metascore ?? data.sources?.Metacritic, 10);
+    if (!Number.isFinite(score)) return null;
+    // Metacritic's own bands: 61–100 green, 40–60 yellow, 0–39 red
+    const band = score >= 61 ? 'good' : score >= 40 ? 'mixed' : 'bad';
+    return badgeHTML(`nro-mc nro-mc-${band}`, 'MC', score);
+  },
+
+  tmdb(data) {
+    if (!data.tmdbRating) return null;
+    return badgeHTML('nro-tmdb', 'TMDb', data.tmdbRating);
+  },
+
+  personal(data) {
+    const entry = data.imdbID && personal.get(data.imdbID);
+    if (!entry) return null;
+    const note = entry.note ? `<span class="nro-rating-votes" title="${esc(entry.note)}">✎</span>` : '';
+    return badgeHTML('nro-personal-badge', esc(msg('personalBadge')), entry.score, note);
+  },
+};
+
+function badgeHTML(cls, icon, value, extra = '') {
+  return (
+    `<div class="nro-rating-badge ${cls}">` +
+      `<span class="nro-rating-icon">${icon}</span>` +
+      `<span class="nro-rating-value">${esc(value)}</span>` +
+      extra +
+    `</div>`
+  );
+}
+
+// ─── Notices — responses without ratings ─────────────────────
+
+/**
+ * What the overlay says for each error code (see ERROR_CODES in the
+ * service worker), as message names. `action` is what the notice's
+ * button does: 'popup' opens the extension popup, 'retry' looks the
+ * title up again. A `label` function may return null for no button.
+ */
+const NOTICES = {
+  no_key:          { text: () => msg('noticeNoKey'),        label: 'noticeAddKey',     action: 'popup' },
+  invalid_key:     { text: () => msg('noticeKeyRejected'),  label: 'noticeFixKey',     action: 'popup' },
+  quota_exhausted: { text: quotaNotice,                     label: quotaAction,        action: 'popup' },
+  not_found:       { text: () => msg('noticeNotOnImdb'),    label: 'noticeFixMatch',   action: 'popup' },
+  unavailable:     { text: () => msg('noticeUnavailable'),  label: 'noticeRetry',      action: 'retry' },
+};
+
+function noticeFor(data) {
+  if (data.notFound) return NOTICES.not_found;
+  return NOTICES[data.code] || NOTICES.unavailable;
+}
+
+function buildNoticeHTML(data) {
+  const notice = noticeFor(data);
+  const label  = typeof notice.label === 'function' ? notice.label(data) : notice.label;
+  return (
+    `<div class="nro-notice" title="${esc(data.error || '')}">` +
+      `<span class="nro-notice-text">${esc(notice.text(data))}</span>` +
+      (label ? `<button type="button" class="nro-notice-action" data-nro-action="${notice.action}">${esc(msg(label))}</button>` : '') +
+    `</div>`
+  );
+}
+
+function quotaNotice(data) {
+  const left = formatDuration(data.resetsAt - Date.now());
+  return left ? msg('noticeQuotaResetsIn', left) : msg('noticeQuota');
+}
+
+/** A TMDb key adds its own daily quota; with one set already, there is nothing to add. */
+function quotaAction() {
+  return settings.tmdbApiKey ? null : 'noticeAddTmdbKey';
+}
+
+/** 5h, 40m — rounded up, so "resets in 0m" never shows. */
+function formatDuration(ms) {
+  if (!(ms > 0)) return null;
+  const minutes = Math.ceil(ms / 60000);
+  return minutes >= 60 ? msg('durationHours', Math.ceil(minutes / 60)) : msg('durationMinutes', minutes);
+}
+
+function onOverlayClick(e) {
+  const button = e.target.closest?.('[data-nro-action]');
+  if (!button) return;
+  e.preventDefault();
+  e.stopPropagation();
+
+  const action = button.dataset.nroAction;
+  if (action === 'mark') {
+    toggleMark(button.closest('.nro-marks').dataset.nroImdb, button.dataset.nroList);
+  } else if (action === 'edit-personal') {
+    openPersonalForm(button.closest('.nro-personal').dataset.nroImdb);
+  } else if (action === 'save-personal' || action === 'clear-personal') {
+    savePersonal(button.closest('form'), action === 'clear-personal');
+  } else if (action === 'retry') {
+    hoveredTitle = null;
+    if (hoveredEl) fetchRating(hoveredEl);
+  } else if (chrome.runtime?.id) {
+    chrome.runtime.sendMessage({ type: 'OPEN_POPUP' }).catch(err => log('open popup failed', err));
   }
+}
 
-  return parts.length ? parts.join('') : null;
+// ─── Detail panel — preview modal and billboard only ─────────
+
+function isModal(el) {
+  if (!site.modalMatch) return false;
+  try { return !!(el.matches?.(site.modalMatch) || el.closest?.(site.modalMatch)); }
+  catch { return false; }
+}
+
+function hasDetailRoom(el) {
+  return isHero(el) || isModal(el);
+}
+
+/**
+ * Runtime · rating · director, then cast, a one-line plot, awards and
+ * box office — each line only when the cache entry has it. Entries
+ * cached before these fields existed simply get no panel.
+ */
+function buildDetailHTML(data) {
+  const meta = [
+    data.runtime && formatRuntime(data.runtime),
+    data.rated,
+    data.director && msg('detailDirector', data.director),
+  ].filter(Boolean);
+
+  const lines = [
+    meta.length       && detailLine('meta', meta.join(' · ')),
+    data.cast?.length && detailLine('cast', data.cast.join(', ')),
+    data.plot         && detailLine('plot', data.plot),
+    data.awards       && detailLine('awards', data.awards),
+    data.boxOffice    && detailLine('box-office', msg('detailBoxOffice', data.boxOffice)),
+  ].filter(Boolean);
+
+  return lines.length ? `<div class="nro-detail-panel">${lines.join('')}</div>` : null;
+}
+
+function detailLine(kind, text) {
+  return `<div class="nro-detail-${kind}" title="${esc(text)}">${esc(text)}</div>`;
+}
+
+/** 148 → "2h 28m", 45 → "45m". */
+function formatRuntime(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (!h) return msg('durationMinutes', m);
+  return m ? msg('durationHoursMinutes', h, m) : msg('durationHours', h);
+}
+
+/** 850 → "850", 4321 → "4.3k", 120456 → "120k", 2100000 → "2.1M". */
+function formatVotes(n) {
+  if (n >= 1e6) return `${+(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e4) return `${Math.round(n / 1e3)}k`;
+  if (n >= 1e3) return `${+(n / 1e3).toFixed(1)}k`;
+  return String(n);
 }
 
 // ═══════════════════════════════════════════════════════════════
 // TITLE & METADATA EXTRACTION
 // ═══════════════════════════════════════════════════════════════
 
+/**
+ * Title, year, type and video ID of a card. `strategy` names the one of
+ * the strategies below that found the title, for the lookup trace.
+ */
 function extractTitle(element) {
   let title = null, year = null, mediaType = null;
 
-  // Strategy 1 — aria-label
-  const label = element.getAttribute('aria-label')
-    || element.closest('[aria-label]')?.getAttribute('aria-label');
+  // Strategy 1 — the site's own title attribute, where it has one
+  title = site.title(element, ancestorRoots(element));
+  let strategy = title ? 'site' : null;
+
+  // Strategy 2 — aria-label
+  const label = !title && (element.getAttribute('aria-label')
+    || element.closest('[aria-label]')?.getAttribute('aria-label'));
   if (label && label.length > 2 && !isNonTitle(label)) {
     ({ title, year, mediaType } = parseAriaLabel(label));
+    if (title) strategy = 'aria-label';
   }
 
-  // Strategy 2 — <img alt>
+  // Strategy 3 — <img alt>
   if (!title) {
     const img = element.querySelector('img[alt]')
-      || element.closest('.title-card-container, .slider-item')?.querySelector('img[alt]');
-    if (img?.alt?.length > 2 && !isNonTitle(img.alt)) title = img.alt.trim();
+      || (site.imageRoot && element.closest(site.imageRoot)?.querySelector('img[alt]'));
+    if (img?.alt?.length > 2 && !isNonTitle(img.alt)) {
+      title    = img.alt.trim();
+      strategy = 'img-alt';
+    }
   }
 
-  // Strategy 3 — known title-element selectors within this element
-  if (!title) title = findTitleText(element);
+  // Strategy 4 — known title-element selectors within this element
+  if (!title) {
+    title = findTitleText(element);
+    if (title) strategy = 'selector';
+  }
 
-  // Strategy 4 — search ancestor (preview modal / billboard)
+  // Strategy 5 — search ancestor (preview modal / billboard)
   if (!title) {
     for (const root of ancestorRoots(element)) {
       if (root === element) continue;
       title = findTitleText(root);
-      if (title) break;
+      if (title) { strategy = 'ancestor'; break; }
     }
   }
 
@@ -285,11 +618,19 @@ function extractTitle(element) {
   if (!year)      year      = extractYear(element);
   if (!mediaType) mediaType = detectMediaType(element);
 
-  return { title, year, mediaType: mediaType || null };
+  return { title, year, mediaType: mediaType || null, siteId: extractVideoId(element), strategy };
+}
+
+/**
+ * The site's ID for this element's title, scoped to the site as
+ * '<site>:<video id>' (see src/content/adapters/registry.js).
+ */
+function extractVideoId(element) {
+  return site.scopeId(site.videoId(element, ancestorRoots(element)));
 }
 
 function findTitleText(root) {
-  for (const sel of TITLE_SELECTORS) {
+  for (const sel of site.titles) {
     const el = root.querySelector(sel);
     if (!el) continue;
     if (el.tagName === 'IMG' && el.alt) return el.alt.trim();
@@ -301,16 +642,27 @@ function findTitleText(root) {
 
 function ancestorRoots(el) {
   const roots = [el];
-  const a = el.closest(ANCESTOR_MATCH);
+  const a = site.ancestors && el.closest(site.ancestors);
   if (a) roots.push(a);
   return roots;
 }
 
+/** Metadata words in the page's language (see src/content/locales.js). */
+function pageLocale() {
+  return NRO_LOCALES.forLang(document.documentElement.lang);
+}
+
+/** Full-width digits and compatibility forms → plain ones, for matching. */
+function metaText(el) {
+  return (el.textContent || '').normalize('NFKC');
+}
+
 function extractYear(element) {
   for (const root of ancestorRoots(element)) {
-    for (const sel of META_SELECTORS) {
+    for (const sel of site.meta) {
       for (const el of root.querySelectorAll(sel)) {
-        const m = el.textContent?.match(/(?:^|\s)((?:19[5-9]\d|20[0-3]\d))(?:\s|$|,|\))/);
+        // "2021年" in Japanese; a bare year everywhere else
+        const m = metaText(el).match(/(?:^|\s)((?:19[5-9]\d|20[0-3]\d))(?:\s|$|,|\)|年)/);
         if (m) {
           const y = parseInt(m[1], 10);
           if (y >= 1950 && y <= new Date().getFullYear() + 1) return m[1];
@@ -322,30 +674,33 @@ function extractYear(element) {
 }
 
 function detectMediaType(element) {
-  const SERIES_RE = /\b(\d+\s+Seasons?|\d+\s+Episodes?|Season\s+\d|Episode\s+\d|Limited Series|TV Series|Mini.?Series)\b/i;
-  const MOVIE_RE  = /\b\d+h\s*\d*m?\b/i;
+  const locale = pageLocale();
 
   for (const root of ancestorRoots(element)) {
-    for (const sel of META_SELECTORS) {
+    for (const sel of site.meta) {
       for (const el of root.querySelectorAll(sel)) {
-        const t = el.textContent || '';
-        if (SERIES_RE.test(t)) return 'series';
-        if (MOVIE_RE.test(t))  return 'movie';
+        const t = metaText(el);
+        if (locale.series.test(t)) return 'series';
+        if (locale.movie.test(t))  return 'movie';
       }
     }
   }
-  return null;
+  // Some sites only say it in a link path or a data attribute
+  return site.mediaType(element, ancestorRoots(element));
 }
 
+/** Words that indicate an aria-label is NOT a movie title. */
 function isNonTitle(text) {
-  const lc = text.toLowerCase();
-  return NON_TITLE_WORDS.some(w => lc === w || (lc.length < 20 && lc.includes(w)));
+  const lc = text.normalize('NFKC').toLowerCase();
+  return lc.length < 20 && pageLocale().nonTitle.test(lc);
 }
 
-function parseAriaLabel(label) {
+function parseAriaLabel(rawLabel) {
+  const locale = pageLocale();
+  const label  = rawLabel.normalize('NFKC');
   const ym = label.match(/\((\d{4})(?:\s*[-–]\s*\d{0,4})?\)/);
-  const hasSeason  = /Season\s+\d+/i.test(label);
-  const hasEpisode = /Episode\s+\d+/i.test(label);
+  const hasSeason  = locale.season.test(label);
+  const hasEpisode = locale.episode.test(label);
 
   let title = label;
   let year  = null;
@@ -357,29 +712,53 @@ function parseAriaLabel(label) {
   }
   if (hasSeason || hasEpisode) {
     mediaType = 'series';
-    title = title.replace(/\s*-?\s*Season\s+\d+.*/i, '').trim();
-    title = title.replace(/\s*-?\s*Episode\s+\d+.*/i, '').trim();
+    title = title.replace(locale.seasonTail, '').trim();
+    title = title.replace(locale.episodeTail, '').trim();
   }
 
-  title = title.replace(/^(Trailer|Teaser):\s*/i, '').replace(/\s*-\s*$/, '').trim();
+  title = title.replace(locale.trailer, '').replace(/\s*-\s*$/, '').trim();
   return { title, year, mediaType };
 }
 
-function normalizeTitle(t) { return t.replace(/\s+/g, ' ').trim(); }
+function normalizeTitle(t) { return t.normalize('NFKC').replace(/\s+/g, ' ').trim(); }
+
+/**
+ * extractTitle() result → the lookup fields sent to the service worker,
+ * plus the extraction strategy when debug mode is tracing lookups.
+ */
+function toLookup(info) {
+  const lookup = {
+    title:     normalizeTitle(info.title),
+    year:      info.year || null,
+    mediaType: info.mediaType || null,
+    siteId:    info.siteId || null,
+  };
+  if (settings.debugMode) lookup.strategy = info.strategy || null;
+  return lookup;
+}
+
+/** Same title on every surface ⇔ same key, when the site gave us an ID. */
+function lookupDedup(req) {
+  return req.siteId || `${req.title}|${req.year || ''}|${req.mediaType || ''}`;
+}
 
 // ═══════════════════════════════════════════════════════════════
 // EVENT HANDLERS
 // ═══════════════════════════════════════════════════════════════
 
 function onMouseEnter(e) {
-  if (!enabled) return;
-  const el = e.currentTarget;
+  if (!settings.enabled) return;
+  startHover(e.currentTarget);
+}
+
+/** Pointer and keyboard alike: look the card up once it has held still. */
+function startHover(el) {
   hoveredEl = el;
   clearTimeout(hideTimer);
   clearTimeout(hoverTimer);
   hoverTimer = setTimeout(() => {
     if (hoveredEl === el) fetchRating(el);
-  }, DEBOUNCE_MS);
+  }, settings.hoverDelayMs);
 }
 
 function onMouseLeave() {
@@ -387,6 +766,8 @@ function onMouseLeave() {
   clearTimeout(hideTimer);
   hideTimer = setTimeout(() => {
     const under = document.elementFromPoint(mouseX, mouseY);
+    if (under && overlay?.contains(under)) return; // on a notice or a toggle
+    if (overlay?.contains(document.activeElement)) return; // typing a note
     if (under) {
       const card = findAncestorCard(under);
       if (card) {
@@ -399,13 +780,51 @@ function onMouseLeave() {
     hoveredEl = null;
     hoveredTitle = null;
     hideOverlay();
-  }, HIDE_DELAY_MS);
+  }, settings.hideDelayMs);
 }
 
 function onMouseMove(e) { mouseX = e.clientX; mouseY = e.clientY; }
 
+// ─── Keyboard focus — arrow keys / Tab between cards ─────────
+
+function onFocusIn(e) {
+  if (!settings.enabled) return;
+  const card = e.currentTarget;
+  if (focusedEl === card && hoveredEl === card) return; // focus moved within the card
+  focusedEl = card;
+  startHover(card);
+}
+
+function onFocusOut(e) {
+  const card = e.currentTarget;
+  if (card.contains(e.relatedTarget) || overlay?.contains(e.relatedTarget)) return;
+  if (focusedEl === card) focusedEl = null;
+  if (hoveredEl !== card) return; // the pointer has moved on already
+
+  // Focus going to the next card cancels this in its own focusin
+  clearTimeout(hoverTimer);
+  clearTimeout(hideTimer);
+  hideTimer = setTimeout(() => {
+    if (hoveredEl !== card) return;
+    hoveredEl = null;
+    hoveredTitle = null;
+    hideOverlay();
+  }, settings.hideDelayMs);
+}
+
+/** Focus landing in a card the scans haven't attached yet. */
+function onDocFocusIn(e) {
+  if (!settings.enabled || !e.target?.closest) return;
+  const card = findAncestorCard(e.target);
+  if (card && !card.dataset.nroAttached) {
+    attach(card);
+    focusedEl = card;
+    startHover(card);
+  }
+}
+
 function onDocMouseOver(e) {
-  if (!enabled || !e.target?.closest) return;
+  if (!settings.enabled || !e.target?.closest) return;
   const card = findAncestorCard(e.target);
   if (card && !card.dataset.nroAttached) {
     clearTimeout(hideTimer);
@@ -423,13 +842,15 @@ function onDocMouseOver(e) {
 
 async function fetchRating(element) {
   if (!chrome.runtime?.id) { log('context invalidated'); return; }
-  if (!enabled) return;
+  if (!settings.enabled) return;
 
   const info = extractTitle(element);
   if (!info?.title) { log('no title found'); return; }
 
-  const norm  = normalizeTitle(info.title);
-  const dedup = `${norm}|${info.year || ''}|${info.mediaType || ''}`;
+  const request = { type: 'FETCH_RATING', ...toLookup(info) };
+  const dedup   = lookupDedup(request);
+
+  if (settings.displayMode === 'always') return fetchInline(element, request);
 
   if (hoveredTitle === dedup && overlay?.style.opacity === '1') {
     positionOverlay(element);
@@ -443,22 +864,465 @@ async function fetchRating(element) {
     if (requestSeq === seq && hoveredEl === element) {
       showOverlay(element, { loading: true });
     }
-  }, SPINNER_DELAY_MS);
+  }, settings.spinnerDelayMs);
 
   try {
-    const rating = await chrome.runtime.sendMessage({
-      type: 'FETCH_RATING',
-      title: norm,
-      year: info.year || null,
-      mediaType: info.mediaType || null,
-    });
+    const rating = await chrome.runtime.sendMessage(request);
     clearTimeout(spinnerTimer);
-    if (requestSeq === seq && hoveredEl) showOverlay(hoveredEl, rating);
+    setCardRating(element, rating);
+    if (requestSeq === seq && hoveredEl) {
+      showOverlay(hoveredEl, rating);
+      announceRating(request.title, rating);
+    }
   } catch (err) {
     clearTimeout(spinnerTimer);
     console.error('[NRO] fetch failed:', err);
     if (requestSeq === seq && hoveredEl) {
-      showOverlay(hoveredEl, { error: 'Failed to fetch rating' });
+      showOverlay(hoveredEl, { error: msg('fetchFailed') });
+      announceRating(request.title, { error: msg('fetchFailed') });
+    }
+  }
+}
+
+/** Always-on mode: a hover resolves straight into the card's own strip. */
+async function fetchInline(element, request) {
+  if (cardRatings.has(element)) {
+    renderStrip(element, cardRatings.get(element));
+    announceRating(request.title, cardRatings.get(element));
+    return;
+  }
+
+  const spinnerTimer = setTimeout(() => {
+    if (!cardRatings.has(element)) renderStrip(element, { loading: true });
+  }, settings.spinnerDelayMs);
+
+  try {
+    const rating = await chrome.runtime.sendMessage(request);
+    setCardRating(element, rating);
+    // Strips stay quiet about failures; the hovered card still says why
+    if ((rating?.error || rating?.notFound) && hoveredEl === element) showOverlay(element, rating);
+    if (hoveredEl === element) announceRating(request.title, rating);
+  } catch (err) {
+    console.error('[NRO] fetch failed:', err);
+    setCardRating(element, { error: msg('fetchFailed') });
+  } finally {
+    clearTimeout(spinnerTimer);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MARKS — "seen" / "want to watch", synced (src/shared/marks.js)
+// ═══════════════════════════════════════════════════════════════
+
+const MARK_BUTTONS = {
+  seen:      { icon: '✓', label: 'markSeen',      flag: 'markFlagSeen' },
+  watchlist: { icon: '+', label: 'markWatchlist', flag: 'markFlagWatchlist' },
+};
+
+async function loadMarks() {
+  try {
+    setMarks(await NRO_MARKS.all());
+  } catch (err) {
+    log('marks unavailable', err);
+  }
+}
+
+function setMarks(next) {
+  marks = next;
+  markedVideos = new Map();
+  for (const [imdbID, mark] of marks) {
+    for (const id of mark.ids) markedVideos.set(id, imdbID);
+  }
+}
+
+/** A mark changed here or on another device. */
+function onMarksChanged(changed) {
+  const next = new Map(marks);
+  for (const [imdbID, mark] of changed) {
+    if (mark) next.set(imdbID, mark);
+    else next.delete(imdbID);
+  }
+  setMarks(next);
+  applyMarkAll();
+  refreshMarkButtons();
+}
+
+/** By the card's rating once it has one, before that by its video ID. */
+function markOf(card) {
+  const imdbID = cardRatings.get(card)?.imdbID
+    || (markedVideos.size ? markedVideos.get(extractVideoId(card)) : null);
+  return (imdbID && marks.get(imdbID)) || null;
+}
+
+function applyMark(card) {
+  const mark = settings.enabled && marks.size ? markOf(card) : null;
+  let flag = card.querySelector(':scope > .nro-mark-flag');
+
+  if (!mark) {
+    if (flag) {
+      flag.remove();
+      releaseInline(card);
+    }
+    return;
+  }
+  if (!flag) {
+    holdInline(card);
+    flag = document.createElement('div');
+    card.appendChild(flag);
+  }
+  update(flag, {
+    className:   `nro-mark-flag nro-mark-${mark.list}`,
+    textContent: msg(MARK_BUTTONS[mark.list].flag),
+  });
+}
+
+function applyMarkAll() {
+  for (const card of document.querySelectorAll('[data-nro-attached]')) applyMark(card);
+}
+
+/** Toggles for a title the service worker matched to an imdbID. */
+function buildMarksHTML(data) {
+  if (!data.imdbID) return '';
+  const current = marks.get(data.imdbID)?.list;
+  const buttons = NRO_MARKS.LISTS.map(list => {
+    const { icon, label } = MARK_BUTTONS[list];
+    return `<button type="button" class="nro-mark-btn nro-mark-${list}" data-nro-action="mark" ` +
+      `data-nro-list="${list}" aria-pressed="${current === list}" ` +
+      `title="${esc(msg(label))}" aria-label="${esc(msg(label))}">${icon}</button>`;
+  });
+  return `<div class="nro-marks" data-nro-imdb="${esc(data.imdbID)}">${buttons.join('')}</div>`;
+}
+
+function refreshMarkButtons() {
+  for (const group of overlay?.querySelectorAll('.nro-marks') || []) {
+    const current = marks.get(group.dataset.nroImdb)?.list;
+    for (const button of group.querySelectorAll('[data-nro-list]')) {
+      button.setAttribute('aria-pressed', String(button.dataset.nroList === current));
+    }
+  }
+}
+
+/** Pressing the active list's button clears the mark; the other one moves it. */
+async function toggleMark(imdbID, list) {
+  const card   = overlayTarget;
+  const rating = card && cardRatings.get(card);
+  const title  = rating?.title || (card && extractTitle(card)?.title) || imdbID;
+
+  try {
+    if (marks.get(imdbID)?.list === list) {
+      await NRO_MARKS.clear(imdbID);
+      announce(msg('announceUnmarked', title));
+    } else {
+      await NRO_MARKS.set(imdbID, list, { title, year: rating?.year, videoId: card && extractVideoId(card) });
+      announce(msg(list === 'seen' ? 'announceMarkedSeen' : 'announceMarkedWatchlist', title));
+    }
+  } catch (err) {
+    console.error('[NRO] mark failed:', err);
+    showMarkFailed(imdbID);
+  }
+}
+
+/** The mark wasn't saved: say so next to the toggles, and to screen readers. */
+function showMarkFailed(imdbID) {
+  const group = [...overlay?.querySelectorAll('.nro-marks') || []].find(g => g.dataset.nroImdb === imdbID);
+  if (group && !group.querySelector('.nro-mark-error')) {
+    const note = document.createElement('span');
+    note.className   = 'nro-mark-error';
+    note.textContent = msg('markFailed');
+    group.appendChild(note);
+  }
+  announce(msg('markFailed'));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PERSONAL RATINGS — your score and note (src/shared/personal.js)
+// ═══════════════════════════════════════════════════════════════
+
+async function loadPersonal() {
+  try {
+    personal = await NRO_PERSONAL.all();
+  } catch (err) {
+    log('personal ratings unavailable', err);
+  }
+}
+
+function onPersonalChanged(changed) {
+  for (const [imdbID, entry] of changed) {
+    if (entry) personal.set(imdbID, entry);
+    else personal.delete(imdbID);
+  }
+  restoreStrips(true);
+  // Leave an open form alone; saving it closes it and re-renders anyway
+  if (!editingPersonal && overlayData && overlay?.style.opacity === '1') showOverlay(overlayTarget, overlayData);
+}
+
+/** The line under the detail panel, or the form while it is open. */
+function buildPersonalHTML(data) {
+  const id    = esc(data.imdbID);
+  const entry = personal.get(data.imdbID);
+
+  if (editingPersonal !== data.imdbID) {
+    const text = entry
+      ? [msg('personalSummary', entry.score), entry.note].filter(Boolean).join(' — ')
+      : msg('personalNone');
+    return (
+      `<div class="nro-personal" data-nro-imdb="${id}">` +
+        `<span class="nro-personal-text" title="${esc(text)}">${esc(text)}</span>` +
+        `<button type="button" class="nro-notice-action" data-nro-action="edit-personal">` +
+          `${esc(msg(entry ? 'personalEdit' : 'personalAdd'))}</button>` +
+      `</div>`
+    );
+  }
+
+  return (
+    `<form class="nro-personal nro-personal-form" data-nro-imdb="${id}">` +
+      `<input type="number" name="score" min="1" max="10" step="1" required value="${entry?.score ?? ''}" ` +
+        `placeholder="1–10" aria-label="${esc(msg('personalScoreLabel'))}">` +
+      `<input type="text" name="note" maxlength="${NRO_PERSONAL.NOTE_MAX}" value="${esc(entry?.note || '')}" ` +
+        `placeholder="${esc(msg('personalNotePlaceholder'))}" aria-label="${esc(msg('personalNoteLabel'))}">` +
+      `<button type="submit" class="nro-notice-action" data-nro-action="save-personal">${esc(msg('personalSave'))}</button>` +
+      (entry ? `<button type="button" class="nro-notice-action" data-nro-action="clear-personal">${esc(msg('personalClear'))}</button>` : '') +
+    `</form>`
+  );
+}
+
+function openPersonalForm(imdbID) {
+  editingPersonal = imdbID;
+  showOverlay(overlayTarget, overlayData);
+  overlay.querySelector('.nro-personal-form [name="score"]')?.focus();
+}
+
+/** Enter in either field "clicks" the submit button, so this covers it too. */
+async function savePersonal(form, remove) {
+  const imdbID = form.dataset.nroImdb;
+  const score  = form.elements.score;
+
+  try {
+    if (remove) {
+      await NRO_PERSONAL.clear(imdbID);
+    } else {
+      await NRO_PERSONAL.set(imdbID, {
+        score: score.value,
+        note:  form.elements.note.value,
+        title: overlayData?.title,
+        year:  overlayData?.year,
+      });
+    }
+  } catch (err) {
+    log('personal rating not saved', err);
+    score.setAttribute('aria-invalid', 'true');
+    score.focus();
+    announce(msg('personalScoreInvalid'));
+    return;
+  }
+
+  editingPersonal = null;
+  if (overlayData) showOverlay(overlayTarget, overlayData);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EPISODE RATINGS — the detail pane's episode list (site.episodes)
+// ═══════════════════════════════════════════════════════════════
+
+// Runs once the pane's series has resolved (setCardRating) and again on
+// every body rescan, which is how a switch to another season is noticed.
+
+function annotateEpisodesAll() {
+  if (!site.episodes) return;
+  for (const list of document.querySelectorAll(site.episodes.root)) {
+    annotateEpisodes(list, cardRatings.get(findAncestorCard(list)));
+  }
+}
+
+async function annotateEpisodes(list, rating) {
+  if (!settings.enabled || !settings.episodeRatings) return;
+  if (!rating?.imdbID || rating.type !== 'series') return;
+
+  const season = episodeSeason(list);
+  const stamp  = `${rating.imdbID}:${season}`;
+  if (seasonData.has(stamp)) { renderEpisodes(list, seasonData.get(stamp)); return; }
+  if (list.dataset.nroEpisodes === stamp) return; // asked already; a failure waits for the next season
+  list.dataset.nroEpisodes = stamp;
+
+  let data;
+  try {
+    data = await chrome.runtime.sendMessage({ type: 'FETCH_EPISODES', imdbID: rating.imdbID, season });
+  } catch (err) {
+    log('episode ratings failed', err);
+    return;
+  }
+  if (!data?.episodes) { log('no episode ratings', data?.error); return; }
+
+  seasonData.set(stamp, data);
+  // Another season may have been picked while this one was loading
+  if (episodeSeason(list) === season) renderEpisodes(list, data);
+}
+
+/** The season the list shows: the number in its season picker, else 1. */
+function episodeSeason(list) {
+  const text = list.querySelector(site.episodes.season)?.textContent || '';
+  return parseInt(text.match(/\d+/)?.[0], 10) || 1;
+}
+
+/** Badge each row, and sum the season up at the top of the list. */
+function renderEpisodes(list, data) {
+  const byNumber = new Map(data.episodes.map(e => [e.episode, e]));
+  const rated    = data.episodes.filter(e => Number.isFinite(parseFloat(e.imdbRating)));
+  const average  = rated.length
+    ? rated.reduce((sum, e) => sum + parseFloat(e.imdbRating), 0) / rated.length
+    : null;
+
+  list.querySelectorAll(site.episodes.item).forEach((item, i) => {
+    const number = parseInt(item.querySelector(site.episodes.number)?.textContent, 10) || i + 1;
+    const score  = byNumber.get(number)?.imdbRating;
+    let badge    = item.querySelector(':scope > .nro-episode-badge');
+
+    if (!score) {
+      if (badge) {
+        badge.remove();
+        releaseInline(item);
+      }
+      return;
+    }
+    if (!badge) {
+      badge = document.createElement('span');
+      holdInline(item);
+      item.appendChild(badge);
+    }
+
+    const standing = episodeStanding(parseFloat(score), average);
+    update(badge, {
+      className:   `nro-episode-badge${standing ? ` nro-episode-${standing}` : ''}`,
+      textContent: score,
+      title:       [msg('episodeRatingTitle', number, score), standing && msg(standing === 'standout' ? 'episodeStandout' : 'episodeDud')]
+        .filter(Boolean).join(' · '),
+    });
+  });
+
+  let summary = list.querySelector(':scope > .nro-season-summary');
+  if (average == null) { summary?.remove(); return; }
+  if (!summary) {
+    summary = document.createElement('div');
+    summary.className = 'nro-season-summary';
+    list.prepend(summary);
+  }
+  const best = rated.reduce((a, b) => (parseFloat(b.imdbRating) > parseFloat(a.imdbRating) ? b : a));
+  update(summary, { textContent: msg('seasonSummary', data.season, average.toFixed(1), best.episode, best.imdbRating) });
+}
+
+/** 'standout' / 'dud' when EPISODE_SPREAD or more off the average, else ''. */
+function episodeStanding(score, average) {
+  if (average == null) return '';
+  if (score >= average + EPISODE_SPREAD) return 'standout';
+  if (score <= average - EPISODE_SPREAD) return 'dud';
+  return '';
+}
+
+function removeEpisodeRatings() {
+  for (const badge of document.querySelectorAll('.nro-episode-badge')) {
+    const item = badge.parentElement;
+    badge.remove();
+    releaseInline(item);
+  }
+  for (const summary of document.querySelectorAll('.nro-season-summary')) summary.remove();
+  for (const list of document.querySelectorAll('[data-nro-episodes]')) delete list.dataset.nroEpisodes;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ANNOUNCEMENTS — what screen readers hear
+// ═══════════════════════════════════════════════════════════════
+
+// The overlay is pointer-events:none and lives at the end of <body>, far
+// from the focused card, so its badges are read out through a polite
+// live region instead.
+
+function ensureLiveRegion() {
+  if (liveRegion && document.body.contains(liveRegion)) return liveRegion;
+  liveRegion?.remove();
+
+  liveRegion = document.createElement('div');
+  liveRegion.id = LIVE_REGION_ID;
+  liveRegion.className = 'nro-sr-only';
+  liveRegion.setAttribute('role', 'status');
+  liveRegion.setAttribute('aria-live', 'polite');
+  liveRegion.setAttribute('aria-atomic', 'true');
+  document.body.appendChild(liveRegion);
+  return liveRegion;
+}
+
+function announce(text) {
+  const region = ensureLiveRegion();
+  // Unchanged text isn't read again; a trailing no-break space changes it
+  region.textContent = region.textContent === text ? `${text}\u00a0` : text;
+}
+
+function announceRating(title, data) {
+  if (data && !data.loading) announce(describeRating(title, data));
+}
+
+/** "Inception: IMDb 8.8, Rotten Tomatoes 87%" — badges in settings order. */
+function describeRating(title, data) {
+  if (data.error || data.notFound) return msg('announceNotice', title, noticeFor(data).text(data));
+
+  const parts = settings.badges.map(id => SPOKEN_BADGES[id]?.(data)).filter(Boolean);
+  return parts.length ? msg('announceRatings', title, parts.join(', ')) : msg('announceNoRatings', title);
+}
+
+/** Spoken counterparts of BADGE_RENDERERS. */
+const SPOKEN_BADGES = {
+  imdb: data => data.imdbRating && (settings.showVotes && data.imdbVotes
+    ? msg('spokenImdbVotes', data.imdbRating, formatVotes(data.imdbVotes))
+    : msg('spokenImdb', data.imdbRating)),
+  rt: data => data.rottenTomatoes && msg('spokenRt', data.rottenTomatoes),
+  metacritic(data) {
+    const score = parseInt(data.metascore ?? data.sources?.Metacritic, 10);
+    return Number.isFinite(score) && msg('spokenMetacritic', score);
+  },
+  tmdb: data => data.tmdbRating && msg('spokenTmdb', data.tmdbRating),
+  personal(data) {
+    const entry = data.imdbID && personal.get(data.imdbID);
+    return entry && msg('spokenPersonal', entry.score);
+  },
+};
+
+// ─── Keyboard shortcuts — manifest `commands` ────────────────
+
+/** From the service worker: shortcuts, and prefetch results (see PREFETCH). */
+function onRuntimeMessage(message) {
+  if (message?.type === 'RUN_COMMAND') runCommand(message.command);
+  else if (message?.type === 'PREFETCH_RESULT') onPrefetchResult(message);
+  return false;
+}
+
+/**
+ * toggle-overlay   hide the overlay, or show it for the focused (else
+ *                  hovered) card right away
+ * announce-ratings read that card's ratings out again
+ */
+function runCommand(command) {
+  if (!settings.enabled) return;
+  const card = focusedEl || hoveredEl;
+
+  if (command === 'toggle-overlay') {
+    clearTimeout(hoverTimer);
+    if (overlay?.style.opacity === '1') {
+      hoveredTitle = null;
+      hideOverlay();
+    } else if (card) {
+      hoveredEl = card;
+      hoveredTitle = null;
+      fetchRating(card);
+    }
+  } else if (command === 'announce-ratings') {
+    if (!card) { announce(msg('announceNoFocus')); return; }
+    const rating = cardRatings.get(card);
+    const title  = extractTitle(card)?.title;
+    if (rating && title) {
+      announceRating(normalizeTitle(title), rating);
+    } else {
+      hoveredEl = card;
+      hoveredTitle = null;
+      fetchRating(card);
     }
   }
 }
@@ -477,24 +1341,27 @@ function findAncestorCard(el) {
 }
 
 function matchesCard(el) {
-  try { return el.matches?.(ALL_SELECTOR_STR); }
+  try { return el.matches?.(site.allSelector); }
   catch { return false; }
 }
 
 function attach(el) {
   if (!el || el.dataset.nroAttached) return;
-  const href = el.getAttribute('href') || '';
-  if (href.includes('Account') || href.includes('profile')) return;
+  if (site.skip(el)) return;
   el.dataset.nroAttached = 'true';
   el.addEventListener('mouseenter', onMouseEnter);
   el.addEventListener('mouseleave', onMouseLeave);
+  el.addEventListener('focusin', onFocusIn);
+  el.addEventListener('focusout', onFocusOut);
+  observeVisibility(el);
+  applyMark(el);
 }
 
 function attachAll(container) {
-  for (const el of container.querySelectorAll(ALL_SELECTOR_STR)) {
+  for (const el of container.querySelectorAll(site.allSelector)) {
     if (el.dataset.nroAttached) continue;
     // Only attach outermost matched element
-    const parent = el.parentElement?.closest(ALL_SELECTOR_STR);
+    const parent = el.parentElement?.closest(site.allSelector);
     if (parent && (parent.dataset.nroAttached || container.contains(parent))) continue;
     attach(el);
   }
@@ -502,6 +1369,123 @@ function attachAll(container) {
   if (matchesCard(container)) attach(container);
 }
 
+// ═══════════════════════════════════════════════════════════════
+// PREFETCH — warm the cache for row cards as they scroll into view
+// ═══════════════════════════════════════════════════════════════
+
+// In always-on mode the same pipeline feeds the inline strips, so it
+// runs regardless of the prefetch toggle and watches every attached card.
+// The threshold filter needs row ratings too, so it also keeps it running.
+//
+// Results come back one title at a time (PREFETCH_RESULT). A card the
+// service worker deferred — prefetch budget spent, or dropped from a full
+// queue — is asked for again once it scrolls out of view and back, or
+// every PREFETCH_RETRY_MS while it stays on screen.
+
+function startPrefetch() {
+  stopPrefetch();
+  const wanted = settings.prefetchEnabled || settings.displayMode === 'always' || settings.filterMode !== 'off';
+  if (!wanted || typeof IntersectionObserver !== 'function') return;
+
+  visObs = new IntersectionObserver(onVisibilityChange, { threshold: 0.5 });
+  for (const el of document.querySelectorAll('[data-nro-attached]')) observeVisibility(el);
+}
+
+function stopPrefetch() {
+  visObs?.disconnect();
+  visObs = null;
+  clearTimeout(prefetchTimer);
+  clearTimeout(prefetchRetryTimer);
+  prefetchTimer = prefetchRetryTimer = null;
+  prefetchPending.clear();
+  deferredCards.clear();
+}
+
+function observeVisibility(el) {
+  if (!visObs || prefetched.has(el)) return;
+  if (settings.displayMode === 'always' || el.matches(site.rowItem) || el.closest(site.rowItem)) {
+    visObs.observe(el);
+  }
+}
+
+function onVisibilityChange(entries) {
+  for (const entry of entries) {
+    if (!entry.isIntersecting) { deferredCards.delete(entry.target); continue; }
+    if (deferredCards.has(entry.target)) continue; // still in view since it was turned away
+    visObs?.unobserve(entry.target);
+    prefetched.add(entry.target);
+    prefetchPending.add(entry.target);
+  }
+  if (prefetchPending.size && !prefetchTimer) {
+    prefetchTimer = setTimeout(flushPrefetch, PREFETCH_FLUSH_MS);
+  }
+}
+
+function flushPrefetch() {
+  prefetchTimer = null;
+  if (!settings.enabled || !chrome.runtime?.id) return;
+
+  const items  = [];
+  const groups = new Map(); // dedup key → cards sharing that title
+  for (const el of prefetchPending) {
+    const info = extractTitle(el);
+    if (!info?.title) continue;
+
+    const item  = toLookup(info);
+    const dedup = lookupDedup(item);
+    if (!groups.has(dedup)) {
+      groups.set(dedup, []);
+      items.push(item);
+    }
+    groups.get(dedup).push(el);
+  }
+  prefetchPending.clear();
+  if (!items.length) return;
+
+  log('prefetch', items.length);
+  const batch      = ++prefetchBatchSeq;
+  const cardGroups = [...groups.values()];
+  prefetchBatches.set(batch, { cardGroups, left: cardGroups.length });
+  chrome.runtime.sendMessage({ type: 'FETCH_RATINGS_BATCH', items, batch })
+    .catch(err => {
+      log('prefetch failed', err);
+      prefetchBatches.delete(batch);
+      deferCards(cardGroups.flat());
+    });
+}
+
+/** One item of a FETCH_RATINGS_BATCH, as soon as the service worker has it. */
+function onPrefetchResult({ batch, index, rating }) {
+  const pending = prefetchBatches.get(batch);
+  const cards   = pending?.cardGroups[index];
+  if (!cards) return;
+  pending.cardGroups[index] = null;
+  if (--pending.left === 0) prefetchBatches.delete(batch);
+
+  if (rating?.deferred) deferCards(cards);
+  else for (const card of cards) setCardRating(card, rating);
+}
+
+function deferCards(cards) {
+  for (const card of cards) {
+    prefetched.delete(card);
+    deferredCards.add(card);
+    observeVisibility(card);
+  }
+  if (visObs && !prefetchRetryTimer) prefetchRetryTimer = setTimeout(retryDeferred, PREFETCH_RETRY_MS);
+}
+
+/** Observe the deferred cards afresh; the ones still in view are reported at once. */
+function retryDeferred() {
+  prefetchRetryTimer = null;
+  for (const card of deferredCards) {
+    deferredCards.delete(card);
+    if (!visObs || !card.isConnected) continue;
+    visObs.unobserve(card);
+    visObs.observe(card);
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════
 // MUTATION OBSERVER
 // ═══════════════════════════════════════════════════════════════
@@ -519,6 +1503,9 @@ function startObserver() {
       pendingBodyScan = setTimeout(() => {
         pendingBodyScan = null;
         attachAll(document.body);
+        restoreStrips();
+        applyMarkAll();
+        annotateEpisodesAll();
       }, 1000);
     }
   });
@@ -534,7 +1521,7 @@ function stopObserver() {
 // SPA NAVIGATION DETECTION
 // ═══════════════════════════════════════════════════════════════
 
-// Netflix is a SPA — the URL changes without a page reload.
+// Every supported site is a SPA — the URL changes without a page reload.
 // We poll location.href every second instead of observing the
 // entire DOM just to detect URL changes.
 
@@ -554,23 +1541,62 @@ function stopUrlPoll() {
 }
 
 // ═══════════════════════════════════════════════════════════════
-// STORAGE LISTENER — react to enable/disable from popup
+// SETTINGS LISTENER — react to changes from the popup / options page
 // ═══════════════════════════════════════════════════════════════
 
-function onStorageChanged(changes, area) {
-  if (area !== 'local' || !('enabled' in changes)) return;
+function onSettingsChanged(changed) {
+  const wasEnabled = settings.enabled;
+  Object.assign(settings, changed);
+  log('settings →', changed);
+
+  if ('enabled' in changed) {
+    if (!settings.enabled) {
+      clearTimeout(hoverTimer);
+      clearTimeout(hideTimer);
+      hoveredEl = focusedEl = null;
+      hoveredTitle = null;
+      hideOverlay();
+      stopPrefetch();
+      removeAllStrips();
+      removeEpisodeRatings();
+      applyFilterAll();
+      applyMarkAll();
+    } else if (!wasEnabled) {
+      init();
+    }
+    return;
+  }
+
+  if ('badges' in changed || 'showVotes' in changed || 'showDetails' in changed) {
+    hoveredTitle = null; // force a re-render on the next hover
+    restoreStrips(true);
+  }
 
-  enabled = changes.enabled.newValue !== false;
-  log('enabled →', enabled);
+  if ('filterMode' in changed || 'filterMinImdb' in changed || 'filterMinRt' in changed) {
+    applyFilterAll();
+  }
 
-  if (!enabled) {
-    clearTimeout(hoverTimer);
-    clearTimeout(hideTimer);
-    hoveredEl = null;
-    hoveredTitle = null;
+  if ('displayMode' in changed) switchDisplayMode();
+
+  if ('episodeRatings' in changed) {
+    if (settings.episodeRatings) annotateEpisodesAll();
+    else removeEpisodeRatings();
+  }
+
+  if (settings.enabled && ('prefetchEnabled' in changed || 'displayMode' in changed || 'filterMode' in changed)) {
+    startPrefetch();
+  }
+}
+
+function switchDisplayMode() {
+  log('displayMode →', settings.displayMode);
+
+  if (settings.displayMode === 'always') {
     hideOverlay();
+    prefetched = new WeakSet(); // re-queue cards whose results weren't kept
+    restoreStrips();
   } else {
-    init();
+    removeAllStrips();
   }
 }
 
@@ -580,6 +1606,7 @@ function onStorageChanged(changes, area) {
 
 function cleanup() {
   stopObserver();
+  stopPrefetch();
   stopPositionPoll();
   clearTimeout(hoverTimer);
   clearTimeout(hideTimer);
@@ -592,6 +1619,7 @@ function cleanup() {
 
   document.removeEventListener('mousemove', onMouseMove);
   document.removeEventListener('mouseover', onDocMouseOver);
+  document.removeEventListener('focusin', onDocFocusIn);
 }
 
 async function init() {
@@ -599,27 +1627,29 @@ async function init() {
   cleanup();
 
   try {
-    const s = await chrome.storage.local.get(['enabled', 'apiKey']);
-    enabled = s.enabled !== false;
-    if (!s.apiKey) log('WARNING: no API key configured');
+    settings = await NRO_SETTINGS.load();
+    if (!settings.apiKeys.length && !settings.tmdbApiKey) log('WARNING: no API key configured');
   } catch {
     log('context invalidated');
     return;
   }
 
-  if (!enabled) {
-    if (!initialized) chrome.storage.onChanged.addListener(onStorageChanged);
-    initialized = true;
-    return;
-  }
+  if (!unsubscribeSettings) unsubscribeSettings = NRO_SETTINGS.onChange(onSettingsChanged);
+  if (!unsubscribeMarks) unsubscribeMarks = NRO_MARKS.onChange(onMarksChanged);
+  if (!unsubscribePersonal) unsubscribePersonal = NRO_PERSONAL.onChange(onPersonalChanged);
+
+  if (!settings.enabled) return;
 
   ensureOverlay();
+  ensureLiveRegion();
+  await loadMarks();
+  await loadPersonal();
 
   document.addEventListener('mousemove', onMouseMove, { passive: true });
   document.addEventListener('mouseover', onDocMouseOver, { passive: true });
+  document.addEventListener('focusin', onDocFocusIn);
 
-  if (!initialized) chrome.storage.onChanged.addListener(onStorageChanged);
-
+  startPrefetch();
   attachAll(document.body);
   startObserver();
 
@@ -630,7 +1660,6 @@ async function init() {
 
   startUrlPoll();
 
-  initialized = true;
   log('ready');
 }
 
@@ -642,11 +1671,15 @@ if (document.readyState === 'loading') {
   init();
 }
 
+// Keyboard shortcuts arrive from the service worker (see KEYBOARD SHORTCUTS)
+chrome.runtime.onMessage.addListener(onRuntimeMessage);
+
 // ─── Page unload cleanup ──────────────────────────────────────
 
 window.addEventListener('pagehide', () => {
   cleanup();
   stopUrlPoll();
+  chrome.runtime.onMessage.removeListener(onRuntimeMessage);
 });
 
 })(); // end IIFE
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Netflix UI vocabulary — Netflix Ratings Overlay
+ *
+ * Netflix writes its metadata ("2 Seasons", "1h 52m", "Trailer: …") in
+ * the profile's language and sets <html lang> to match. Each table below
+ * holds what content.js needs to read that metadata in one language;
+ * forLang() compiles the page's table together with English, which
+ * Netflix still uses for some labels and which covers every language not
+ * listed here. Loaded as a classic script before content.js and exposed
+ * as the global `NRO_LOCALES`.
+ *
+ * To add a language, copy `en`, key it on the primary language subtag
+ * and translate the fragments. Fragments are regex sources, matched
+ * case-insensitively against NFKC-normalised text (so full-width digits
+ * arrive as 0–9).
+ */
+
+const NRO_LOCALES = (() => {
+
+/**
+ * series     — metadata that only a show has
+ * season     — "Season 4" in a label; it and everything after it is cut
+ * episode    — same, for "Episode 3"
+ * runtime    — a movie's running time ("1h 52m")
+ * trailer    — prefixes on preview labels, cut along with their colon
+ * nonTitle   — lower-case words a short UI label starts with ("Play",
+ *              "Retour à l'accueil"); titles may still contain them
+ * wordBreaks — false for scripts written without spaces, where a
+ *              fragment may start or end right next to other letters
+ */
+const TABLES = {
+  en: {
+    series:   ['\\d+\\s+Seasons?', '\\d+\\s+Episodes?', 'Limited Series', 'TV Series', 'Mini.?Series'],
+    season:   'Season\\s+\\d+',
+    episode:  'Episode\\s+\\d+',
+    runtime:  '\\d+h\\s*\\d*m?',
+    trailer:  ['Trailer', 'Teaser'],
+    nonTitle: [
+      'account', 'profile', 'search', 'menu', 'navigation',
+      'close', 'play', 'pause', 'volume', 'mute', 'forward', 'back',
+      'next', 'previous', 'settings', 'audio', 'subtitles', 'notifications',
+    ],
+  },
+
+  de: {
+    series:   ['\\d+\\s+Staffeln?', '\\d+\\s+(?:Folgen?|Episoden?)', 'Miniserie', 'Limitierte Serie', 'TV-Serie'],
+    season:   'Staffel\\s+\\d+',
+    episode:  '(?:Folge|Episode)\\s+\\d+',
+    runtime:  '\\d+\\s*Std\\.?(?:\\s*\\d+\\s*Min\\.?)?',
+    trailer:  ['Trailer', 'Teaser', 'Vorschau'],
+    nonTitle: [
+      'konto', 'profil', 'suche', 'menü', 'navigation',
+      'schließen', 'abspielen', 'pause', 'lautstärke', 'stummschalten', 'vorspulen', 'zurück',
+      'weiter', 'vorherige', 'einstellungen', 'audio', 'untertitel', 'benachrichtigungen',
+    ],
+  },
+
+  es: {
+    series:   ['\\d+\\s+temporadas?', '\\d+\\s+episodios?', 'Miniserie', 'Serie limitada', 'Serie de TV'],
+    season:   'Temporada\\s+\\d+',
+    episode:  'Episodio\\s+\\d+',
+    runtime:  '\\d+\\s*h(?:\\s*\\d+\\s*min)?',
+    trailer:  ['Tráiler', 'Avance', 'Teaser'],
+    nonTitle: [
+      'cuenta', 'perfil', 'buscar', 'menú', 'navegación',
+      'cerrar', 'reproducir', 'pausa', 'volumen', 'silenciar', 'adelantar', 'atrás',
+      'siguiente', 'anterior', 'configuración', 'audio', 'subtítulos', 'notificaciones',
+    ],
+  },
+
+  fr: {
+    series:   ['\\d+\\s+saisons?', '\\d+\\s+épisodes?', 'Mini-?série', 'Série limitée', 'Série TV'],
+    season:   'Saison\\s+\\d+',
+    episode:  'Épisode\\s+\\d+',
+    runtime:  '\\d+\\s*h(?:\\s*\\d+\\s*min)?',
+    trailer:  ['Bande-annonce', 'Teaser'],
+    nonTitle: [
+      'compte', 'profil', 'rechercher', 'menu', 'navigation',
+      'fermer', 'lecture', 'pause', 'volume', 'muet', 'avancer', 'retour',
+      'suivant', 'précédent', 'paramètres', 'audio', 'sous-titres', 'notifications',
+    ],
+  },
+
+  ja: {
+    series:   ['\\d+シーズン', '全?\\d+話', 'リミテッドシリーズ', 'ミニシリーズ'],
+    season:   'シーズン\\s*\\d+',
+    episode:  '(?:エピソード\\s*\\d+|第\\d+話)',
+    runtime:  '\\d+時間(?:\\d+分)?',
+    trailer:  ['予告編', 'ティーザー'],
+    // Short and specific only: without word breaks these match anywhere in
+    // the label, and words like 再生 ("play") or 次 ("next") turn up in titles
+    nonTitle: [
+      'アカウント', 'プロフィール', '検索', 'メニュー', '閉じる', '一時停止',
+      '音量', 'ミュート', '設定', '字幕', 'お知らせ',
+    ],
+    wordBreaks: false,
+  },
+};
+
+const compiled = new Map();
+
+/** Tables for `lang` (any BCP 47 tag, e.g. "de-AT"), plus English. */
+function forLang(lang) {
+  const primary = String(lang || 'en').toLowerCase().split('-')[0];
+  const key     = primary in TABLES ? primary : 'en';
+  if (!compiled.has(key)) compiled.set(key, compile(key === 'en' ? [TABLES.en] : [TABLES[key], TABLES.en]));
+  return compiled.get(key);
+}
+
+function compile(tables) {
+  const any = (pick) => tables.flatMap(t => [].concat(pick(t)).map(f => word(f, t))).join('|');
+
+  return {
+    series:   new RegExp(any(t => [...t.series, t.season, t.episode]), 'iu'),
+    movie:    new RegExp(any(t => t.runtime), 'iu'),
+    season:   new RegExp(any(t => t.season), 'iu'),
+    episode:  new RegExp(any(t => t.episode), 'iu'),
+    // From the marker to the end of the label, with the separator before it
+    seasonTail:  new RegExp(`\\s*[-–—:]?\\s*(?:${any(t => t.season)}).*$`, 'iu'),
+    episodeTail: new RegExp(`\\s*[-–—:]?\\s*(?:${any(t => t.episode)}).*$`, 'iu'),
+    trailer:  new RegExp(`^(?:${tables.flatMap(t => t.trailer).join('|')})\\s*[:：]\\s*`, 'iu'),
+    nonTitle: new RegExp(tables.flatMap(t => t.nonTitle.map(w => leading(w, t))).join('|'), 'iu'),
+  };
+}
+
+/** UI word → pattern for a label that opens with it (anywhere, without word breaks). */
+function leading(fragment, table) {
+  if (table.wordBreaks === false) return `(?:${fragment})`;
+  return `^(?:${fragment})(?![\\p{L}])`;
+}
+
+/** Fragment → pattern that won't match inside a longer word. */
+function word(fragment, table) {
+  if (table.wordBreaks === false) return `(?:${fragment})`;
+  return `(?<![\\p{L}\\p{N}])(?:${fragment})(?![\\p{L}])`;
+}
+
+return { forLang, languages: Object.keys(TABLES) };
+
+})();
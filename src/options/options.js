@@ -0,0 +1,233 @@
+'use strict';
+
+/**
+ * Options Page — Netflix Ratings Overlay
+ *
+ * Every form control is named after its key in the settings schema
+ * (src/shared/settings.js), so binding, range hints and validation are
+ * generic: a change is saved on the spot, and an invalid value is shown
+ * next to its field instead of being written. The page also hosts the
+ * cache export / import and the debug-mode lookup trace, which the
+ * service worker does the work for. Its text comes from _locales through
+ * NRO_I18N, like the popup's.
+ */
+
+const STATUS_DISPLAY_MS = 3000;
+const { msg }           = NRO_I18N;
+
+let statusTimer = null;
+let traces      = [];   // from GET_LOOKUP_TRACE, oldest first
+
+// ─── Bootstrap ────────────────────────────────────────────────
+
+document.addEventListener('DOMContentLoaded', async () => {
+  NRO_I18N.localize();
+  const form = document.getElementById('settingsForm');
+
+  for (const el of form.querySelectorAll('input[type="number"]')) {
+    const spec = NRO_SETTINGS.SCHEMA[el.name];
+    el.min = spec.min;
+    el.max = spec.max;
+  }
+
+  const zones = document.getElementById('timeZones');
+  for (const zone of Intl.supportedValuesOf?.('timeZone') || []) zones.appendChild(new Option(zone));
+
+  fillForm(await NRO_SETTINGS.load());
+
+  form.addEventListener('change', onFieldChanged);
+  form.addEventListener('submit', e => e.preventDefault());
+  document.getElementById('reset').addEventListener('click', onReset);
+  document.getElementById('exportCache').addEventListener('click', onExportCache);
+  document.getElementById('importCache').addEventListener('click', () => {
+    document.getElementById('importFile').click();
+  });
+  document.getElementById('importFile').addEventListener('change', onImportFile);
+  document.getElementById('reloadTrace').addEventListener('click', loadTrace);
+  document.getElementById('copyTrace').addEventListener('click', onCopyTrace);
+  document.getElementById('clearTrace').addEventListener('click', onClearTrace);
+  await loadTrace();
+
+  // Keep in sync with edits made from the popup while this tab is open
+  NRO_SETTINGS.onChange(fillForm);
+});
+
+// ─── Form ↔ settings ─────────────────────────────────────────
+
+function fillForm(values) {
+  for (const [key, value] of Object.entries(values)) {
+    const controls = document.getElementsByName(key);
+    if (!controls.length) continue;
+
+    if (NRO_SETTINGS.SCHEMA[key].type === 'list') {
+      for (const box of controls) box.checked = value.includes(box.value);
+    } else if (controls[0].type === 'checkbox') {
+      controls[0].checked = value;
+    } else {
+      controls[0].value = value ?? '';
+    }
+  }
+}
+
+function readField(key) {
+  const controls = [...document.getElementsByName(key)];
+  if (NRO_SETTINGS.SCHEMA[key].type === 'list') {
+    return controls.filter(box => box.checked).map(box => box.value);
+  }
+  return controls[0].type === 'checkbox' ? controls[0].checked : controls[0].value;
+}
+
+async function onFieldChanged(e) {
+  const key = e.target.name;
+  if (!NRO_SETTINGS.SCHEMA[key]) return;
+
+  const { saved, errors } = await NRO_SETTINGS.save({ [key]: readField(key) });
+  showFieldError(key, errors[key]);
+
+  if (key in saved) {
+    fillForm({ [key]: saved[key] });
+    if (!errors[key]) showStatus(msg('optionsStatusSaved'), 'success');
+  }
+}
+
+function showFieldError(key, message) {
+  const el = document.querySelector(`[data-error-for="${key}"]`);
+  if (el) el.textContent = message || '';
+  for (const control of document.getElementsByName(key)) {
+    control.toggleAttribute('aria-invalid', Boolean(message));
+  }
+}
+
+// ─── Reset ───────────────────────────────────────────────────
+
+async function onReset() {
+  if (!confirm(msg('optionsConfirmReset'))) return;
+
+  await NRO_SETTINGS.reset();
+  for (const el of document.querySelectorAll('[data-error-for]')) showFieldError(el.dataset.errorFor, '');
+  fillForm(await NRO_SETTINGS.load());
+  showStatus(msg('optionsStatusReset'), 'info');
+}
+
+// ─── Cache backup ────────────────────────────────────────────
+
+async function onExportCache() {
+  const res = await chrome.runtime.sendMessage({ type: 'EXPORT_CACHE' });
+  if (!res?.data) {
+    showStatus(res?.error || msg('optionsStatusExportFailed'), 'error');
+    return;
+  }
+
+  const blob = new Blob([JSON.stringify(res.data)], { type: 'application/json' });
+  const url  = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href     = url;
+  link.download = `netflix-ratings-cache-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+
+  const count = Object.keys(res.data.ratings).length;
+  showStatus(msg('optionsStatusExported', count), 'success');
+}
+
+async function onImportFile(e) {
+  const file = e.target.files[0];
+  e.target.value = ''; // let the same file be picked again
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    showStatus(msg('optionsStatusNotJson'), 'error');
+    return;
+  }
+
+  const res = await chrome.runtime.sendMessage({ type: 'IMPORT_CACHE', data });
+  if (!res || res.error) {
+    showStatus(res?.error || msg('optionsStatusImportFailed'), 'error');
+    return;
+  }
+
+  showStatus(res.skipped
+    ? msg('optionsStatusImportedSkipped', res.ratings, res.overrides, res.skipped)
+    : msg('optionsStatusImported', res.ratings, res.overrides), 'success');
+}
+
+// ─── Lookup trace ────────────────────────────────────────────
+
+async function loadTrace() {
+  const res = await chrome.runtime.sendMessage({ type: 'GET_LOOKUP_TRACE' });
+  traces = res?.traces || [];
+  renderTrace();
+}
+
+function renderTrace() {
+  const list = document.getElementById('traceList');
+  list.replaceChildren(...traces.slice().reverse().map(traceItem));
+
+  document.getElementById('traceSummary').textContent = traces.length
+    ? msg('optionsTraceSummary', traces.length)
+    : msg('optionsTraceEmpty');
+}
+
+/** A one-line headline that opens onto the whole trace. */
+function traceItem(trace) {
+  const item    = document.createElement('li');
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  const body    = document.createElement('pre');
+  summary.textContent = traceHeadline(trace);
+  body.textContent    = JSON.stringify(trace, null, 2);
+
+  details.append(summary, body);
+  item.appendChild(details);
+  return item;
+}
+
+/** "21:04:17 · Inception (2010, movie) via img-alt → tt1375666 · OMDb exactSearch · 1 call" */
+function traceHeadline({ at, query, source, providers, outcome, imdbID, calls }) {
+  const extra    = [query.year, query.mediaType].filter(Boolean).join(', ');
+  const asked    = extra ? `${query.title} (${extra})` : query.title;
+  const via      = query.strategy ? ` ${msg('optionsTraceVia', query.strategy)}` : '';
+  const result   = outcome === 'found' ? imdbID : outcome;
+  const searched = source === 'cache' ? msg('optionsTraceFromCache')
+    : providers.map(p => `${p.provider} ${p.search}`).join(', ') || msg('optionsTraceNotSearched');
+  const spent    = msg(calls === 1 ? 'optionsTraceOneCall' : 'optionsTraceCalls', calls);
+
+  return `${new Date(at).toLocaleTimeString()} · ${asked}${via} → ${result} · ${searched} · ${spent}`;
+}
+
+async function onCopyTrace() {
+  if (!traces.length) {
+    showStatus(msg('optionsTraceNothing'), 'info');
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(JSON.stringify(traces, null, 2));
+    showStatus(msg('optionsTraceCopied', traces.length), 'success');
+  } catch {
+    showStatus(msg('optionsTraceCopyFailed'), 'error');
+  }
+}
+
+async function onClearTrace() {
+  await chrome.runtime.sendMessage({ type: 'CLEAR_LOOKUP_TRACE' });
+  traces = [];
+  renderTrace();
+  showStatus(msg('optionsTraceCleared'), 'info');
+}
+
+// ─── Status display ─────────────────────────────────────────
+
+function showStatus(message, type) {
+  const el = document.getElementById('status');
+  el.textContent = message;
+  el.className   = `status ${type}`;
+
+  if (statusTimer) clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => {
+    el.className = 'status';
+    statusTimer  = null;
+  }, STATUS_DISPLAY_MS);
+}
@@ -3,126 +3,583 @@
 /**
  * Popup Script — Netflix Ratings Overlay
  *
- * Manages the extension settings popup: API key configuration,
- * enable/disable toggle, cache stats, and cache clearing.
+ * Manages the extension settings popup: the OMDb key list (with each key's
+ * remaining quota and which one is active), the TMDb key, enable/disable
+ * toggle, low-rating filter, display mode, badge selection, prefetch budget, match corrections,
+ * the synced watchlist / seen lists (NRO_MARKS, src/shared/marks.js), your own ratings and notes
+ * (NRO_PERSONAL, src/shared/personal.js), cache stats, and cache clearing.
+ * Less common settings live on the options page; both go through the
+ * shared schema in src/shared/settings.js (NRO_SETTINGS). Every string
+ * comes from _locales/ through NRO_I18N (src/shared/i18n.js).
  */
 
 const VALIDATE_TIMEOUT_MS = 8000;
 const STATUS_DISPLAY_MS   = 3000;
 const API_KEY_PATTERN     = /^[a-zA-Z0-9]+$/;
+const IMDB_ID_IN_TEXT     = /tt\d{7,10}/;
+const SVG_NS              = 'http://www.w3.org/2000/svg';
+const { msg }             = NRO_I18N;
 
 let statusTimer = null;
+let lastLookup  = null;
+let myRatings   = [];     // [imdbID, entry] pairs, newest first
 
 // ─── Bootstrap ────────────────────────────────────────────────
 
 document.addEventListener('DOMContentLoaded', async () => {
-  const settings = await chrome.storage.local.get(['apiKey', 'enabled']);
-
-  document.getElementById('apiKey').value   = settings.apiKey || '';
-  document.getElementById('enabled').checked = settings.enabled !== false;
+  NRO_I18N.localize();
+  NRO_I18N.localize(document.getElementById('apiKeyRowTemplate').content);
+
+  const settings = await NRO_SETTINGS.load();
+
+  renderKeyRows(settings.apiKeys);
+  document.getElementById('tmdbApiKey').value = settings.tmdbApiKey;
+  document.getElementById('enabled').checked = settings.enabled;
+  document.getElementById('alwaysOn').checked  = settings.displayMode === 'always';
+  document.getElementById('filterMode').value   = settings.filterMode;
+  document.getElementById('filterMinImdb').value = settings.filterMinImdb ?? '';
+  document.getElementById('filterMinRt').value   = settings.filterMinRt ?? '';
+  document.getElementById('showVotes').checked = settings.showVotes;
+  document.getElementById('prefetchEnabled').checked = settings.prefetchEnabled;
+  document.getElementById('prefetchShare').value = settings.prefetchShare;
+
+  for (const box of document.querySelectorAll('input[name="badge"]')) {
+    box.checked = settings.badges.includes(box.value);
+    box.addEventListener('change', onBadgesChanged);
+  }
 
-  await refreshStats();
+  await refreshStats(settings.apiWarnThreshold);
+  await refreshMatchFix();
+  await renderMarks();
+  NRO_MARKS.onChange(renderMarks);
+  await loadPersonal();
+  NRO_PERSONAL.onChange(loadPersonal);
 
   document.getElementById('save').addEventListener('click', onSave);
+  document.getElementById('addApiKey').addEventListener('click', () => addKeyRow('').querySelector('input').focus());
   document.getElementById('clearCache').addEventListener('click', onClearCache);
-  document.getElementById('toggleVisibility').addEventListener('click', onToggleVisibility);
+  document.getElementById('tmdbApiKey').parentElement
+    .querySelector('.toggle-visibility').addEventListener('click', onToggleVisibility);
   document.getElementById('enabled').addEventListener('change', onToggleEnabled);
+  document.getElementById('alwaysOn').addEventListener('change', onToggleAlwaysOn);
+  for (const id of ['filterMode', 'filterMinImdb', 'filterMinRt']) {
+    document.getElementById(id).addEventListener('change', onFilterChanged);
+  }
+  document.getElementById('showVotes').addEventListener('change', onBadgesChanged);
+  document.getElementById('prefetchEnabled').addEventListener('change', onPrefetchChanged);
+  document.getElementById('prefetchShare').addEventListener('change', onPrefetchChanged);
+  document.getElementById('applyOverride').addEventListener('click', onApplyOverride);
+  document.getElementById('personalSearch').addEventListener('input', renderPersonal);
+  document.getElementById('exportPersonal').addEventListener('click', onExportPersonal);
+  document.getElementById('openOptions').addEventListener('click', e => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
 });
 
 // ─── Save settings ───────────────────────────────────────────
 
 async function onSave() {
-  const apiKey  = document.getElementById('apiKey').value.trim();
-  const enabledEl = document.getElementById('enabled');
-  const saveBtn = document.getElementById('save');
+  const apiKeys    = readKeyRows();
+  const tmdbApiKey = document.getElementById('tmdbApiKey').value.trim();
+  const enabledEl  = document.getElementById('enabled');
+  const saveBtn    = document.getElementById('save');
 
-  if (!apiKey) {
-    showStatus('Please enter an API key.', 'error');
+  if (!apiKeys.length && !tmdbApiKey) {
+    showStatus(msg('statusNoKey'), 'error');
     return;
   }
 
-  if (!API_KEY_PATTERN.test(apiKey)) {
-    showStatus('API key should only contain letters and numbers.', 'error');
+  if (!apiKeys.every(k => API_KEY_PATTERN.test(k)) || (tmdbApiKey && !API_KEY_PATTERN.test(tmdbApiKey))) {
+    showStatus(msg('statusBadKeyChars'), 'error');
     return;
   }
 
   saveBtn.disabled    = true;
-  saveBtn.textContent = 'Validating…';
-  showStatus('Validating API key…', 'info');
-
-  try {
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), VALIDATE_TIMEOUT_MS);
+  saveBtn.textContent = msg('validating');
+  showStatus(msg(apiKeys.length > 1 ? 'statusValidatingKeys' : 'statusValidatingKey'), 'info');
 
-    const res  = await fetch(
-      `https://www.omdbapi.com/?apikey=${encodeURIComponent(apiKey)}&t=inception`,
-      { signal: controller.signal }
-    );
-    clearTimeout(timer);
-    const data = await res.json();
+  const save = () => NRO_SETTINGS.save({ apiKeys, tmdbApiKey, enabled: enabledEl.checked });
 
-    if (data.Response === 'False' && data.Error?.toLowerCase().includes('invalid api key')) {
-      showStatus('Invalid API key. Please check and try again.', 'error');
+  try {
+    for (const [i, key] of apiKeys.entries()) {
+      if (!await validateKey(omdbValidationRequest(key))) {
+        showStatus(apiKeys.length > 1 ? msg('statusInvalidOmdbKeyNumbered', i + 1) : msg('statusInvalidKey'), 'error');
+        return;
+      }
+    }
+    if (tmdbApiKey && !await validateKey(tmdbValidationRequest(tmdbApiKey))) {
+      showStatus(msg('statusInvalidTmdbKey'), 'error');
       return;
     }
 
-    await chrome.storage.local.set({ apiKey, enabled: enabledEl.checked });
-    showStatus('Settings saved!', 'success');
+    await save();
+    showStatus(msg('statusSaved'), 'success');
   } catch (err) {
-    // Network error — save anyway; key might still be valid
-    await chrome.storage.local.set({ apiKey, enabled: enabledEl.checked });
-    showStatus('Saved (could not validate — network error).', 'success');
+    // Network error — save anyway; keys might still be valid
+    await save();
+    showStatus(msg('statusSavedUnvalidated'), 'success');
   } finally {
     saveBtn.disabled    = false;
-    saveBtn.textContent = 'Save';
+    saveBtn.textContent = msg('save');
+    await refreshKeyStatus();
+  }
+}
+
+/** Resolves false only when the provider positively rejects the key. */
+async function validateKey({ url, isInvalid }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), VALIDATE_TIMEOUT_MS);
+
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    return !isInvalid(res, await res.json());
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function omdbValidationRequest(key) {
+  return {
+    url: `https://www.omdbapi.com/?apikey=${encodeURIComponent(key)}&t=inception`,
+    isInvalid: (_res, data) =>
+      data.Response === 'False' && data.Error?.toLowerCase().includes('invalid api key'),
+  };
+}
+
+function tmdbValidationRequest(key) {
+  return {
+    url: `https://api.themoviedb.org/3/configuration?api_key=${encodeURIComponent(key)}`,
+    isInvalid: (res, data) => res.status === 401 || data.status_code === 7,
+  };
+}
+
+// ─── OMDb key list ──────────────────────────────────────────
+
+/** One row per saved key, plus an empty row when there are none yet. */
+function renderKeyRows(keys) {
+  document.getElementById('apiKeyList').replaceChildren();
+  for (const key of keys.length ? keys : ['']) addKeyRow(key);
+}
+
+function addKeyRow(value) {
+  const list = document.getElementById('apiKeyList');
+  const row  = document.getElementById('apiKeyRowTemplate').content.firstElementChild.cloneNode(true);
+
+  row.querySelector('.api-key').value = value;
+  row.querySelector('.toggle-visibility').addEventListener('click', onToggleVisibility);
+  row.querySelector('.remove-btn').addEventListener('click', () => {
+    row.remove();
+    if (!list.children.length) addKeyRow('');
+    updateKeyControls();
+  });
+
+  list.appendChild(row);
+  updateKeyControls();
+  return row;
+}
+
+/** Number the rows for screen readers; cap the list at the schema's max. */
+function updateKeyControls() {
+  const rows = [...document.querySelectorAll('#apiKeyList .key-row')];
+  rows.forEach((row, i) => {
+    row.querySelector('.api-key').setAttribute('aria-label', msg('omdbKeyNumbered', i + 1));
+    row.querySelector('.remove-btn').hidden = rows.length === 1;
+  });
+  document.getElementById('addApiKey').hidden = rows.length >= NRO_SETTINGS.SCHEMA.apiKeys.max;
+}
+
+function readKeyRows() {
+  const keys = [...document.querySelectorAll('#apiKeyList .api-key')].map(i => i.value.trim());
+  return [...new Set(keys.filter(Boolean))];
+}
+
+/**
+ * Label each row with what the service worker knows about that key:
+ * requests left today, whether it is the one lookups use right now, or
+ * why it is being skipped.
+ */
+async function refreshKeyStatus() {
+  const status = await chrome.runtime.sendMessage({ type: 'GET_KEY_STATUS' });
+  const byKey  = new Map((status?.keys || []).map((k, i) => [k.key, { ...k, active: i === status.active }]));
+
+  for (const row of document.querySelectorAll('#apiKeyList .key-row')) {
+    const info = byKey.get(row.querySelector('.api-key').value.trim());
+    const text = row.querySelector('.key-status');
+
+    row.classList.toggle('active', !!info?.active);
+    row.classList.toggle('spent', !!info && info.state !== 'ready');
+    text.textContent = info ? keyStatusText(info, status.resetsAt) : '';
   }
 }
 
+function keyStatusText({ state, remaining, active }, resetsAt) {
+  if (state === 'quota') {
+    const at = new Date(resetsAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    return msg('keyLimitReached', at);
+  }
+  if (state === 'invalid') return msg('keyRejected');
+  const left = msg('keyLeftToday', remaining.toLocaleString());
+  return active ? msg('keyActive', left) : left;
+}
+
 // ─── Toggle enabled ──────────────────────────────────────────
 
 async function onToggleEnabled(e) {
   const on = e.target.checked;
   await chrome.storage.local.set({ enabled: on });
-  showStatus(on ? 'Extension enabled.' : 'Extension disabled.', on ? 'success' : 'info');
+  showStatus(msg(on ? 'statusEnabled' : 'statusDisabled'), on ? 'success' : 'info');
+}
+
+// ─── Low-rating filter ──────────────────────────────────────
+
+async function onFilterChanged() {
+  await saveFields(['filterMode', 'filterMinImdb', 'filterMinRt']);
+}
+
+/**
+ * Save the inputs with these ids through the settings schema, then write
+ * the stored (possibly clamped) values back so the popup shows what's kept.
+ */
+async function saveFields(ids) {
+  const partial = {};
+  for (const id of ids) partial[id] = document.getElementById(id).value;
+
+  const { saved, errors } = await NRO_SETTINGS.save(partial);
+  for (const id of ids) {
+    if (id in saved) document.getElementById(id).value = saved[id] ?? '';
+  }
+
+  const first = Object.entries(errors)[0];
+  if (first) showStatus(first[1], 'error');
+}
+
+// ─── Display mode ───────────────────────────────────────────
+
+async function onToggleAlwaysOn(e) {
+  await chrome.storage.local.set({ displayMode: e.target.checked ? 'always' : 'hover' });
+}
+
+// ─── Badge selection ────────────────────────────────────────
+
+async function onBadgesChanged() {
+  const badges = [...document.querySelectorAll('input[name="badge"]:checked')].map(b => b.value);
+  const showVotes = document.getElementById('showVotes').checked;
+  await chrome.storage.local.set({ badges, showVotes });
+}
+
+// ─── Prefetch ───────────────────────────────────────────────
+
+async function onPrefetchChanged() {
+  await chrome.storage.local.set({ prefetchEnabled: document.getElementById('prefetchEnabled').checked });
+  await saveFields(['prefetchShare']);
+}
+
+// ─── Match corrections ──────────────────────────────────────
+
+async function refreshMatchFix() {
+  ({ lastLookup } = await chrome.storage.local.get('lastLookup'));
+
+  const section = document.getElementById('matchFix');
+  section.hidden = !lastLookup;
+  if (lastLookup) {
+    const info = document.getElementById('lastLookupInfo');
+    const { query, match } = lastLookup;
+    info.textContent = `“${query.title}”${query.year ? ` (${query.year})` : ''} → `;
+    const result = document.createElement('span');
+    result.className   = match ? '' : 'muted';
+    result.textContent = match ? `${match.title} (${match.year}, ${match.imdbID})` : msg('noMatch');
+    info.appendChild(result);
+  }
+
+  await renderOverrides();
+}
+
+async function onApplyOverride() {
+  const input  = document.getElementById('overrideInput');
+  const imdbID = input.value.match(IMDB_ID_IN_TEXT)?.[0];
+
+  if (!imdbID) {
+    showStatus(msg('statusPasteImdbId'), 'error');
+    return;
+  }
+
+  const res = await chrome.runtime.sendMessage({
+    type: 'SET_MATCH_OVERRIDE',
+    query: lastLookup.query,
+    imdbID,
+  });
+
+  if (res?.error) {
+    showStatus(res.error, 'error');
+    return;
+  }
+
+  input.value = '';
+  showStatus(res?.title ? msg('statusMatchedTo', res.title) : msg('statusCorrectionSaved'), 'success');
+  await refreshMatchFix();
+}
+
+async function renderOverrides() {
+  const { overrides = [] } = await chrome.runtime.sendMessage({ type: 'LIST_MATCH_OVERRIDES' }) || {};
+  const list = document.getElementById('overrideList');
+
+  document.getElementById('overrideCount').textContent = overrides.length;
+  list.replaceChildren();
+
+  if (!overrides.length) {
+    const li = document.createElement('li');
+    li.className   = 'empty';
+    li.textContent = msg('noCorrections');
+    list.appendChild(li);
+    return;
+  }
+
+  for (const o of overrides) {
+    const li    = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = `${o.query.title}${o.query.year ? ` (${o.query.year})` : ''} → `;
+
+    const link = document.createElement('a');
+    link.href        = `https://www.imdb.com/title/${o.imdbID}/`;
+    link.target      = '_blank';
+    link.rel         = 'noopener noreferrer';
+    link.textContent = o.imdbID;
+    label.appendChild(link);
+
+    const remove = document.createElement('button');
+    remove.type        = 'button';
+    remove.className   = 'remove-btn';
+    remove.textContent = '×';
+    remove.title       = msg('removeCorrection');
+    remove.setAttribute('aria-label', msg('removeCorrectionAria', o.query.title));
+    remove.addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({ type: 'REMOVE_MATCH_OVERRIDE', key: o.key });
+      showStatus(msg('statusCorrectionRemoved'), 'info');
+      await renderOverrides();
+    });
+
+    li.append(label, remove);
+    list.appendChild(li);
+  }
+}
+
+// ─── Watchlist / seen ────────────────────────────────────────
+
+/** Both lists, newest mark first; marks are set from the overlay. */
+async function renderMarks() {
+  const marks = [...(await NRO_MARKS.all())].sort(([, a], [, b]) => b.at - a.at);
+
+  for (const list of NRO_MARKS.LISTS) {
+    const entries = marks.filter(([, mark]) => mark.list === list);
+    const ul      = document.getElementById(`${list}List`);
+
+    document.getElementById(`${list}Count`).textContent = entries.length;
+    ul.replaceChildren();
+
+    if (!entries.length) {
+      const li = document.createElement('li');
+      li.className   = 'empty';
+      li.textContent = msg('noMarks');
+      ul.appendChild(li);
+      continue;
+    }
+
+    for (const [imdbID, mark] of entries) ul.appendChild(markRow(imdbID, mark));
+  }
+}
+
+function markRow(imdbID, mark) {
+  const li    = document.createElement('li');
+  const label = document.createElement('span');
+  const name  = mark.title || imdbID;
+
+  const link = document.createElement('a');
+  link.href        = `https://www.imdb.com/title/${imdbID}/`;
+  link.target      = '_blank';
+  link.rel         = 'noopener noreferrer';
+  link.textContent = mark.year ? `${name} (${mark.year})` : name;
+  label.appendChild(link);
+
+  const remove = document.createElement('button');
+  remove.type        = 'button';
+  remove.className   = 'remove-btn';
+  remove.textContent = '×';
+  remove.title       = msg('removeMark');
+  remove.setAttribute('aria-label', msg('removeMarkAria', name));
+  // The onChange subscription re-renders the lists
+  remove.addEventListener('click', () => NRO_MARKS.clear(imdbID));
+
+  li.append(label, remove);
+  return li;
+}
+
+// ─── My ratings ──────────────────────────────────────────────
+
+async function loadPersonal() {
+  myRatings = [...(await NRO_PERSONAL.all())].sort(([, a], [, b]) => b.at - a.at);
+  renderPersonal();
+}
+
+/** The list, narrowed to titles or notes containing the search text. */
+function renderPersonal() {
+  const ul    = document.getElementById('personalList');
+  const query = document.getElementById('personalSearch').value.trim().toLowerCase();
+  const shown = query
+    ? myRatings.filter(([imdbID, e]) => `${e.title}\n${e.note}\n${imdbID}`.toLowerCase().includes(query))
+    : myRatings;
+
+  document.getElementById('personalCount').textContent = myRatings.length;
+  ul.replaceChildren();
+
+  if (!shown.length) {
+    const li = document.createElement('li');
+    li.className   = 'empty';
+    li.textContent = msg(myRatings.length ? 'noPersonalMatches' : 'noPersonal');
+    ul.appendChild(li);
+    return;
+  }
+
+  for (const [imdbID, entry] of shown) ul.appendChild(personalRow(imdbID, entry));
+}
+
+function personalRow(imdbID, entry) {
+  const li    = document.createElement('li');
+  const label = document.createElement('span');
+  const name  = entry.title || imdbID;
+
+  const score = document.createElement('b');
+  score.className   = 'personal-score';
+  score.textContent = `${entry.score}/10 `;
+
+  const link = document.createElement('a');
+  link.href        = `https://www.imdb.com/title/${imdbID}/`;
+  link.target      = '_blank';
+  link.rel         = 'noopener noreferrer';
+  link.textContent = entry.year ? `${name} (${entry.year})` : name;
+  label.append(score, link);
+
+  if (entry.note) {
+    const note = document.createElement('span');
+    note.className   = 'personal-note';
+    note.textContent = ` — ${entry.note}`;
+    label.title = entry.note;
+    label.appendChild(note);
+  }
+
+  const remove = document.createElement('button');
+  remove.type        = 'button';
+  remove.className   = 'remove-btn';
+  remove.textContent = '×';
+  remove.title       = msg('removePersonal');
+  remove.setAttribute('aria-label', msg('removePersonalAria', name));
+  // The onChange subscription reloads the list
+  remove.addEventListener('click', () => NRO_PERSONAL.clear(imdbID));
+
+  li.append(label, remove);
+  return li;
+}
+
+async function onExportPersonal() {
+  const data = await NRO_PERSONAL.exportData();
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url  = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href     = url;
+  link.download = `netflix-ratings-personal-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  showStatus(msg('statusPersonalExported', Object.keys(data.ratings).length), 'success');
 }
 
 // ─── Clear cache ─────────────────────────────────────────────
 
 async function onClearCache() {
-  const all = await chrome.storage.local.get(null);
-  const keys = Object.keys(all).filter(k => k.startsWith('rating_'));
+  const cleared = await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' });
 
-  if (!keys.length) {
-    showStatus('Cache is already empty.', 'info');
+  if (!cleared || cleared.error) {
+    showStatus(cleared?.error || msg('statusClearFailed'), 'error');
+    return;
+  }
+  if (!cleared.ratings && !cleared.siteIds) {
+    showStatus(msg('statusCacheEmpty'), 'info');
     return;
   }
 
-  await chrome.storage.local.remove(keys);
-  await chrome.storage.local.set({ _nro_cacheWriteCount: 0 });
-  await refreshStats();
-  showStatus(`Cleared ${keys.length} cached ratings.`, 'success');
+  await refreshStats((await NRO_SETTINGS.load()).apiWarnThreshold);
+  showStatus(msg('statusCleared', cleared.ratings), 'success');
 }
 
 // ─── Stats ───────────────────────────────────────────────────
 
-async function refreshStats() {
-  const all   = await chrome.storage.local.get(null);
-  const count = Object.keys(all).filter(k => k.startsWith('rating_')).length;
+async function refreshStats(warnAt) {
+  const stats = await chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' });
+  const usage = await chrome.runtime.sendMessage({ type: 'GET_USAGE' });
 
-  document.getElementById('cacheCount').textContent = count;
+  document.getElementById('cacheCount').textContent = stats?.ratings ?? 0;
 
-  const today = new Date().toDateString();
-  const calls = all.apiCallsDate === today ? (all.apiCallsToday || 0) : 0;
+  const calls = usage?.callsToday ?? 0;
   const el    = document.getElementById('apiCalls');
   el.textContent  = calls;
-  el.style.color  = calls >= 900 ? '#dc3545' : '';
+  el.style.color  = calls >= warnAt ? '#dc3545' : '';
+  el.title        = usage?.resetsAt ? msg('resetsAt', new Date(usage.resetsAt).toLocaleString()) : '';
+
+  renderUsageChart(usage?.days || []);
+  await refreshKeyStatus();
+}
+
+/**
+ * One bar per quota day, oldest on the left: OMDb calls in red with the
+ * lookups the cache answered stacked on top in green. A tall green part
+ * over a short red one means the cache is doing its job.
+ */
+function renderUsageChart(days) {
+  const svg     = document.getElementById('usageChart');
+  const summary = document.getElementById('usageSummary');
+  const [, , width, height] = svg.getAttribute('viewBox').split(' ').map(Number);
+  const peak = Math.max(1, ...days.map(d => d.calls + d.hits));
+  const slot = width / Math.max(1, days.length);
+
+  svg.replaceChildren();
+  days.forEach((day, i) => {
+    const bar = document.createElementNS(SVG_NS, 'g');
+    if (i === days.length - 1) bar.classList.add('today');
+
+    let top = height;
+    for (const series of ['calls', 'hits']) {
+      const h = day[series] / peak * height;
+      if (!h) continue;
+      top -= h;
+      const rect = document.createElementNS(SVG_NS, 'rect');
+      rect.setAttribute('class', series);
+      rect.setAttribute('x', i * slot + 1);
+      rect.setAttribute('y', top);
+      rect.setAttribute('width', Math.max(1, slot - 2));
+      rect.setAttribute('height', h);
+      bar.appendChild(rect);
+    }
+
+    const tip = document.createElementNS(SVG_NS, 'title');
+    tip.textContent = msg('usageDayTooltip', day.date, day.calls, day.hits, day.misses);
+    bar.appendChild(tip);
+    svg.appendChild(bar);
+  });
+
+  summary.textContent = usageSummary(days);
+}
+
+function usageSummary(days) {
+  const hits    = days.reduce((sum, d) => sum + d.hits, 0);
+  const lookups = hits + days.reduce((sum, d) => sum + d.misses, 0);
+  if (!lookups) return msg('usageNoLookups', days.length);
+  return msg('usageHitRate', Math.round(hits / lookups * 100), days.length);
 }
 
 // ─── Password visibility toggle ─────────────────────────────
 
-function onToggleVisibility() {
-  const input = document.getElementById('apiKey');
-  const icon  = document.getElementById('eyeIcon');
+function onToggleVisibility(e) {
+  const input = e.currentTarget.closest('.input-group').querySelector('input');
+  const icon  = e.currentTarget.querySelector('svg');
 
   const showing = input.type === 'text';
   input.type = showing ? 'password' : 'text';
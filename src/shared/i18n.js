@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * UI strings — Netflix Ratings Overlay
+ *
+ * Thin wrapper over chrome.i18n, whose messages live in
+ * _locales/<lang>/messages.json (English is the default_locale and the
+ * fallback for any missing message). Loaded as a classic script by the
+ * content script (manifest), the service worker and every extension
+ * page — ahead of settings.js, whose validation errors are messages —
+ * and exposed as the global `NRO_I18N`.
+ *
+ * Static markup is translated by localize(): an element with
+ * data-i18n="name" gets the message as its text, and
+ * data-i18n-<attr>="name" sets that attribute (title, placeholder,
+ * aria-label) instead.
+ */
+
+const NRO_I18N = (() => {
+
+const ATTRIBUTES = ['title', 'placeholder', 'aria-label'];
+
+/**
+ * The message called `name`, with $1…$9 filled from `subs`. Falls back
+ * to the name itself, so a missing message shows up instead of a blank.
+ */
+function msg(name, ...subs) {
+  return chrome.i18n?.getMessage(name, subs.map(String)) || name;
+}
+
+function localize(root = document) {
+  for (const el of root.querySelectorAll('[data-i18n]')) {
+    el.textContent = msg(el.dataset.i18n);
+  }
+  for (const attr of ATTRIBUTES) {
+    for (const el of root.querySelectorAll(`[data-i18n-${attr}]`)) {
+      el.setAttribute(attr, msg(el.getAttribute(`data-i18n-${attr}`)));
+    }
+  }
+  if (root === document) document.documentElement.lang = chrome.i18n?.getUILanguage?.() || 'en';
+}
+
+return { msg, localize };
+
+})();
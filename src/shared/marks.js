@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * Watchlist and "seen" marks — Netflix Ratings Overlay
+ *
+ * One mark per title, keyed by imdbID. Loaded as a classic script by the
+ * content script (manifest), the popup and the service worker
+ * (importScripts), and exposed as the global `NRO_MARKS`.
+ *
+ * The marks live in two places:
+ *
+ *   chrome.storage.local  all of them under the one `marks` key; a write
+ *                         that fails here fails the mark
+ *   chrome.storage.sync   a copy Chrome carries to the profile's other
+ *                         devices, spread over SYNC_KEYS by imdbID and
+ *                         written best-effort after each change
+ *
+ * Sync caps each item at 8 KB, so each of its items holds the newest
+ * marks of its share that fit, and all of them together stay under the
+ * 100 KB sync allows in total. Only the items that changed are written,
+ * in one call; a write sync refuses is only logged, and the next change
+ * writes whatever still differs. Both places map
+ *
+ *   imdbID → { list: 'seen' | 'watchlist', title, year, at, ids: [<video id>…] }
+ *          | { at }   (cleared at `at`, so the clear reaches other devices)
+ *
+ * and wherever the two disagree the newer `at` wins. `ids` are the
+ * streaming sites' video IDs the title was marked from (the lookup's
+ * `siteId`), so a card can show its marker as soon as it is attached,
+ * before any rating for it has loaded.
+ *
+ * set() and clear() read every mark, change one and write them all back,
+ * so two tabs doing that at once would each drop the other's change.
+ * They hand the change to the service worker (SET_MARK / CLEAR_MARK),
+ * which makes it with commitSet() / commitClear(), one at a time.
+ */
+
+const NRO_MARKS = (() => {
+
+const STORE_KEY    = 'marks';
+const SYNC_BUCKETS = 12;   // sync items the copy is spread over; 12 × 8 KB stays under 100 KB
+const SYNC_KEYS    = Array.from({ length: SYNC_BUCKETS }, (_, i) => `${STORE_KEY}.${i}`);
+const LISTS        = ['seen', 'watchlist'];
+const IMDB_ID      = /^tt\d{7,10}$/;
+const MAX_IDS      = 8;    // video IDs remembered per mark
+const CLEARED_TTL  = 30 * 24 * 60 * 60 * 1000; // how long a clear is remembered
+
+/** A stored value → a mark, or null when it isn't one. */
+function normalize(value) {
+  if (!value || !LISTS.includes(value.list)) return null;
+  return {
+    list:  value.list,
+    title: typeof value.title === 'string' ? value.title : '',
+    year:  typeof value.year === 'string' ? value.year : null,
+    at:    Number.isFinite(value.at) ? value.at : 0,
+    ids:   Array.isArray(value.ids) ? value.ids.filter(id => typeof id === 'string').slice(-MAX_IDS) : [],
+  };
+}
+
+/** imdbID → mark or clear, the newer of the two stores' entries for each. */
+function merge(...stores) {
+  const out = {};
+  for (const store of stores) {
+    for (const [imdbID, entry] of Object.entries(store || {})) {
+      if (IMDB_ID.test(imdbID) && Number.isFinite(entry?.at) && !(out[imdbID]?.at >= entry.at)) out[imdbID] = entry;
+    }
+  }
+  return out;
+}
+
+/** The merged store, and the synced copy as it was read (for write()). */
+async function load() {
+  const [local, synced] = await Promise.all([
+    chrome.storage.local.get(STORE_KEY),
+    chrome.storage.sync.get(SYNC_KEYS),
+  ]);
+  return { store: merge(local[STORE_KEY], ...SYNC_KEYS.map(key => synced[key])), synced };
+}
+
+async function read() {
+  return (await load()).store;
+}
+
+/** Every mark, as a Map of imdbID → mark. */
+async function all() {
+  return toMap(await read());
+}
+
+function toMap(store) {
+  const marks = new Map();
+  for (const [imdbID, entry] of Object.entries(store)) {
+    const mark = normalize(entry);
+    if (mark) marks.set(imdbID, mark);
+  }
+  return marks;
+}
+
+async function get(imdbID) {
+  if (!IMDB_ID.test(imdbID)) return null;
+  return normalize((await read())[imdbID]);
+}
+
+/**
+ * Put the title on `list`, replacing any other mark it had. `videoId`
+ * joins the IDs already remembered for it.
+ */
+async function set(imdbID, list, { title = '', year = null, videoId = null } = {}) {
+  checkArgs(imdbID, list);
+  return (await send({ type: 'SET_MARK', imdbID, list, title, year, videoId })).mark;
+}
+
+async function clear(imdbID) {
+  await send({ type: 'CLEAR_MARK', imdbID });
+}
+
+function checkArgs(imdbID, list) {
+  if (!IMDB_ID.test(imdbID)) throw new Error(`Not an IMDb ID: ${imdbID}`);
+  if (!LISTS.includes(list)) throw new Error(`Unknown list: ${list}`);
+}
+
+async function send(message) {
+  const res = await chrome.runtime.sendMessage(message);
+  if (!res || res.error) throw new Error(res?.error || `No answer to ${message.type}`);
+  return res;
+}
+
+// ─── Service worker side ──────────────────────────────────────
+
+/** set(), for the worker's SET_MARK handler, which runs one at a time. */
+async function commitSet(imdbID, list, { title = '', year = null, videoId = null } = {}) {
+  checkArgs(imdbID, list);
+
+  const { store, synced } = await load();
+  const previous = normalize(store[imdbID]);
+  const ids = previous?.ids || [];
+  if (videoId && !ids.includes(videoId)) ids.push(videoId);
+
+  const mark = normalize({ list, title: title || previous?.title, year: year || previous?.year, at: Date.now(), ids });
+  await write({ ...store, [imdbID]: mark }, synced);
+  return mark;
+}
+
+/** clear(), for the worker's CLEAR_MARK handler. */
+async function commitClear(imdbID) {
+  const { store, synced } = await load();
+  if (!normalize(store[imdbID])) return;
+  await write({ ...store, [imdbID]: { at: Date.now() } }, synced);
+}
+
+/** Local first, so the mark holds on this device whatever sync makes of it. */
+async function write(store, synced) {
+  const oldest = Date.now() - CLEARED_TTL;
+  const kept   = Object.fromEntries(Object.entries(store).filter(([, e]) => e.list || e.at >= oldest));
+
+  await chrome.storage.local.set({ [STORE_KEY]: kept });
+
+  const changed = Object.entries(fitForSync(kept))
+    .filter(([key, bucket]) => JSON.stringify(bucket) !== JSON.stringify(synced[key] || {}));
+  if (!changed.length) return;
+  try {
+    await chrome.storage.sync.set(Object.fromEntries(changed));
+  } catch (err) {
+    console.warn('[NRO] marks not synced:', err);
+  }
+}
+
+/** SYNC_KEYS → the newest entries of its share whose JSON fits one sync item. */
+function fitForSync(store) {
+  const limit   = chrome.storage.sync.QUOTA_BYTES_PER_ITEM ?? 8192;
+  const buckets = SYNC_KEYS.map(key => ({ key, entries: {}, size: key.length + 2, full: false }));
+
+  for (const [imdbID, entry] of Object.entries(store).sort(([, a], [, b]) => b.at - a.at)) {
+    const bucket = buckets[parseInt(imdbID.slice(2), 10) % SYNC_BUCKETS];
+    const size   = JSON.stringify(imdbID).length + JSON.stringify(entry).length + 2;
+    if (bucket.full || bucket.size + size > limit) { bucket.full = true; continue; }
+    bucket.size += size;
+    bucket.entries[imdbID] = entry;
+  }
+  return Object.fromEntries(buckets.map(b => [b.key, b.entries]));
+}
+
+/**
+ * Call `callback(changed)` when marks change here or arrive from another
+ * device, where `changed` maps imdbID → the new mark, or null once it is
+ * cleared.
+ */
+function onChange(callback) {
+  const listener = async (changes, area) => {
+    const keys = area === 'local' ? [STORE_KEY] : area === 'sync' ? SYNC_KEYS : [];
+    const touched = new Set();
+    for (const key of keys.filter(k => k in changes)) {
+      const { oldValue = {}, newValue = {} } = changes[key];
+      for (const imdbID of Object.keys({ ...oldValue, ...newValue })) {
+        if (oldValue[imdbID]?.at !== newValue[imdbID]?.at) touched.add(imdbID);
+      }
+    }
+    if (!touched.size) return;
+
+    const marks = await all();
+    const changed = new Map([...touched].map(imdbID => [imdbID, marks.get(imdbID) || null]));
+    callback(changed);
+  };
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+return { LISTS, all, get, set, clear, onChange, commitSet, commitClear };
+
+})();
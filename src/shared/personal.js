@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Personal ratings — Netflix Ratings Overlay
+ *
+ * Your own 1–10 score and a short note for a title, keyed by imdbID.
+ * Loaded as a classic script by the content script (manifest) and the
+ * popup, and exposed as the global `NRO_PERSONAL`.
+ *
+ * All entries live under the one `personalRatings` key in
+ * chrome.storage.local:
+ *
+ *   { <imdbID>: { score: 1–10, note, title, year, at } }
+ *
+ * Local only, with no synced copy like the marks (src/shared/marks.js):
+ * notes add up quickly against sync's 8 KB per item. exportData() is how
+ * they move to another machine or to the rest of the team.
+ */
+
+const NRO_PERSONAL = (() => {
+
+const STORE_KEY     = 'personalRatings';
+const IMDB_ID       = /^tt\d{7,10}$/;
+const NOTE_MAX      = 280;
+const EXPORT_FORMAT = 'netflix-ratings-overlay/personal';
+
+/** A stored value → an entry, or null when it isn't one. */
+function normalize(value) {
+  const score = Number(value?.score);
+  if (!Number.isInteger(score) || score < 1 || score > 10) return null;
+  return {
+    score,
+    note:  typeof value.note === 'string' ? value.note.slice(0, NOTE_MAX) : '',
+    title: typeof value.title === 'string' ? value.title : '',
+    year:  typeof value.year === 'string' ? value.year : null,
+    at:    Number.isFinite(value.at) ? value.at : 0,
+  };
+}
+
+async function read() {
+  return (await chrome.storage.local.get(STORE_KEY))[STORE_KEY] || {};
+}
+
+/** Every entry, as a Map of imdbID → entry. */
+async function all() {
+  const entries = new Map();
+  for (const [imdbID, value] of Object.entries(await read())) {
+    const entry = normalize(value);
+    if (entry) entries.set(imdbID, entry);
+  }
+  return entries;
+}
+
+async function get(imdbID) {
+  if (!IMDB_ID.test(imdbID)) return null;
+  return normalize((await read())[imdbID]);
+}
+
+/**
+ * Save a score (a whole number from 1 to 10, as a number or a string)
+ * and note. Title and year are kept from before when not given.
+ */
+async function set(imdbID, { score, note = '', title = '', year = null }) {
+  if (!IMDB_ID.test(imdbID)) throw new Error(`Not an IMDb ID: ${imdbID}`);
+  const value = Number(String(score).trim());
+  if (String(score).trim() === '' || !Number.isInteger(value) || value < 1 || value > 10) {
+    throw new Error('Rate from 1 to 10.');
+  }
+
+  const store    = await read();
+  const previous = normalize(store[imdbID]);
+  const entry = normalize({
+    score: value,
+    note:  String(note).trim(),
+    title: title || previous?.title,
+    year:  year || previous?.year,
+    at:    Date.now(),
+  });
+  await chrome.storage.local.set({ [STORE_KEY]: { ...store, [imdbID]: entry } });
+  return entry;
+}
+
+async function clear(imdbID) {
+  const { [imdbID]: removed, ...rest } = await read();
+  if (removed) await chrome.storage.local.set({ [STORE_KEY]: rest });
+}
+
+/**
+ * Call `callback(changed)` when entries change, where `changed` maps
+ * imdbID → the new entry, or null once it is cleared.
+ */
+function onChange(callback) {
+  const listener = (changes, area) => {
+    if (area !== 'local' || !(STORE_KEY in changes)) return;
+    const { oldValue = {}, newValue = {} } = changes[STORE_KEY];
+    const changed = new Map();
+    for (const imdbID of Object.keys({ ...oldValue, ...newValue })) {
+      if (oldValue[imdbID]?.at !== newValue[imdbID]?.at) changed.set(imdbID, normalize(newValue[imdbID]));
+    }
+    if (changed.size) callback(changed);
+  };
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+/**
+ * Everything, as a versioned JSON-ready object:
+ *   { format, version: 1, exportedAt, ratings: { <imdbID>: entry } }
+ */
+async function exportData() {
+  return {
+    format:     EXPORT_FORMAT,
+    version:    1,
+    exportedAt: Date.now(),
+    ratings:    Object.fromEntries(await all()),
+  };
+}
+
+return { NOTE_MAX, all, get, set, clear, onChange, exportData };
+
+})();
@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * Settings schema — Netflix Ratings Overlay
+ *
+ * Single source of truth for every user-tunable setting. Loaded as a
+ * classic script (no build step) by the content script (manifest), the
+ * service worker (importScripts), the popup and the options page, and
+ * exposed as the global `NRO_SETTINGS`. Needs i18n.js loaded first:
+ * validation errors are UI messages.
+ *
+ * Each setting lives flat under its own chrome.storage.local key, so the
+ * keys written by earlier versions keep working unchanged. The one
+ * exception is the single OMDb `apiKey`, which load() folds into the
+ * `apiKeys` list the first time it runs.
+ */
+
+const NRO_SETTINGS = (() => {
+
+const BADGE_IDS = ['imdb', 'rt', 'metacritic', 'tmdb', 'personal'];
+
+/**
+ * type: 'boolean' | 'number' | 'string' | 'enum' | 'list'
+ * number  — min / max clamp, `integer` rounds, `nullable` allows "unset"
+ * string  — optional `pattern`
+ * enum    — `values` lists the allowed strings
+ * list    — array whose items must all be in `values`
+ * keys    — array of distinct API keys matching `pattern`, at most `max`
+ * timezone — an IANA time zone name the browser knows (e.g. 'UTC')
+ */
+const SCHEMA = {
+  // Providers — OMDb takes several keys and rotates through them
+  apiKeys:          { type: 'keys', pattern: /^[a-zA-Z0-9]+$/, max: 10, default: [] },
+  tmdbApiKey:       { type: 'string', pattern: /^[a-zA-Z0-9]*$/, default: '' },
+
+  // Overlay
+  enabled:          { type: 'boolean', default: true },
+  displayMode:      { type: 'enum', values: ['hover', 'always'], default: 'hover' },
+  badges:           { type: 'list', values: BADGE_IDS, default: BADGE_IDS },
+  showVotes:        { type: 'boolean', default: true },
+  showDetails:      { type: 'boolean', default: true },
+  episodeRatings:   { type: 'boolean', default: true },
+  hoverDelayMs:     { type: 'number', min: 0, max: 3000, integer: true, default: 300 },
+  hideDelayMs:      { type: 'number', min: 0, max: 5000, integer: true, default: 600 },
+  spinnerDelayMs:   { type: 'number', min: 0, max: 2000, integer: true, default: 150 },
+
+  // Low-rating filter
+  filterMode:       { type: 'enum', values: ['off', 'dim', 'collapse', 'mark'], default: 'off' },
+  filterMinImdb:    { type: 'number', min: 0, max: 10, nullable: true, default: null },
+  filterMinRt:      { type: 'number', min: 0, max: 100, integer: true, nullable: true, default: null },
+
+  // Prefetch
+  prefetchEnabled:  { type: 'boolean', default: true },
+  prefetchShare:    { type: 'number', min: 0, max: 100, integer: true, default: 20 },
+
+  // Cache & quota
+  cacheTtlDays:     { type: 'number', min: 1, max: 90, integer: true, default: 7 },
+  notFoundTtlHours: { type: 'number', min: 1, max: 168, integer: true, default: 24 },
+  maxCacheSize:     { type: 'number', min: 100, max: 100000, integer: true, default: 10000 },
+  apiWarnThreshold: { type: 'number', min: 1, max: 1000, integer: true, default: 900 },
+  quotaTimeZone:    { type: 'timezone', default: 'UTC' },
+
+  // Debugging — console logging and the lookup trace on the options page
+  debugMode:        { type: 'boolean', default: false },
+};
+
+const KEYS = Object.keys(SCHEMA);
+
+function defaults() {
+  const out = {};
+  for (const key of KEYS) out[key] = clone(SCHEMA[key].default);
+  return out;
+}
+
+function clone(v) {
+  return Array.isArray(v) ? [...v] : v;
+}
+
+/**
+ * Check one value against its schema entry.
+ * Returns { value } when usable (possibly coerced), { value, error,
+ * clamped: true } when a number was pulled into range, or
+ * { value: <default>, error } when it had to be rejected. A missing
+ * value (undefined) silently falls back to the default.
+ */
+function validate(key, raw) {
+  const spec = SCHEMA[key];
+  if (!spec) return { value: undefined, error: NRO_I18N.msg('settingUnknown', key) };
+  if (raw === undefined) return { value: clone(spec.default) };
+
+  const reject = (name, ...subs) => ({ value: clone(spec.default), error: NRO_I18N.msg(name, ...subs) });
+
+  switch (spec.type) {
+    case 'boolean':
+      return typeof raw === 'boolean' ? { value: raw } : reject('settingMustBeBoolean');
+
+    case 'number': {
+      if ((raw === null || raw === '') && spec.nullable) return { value: null };
+      let n = typeof raw === 'string' ? Number(raw.trim()) : raw;
+      if (typeof n !== 'number' || !Number.isFinite(n)) return reject('settingMustBeNumber');
+      if (spec.integer) n = Math.round(n);
+      if (n < spec.min || n > spec.max) {
+        return {
+          value: Math.min(spec.max, Math.max(spec.min, n)),
+          error: NRO_I18N.msg('settingOutOfRange', spec.min, spec.max),
+          clamped: true,
+        };
+      }
+      return { value: n };
+    }
+
+    case 'string':
+      if (typeof raw !== 'string') return reject('settingMustBeText');
+      if (spec.pattern && !spec.pattern.test(raw.trim())) return reject('settingInvalidChars');
+      return { value: raw.trim() };
+
+    case 'enum':
+      return spec.values.includes(raw) ? { value: raw } : reject('settingMustBeOneOf', spec.values.join(', '));
+
+    case 'list':
+      if (!Array.isArray(raw)) return reject('settingMustBeList');
+      return { value: spec.values.filter(v => raw.includes(v)) };
+
+    case 'keys': {
+      if (!Array.isArray(raw)) return reject('settingMustBeKeyList');
+      const keys = [...new Set(raw.map(k => String(k ?? '').trim()).filter(Boolean))];
+      if (!keys.every(k => spec.pattern.test(k))) return reject('settingBadKeyChars');
+      if (keys.length > spec.max) return reject('settingTooManyKeys', spec.max);
+      return { value: keys };
+    }
+
+    case 'timezone': {
+      if (typeof raw !== 'string' || !raw.trim()) return reject('settingMustBeTimeZone');
+      try {
+        // Canonical spelling, so 'utc' and 'Etc/UTC' are stored as the browser names them
+        return { value: new Intl.DateTimeFormat('en-US', { timeZone: raw.trim() }).resolvedOptions().timeZone };
+      } catch {
+        return reject('settingUnknownTimeZone', raw.trim());
+      }
+    }
+
+    default:
+      return reject('settingUnsupportedType');
+  }
+}
+
+/** Raw storage values → a complete, valid settings object. */
+function normalize(raw = {}) {
+  const out = {};
+  for (const key of KEYS) out[key] = validate(key, raw[key]).value;
+  return out;
+}
+
+/** Storage key of the single OMDb key kept by versions before `apiKeys`. */
+const LEGACY_API_KEY = 'apiKey';
+
+async function load() {
+  const raw = await chrome.storage.local.get([...KEYS, LEGACY_API_KEY]);
+
+  if (LEGACY_API_KEY in raw) {
+    if (raw.apiKeys === undefined) {
+      raw.apiKeys = raw[LEGACY_API_KEY] ? [raw[LEGACY_API_KEY]] : [];
+      await chrome.storage.local.set({ apiKeys: validate('apiKeys', raw.apiKeys).value });
+    }
+    await chrome.storage.local.remove(LEGACY_API_KEY);
+  }
+  return normalize(raw);
+}
+
+/**
+ * Validate and persist a partial settings object. Values that fail
+ * validation outright are not written; clamped numbers are written
+ * clamped. Resolves with { saved, errors } where both are keyed by setting.
+ */
+async function save(partial) {
+  const saved  = {};
+  const errors = {};
+
+  for (const [key, raw] of Object.entries(partial)) {
+    const { value, error, clamped } = validate(key, raw);
+    if (error) errors[key] = error;
+    if (value !== undefined && (!error || clamped)) saved[key] = value;
+  }
+
+  if (Object.keys(saved).length) await chrome.storage.local.set(saved);
+  return { saved, errors };
+}
+
+/** Back to defaults — API keys and the on/off switch are left alone. */
+async function reset() {
+  const preserved = ['apiKeys', 'tmdbApiKey', 'enabled'];
+  const next = defaults();
+  for (const key of preserved) delete next[key];
+  await chrome.storage.local.set(next);
+}
+
+/**
+ * Subscribe to setting changes from any extension page or the worker.
+ * The callback receives only the changed keys, already normalised.
+ */
+function onChange(callback) {
+  const listener = (changes, area) => {
+    if (area !== 'local') return;
+    const changed = {};
+    for (const key of KEYS) {
+      if (key in changes) changed[key] = validate(key, changes[key].newValue).value;
+    }
+    if (Object.keys(changed).length) callback(changed);
+  };
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+return { SCHEMA, KEYS, BADGE_IDS, defaults, validate, normalize, load, save, reset, onChange };
+
+})();
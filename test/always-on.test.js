@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Always-on mode: the inline strips the prefetch queue feeds, one title
+ * at a time, and the cards the prefetch budget turned away.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContent } = require('./helpers/load');
+const { createChrome } = require('./helpers/chrome');
+const { query } = require('./helpers/omdb-replay');
+const { until } = require('./helpers/timing');
+const { setupWorker } = require('./helpers/worker');
+
+const ROUTES = {
+  [query({ t: 'Inception', type: 'movie' })]: 'inception.json',
+  [query({ s: 'Stranger Things' })]:          'search-stranger-things.json',
+  [query({ i: 'tt4574334' })]:                'stranger-things.json',
+};
+
+/** IntersectionObserver stand-in (jsdom has none): the test says what is in view. */
+function fakeIntersection(window) {
+  const observers = [];
+  window.IntersectionObserver = class {
+    constructor(callback) { this.callback = callback; this.targets = new Set(); observers.push(this); }
+    observe(el)   { this.targets.add(el); }
+    unobserve(el) { this.targets.delete(el); }
+    disconnect()  { this.targets.clear(); }
+  };
+  const report = (el, isIntersecting) => {
+    for (const o of observers) if (o.targets.has(el)) o.callback([{ target: el, isIntersecting }]);
+  };
+  return { show: el => report(el, true), hide: el => report(el, false) };
+}
+
+describe('always-on strips', () => {
+  let page;
+  afterEach(() => page.close());
+
+  /** Inception is cached already; anything else goes through `intercept`. */
+  async function open({ local = {}, intercept } = {}) {
+    const chrome = createChrome({ local: { apiKeys: ['testkey'], displayMode: 'always', ...local } });
+    const { sw } = setupWorker({ chrome, routes: ROUTES, intercept });
+    await sw.handleFetchRating({ title: 'Inception', year: null, mediaType: null, siteId: 'netflix:70131314' });
+
+    page = loadContent('netflix/browse-row.html', { chrome });
+    const view = fakeIntersection(page.window); // before init() starts the prefetch
+    const card  = id => page.document.querySelector(`[data-testid="card-${id}"]`);
+    const strip = id => card(id).querySelector(':scope > .nro-inline-strip');
+    await until(() => page.content.visObs);
+    return { chrome, view, card, strip };
+  }
+
+  it('labels each card as soon as its own result is in', async () => {
+    let answer;
+    const slow = new Promise(resolve => { answer = resolve; });
+    const { view, card, strip } = await open({ intercept: url => (url.includes('Stranger') ? slow.then(() => undefined) : undefined) });
+
+    view.show(card('inception'));
+    view.show(card('stranger-things'));
+    await until(() => strip('inception'));
+    assert.ok(strip('inception'), 'the cached title is labelled');
+    assert.equal(strip('stranger-things'), null, 'while the other is still being looked up');
+
+    answer();
+    await until(() => strip('stranger-things'));
+    assert.match(strip('stranger-things').textContent, /8\.7/);
+  });
+
+  it('asks again for a card the budget turned away once it comes back into view', async () => {
+    const { chrome, view, card, strip } = await open({ local: { prefetchShare: 0 } });
+
+    view.show(card('inception'));
+    view.show(card('stranger-things'));
+    await until(() => strip('inception'));
+    await until(() => !page.content.prefetchBatches.size);
+    assert.equal(strip('stranger-things'), null);
+
+    await chrome.storage.local.set({ prefetchShare: 50 });
+    view.show(card('stranger-things')); // never left the screen: waits for the retry
+    assert.equal(page.content.prefetchPending.size, 0);
+
+    view.hide(card('stranger-things'));
+    view.show(card('stranger-things'));
+    await until(() => strip('stranger-things'));
+    assert.ok(strip('stranger-things'));
+  });
+});
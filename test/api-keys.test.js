@@ -0,0 +1,123 @@
+'use strict';
+
+/** Several OMDb keys: the settings list, per-key usage and rotation. */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSettings, plain } = require('./helpers/load');
+const { createChrome } = require('./helpers/chrome');
+const { query } = require('./helpers/omdb-replay');
+const { settle } = require('./helpers/timing');
+const { setupWorker } = require('./helpers/worker');
+
+const INCEPTION = { title: 'Inception', year: '2010', mediaType: 'movie' };
+const ROUTES    = { [query({ t: 'Inception', y: 2010, type: 'movie' })]: 'inception.json' };
+
+const REPLIES = {
+  limit:   { Response: 'False', Error: 'Request limit reached!' },
+  invalid: { Response: 'False', Error: 'Invalid API key!' },
+};
+
+/**
+ * A worker whose OMDb answers depend on the key: `keys` maps a key to a
+ * REPLIES entry, every other key gets the recorded responses.
+ */
+function setup({ local, keys = {} }) {
+  const used = [];
+  const env  = setupWorker({
+    routes: ROUTES,
+    local,
+    intercept: url => {
+      const key = new URL(url).searchParams.get('apikey');
+      used.push(key);
+      if (keys[key]) return { ok: false, status: 401, json: async () => REPLIES[keys[key]] };
+    },
+  });
+  const status = async () => plain(await env.chrome.runtime.sendMessage({ type: 'GET_KEY_STATUS' }));
+  return { ...env, used, status };
+}
+
+describe('apiKeys setting', () => {
+  it('folds the single key of earlier versions into the list, once', async () => {
+    const chrome = createChrome({ local: { apiKey: 'oldkey1' } });
+    const settings = loadSettings(chrome);
+
+    assert.deepEqual(plain((await settings.load()).apiKeys), ['oldkey1']);
+    assert.deepEqual(plain(await chrome.storage.local.get(null)), { apiKeys: ['oldkey1'] });
+  });
+
+  it('trims, drops blanks and duplicates, and rejects bad characters', () => {
+    const { validate } = loadSettings(createChrome());
+
+    assert.deepEqual(plain(validate('apiKeys', [' a1 ', '', 'b2', 'a1']).value), ['a1', 'b2']);
+    assert.match(validate('apiKeys', ['ok', 'not ok!']).error, /letters and numbers/);
+    assert.match(validate('apiKeys', Array.from({ length: 11 }, (_, i) => `k${i}`)).error, /At most 10/);
+  });
+});
+
+describe('key rotation', () => {
+  it('moves on to the next key when OMDb says the limit is reached', async () => {
+    const env = setup({ local: { apiKeys: ['first', 'second'] }, keys: { first: 'limit' } });
+    const rating = await env.sw.handleFetchRating(INCEPTION);
+
+    assert.equal(rating.imdbID, 'tt1375666');
+    assert.deepEqual(env.used, ['first', 'second']);
+
+    const { keys, active } = await env.status();
+    assert.equal(active, 1);
+    assert.deepEqual(keys.map(k => k.state), ['quota', 'ready']);
+    assert.equal(keys[1].remaining, 999);
+  });
+
+  it('skips a rejected key for the rest of the day', async () => {
+    const env = setup({ local: { apiKeys: ['bad', 'good'] }, keys: { bad: 'invalid' } });
+    await env.sw.handleFetchRating(INCEPTION);
+    await env.sw.handleFetchRating({ title: 'Arcane', year: '2021' });
+
+    assert.deepEqual(env.used.filter(k => k === 'bad'), ['bad']);
+    assert.equal((await env.status()).keys[0].state, 'invalid');
+  });
+
+  it('never spends a call on a key that used its 1,000 today', async () => {
+    const usage = { date: new Date().toISOString().slice(0, 10), calls: { first: 1000 }, spent: {} };
+    const env = setup({ local: { apiKeys: ['first', 'second'], omdbKeyUsage: usage } });
+    await env.sw.handleFetchRating(INCEPTION);
+
+    assert.deepEqual(env.used, ['second']);
+  });
+
+  it('counts calls per key, and in the shared daily total', async () => {
+    const env = setup({ local: { apiKeys: ['first', 'second'] }, keys: { first: 'limit' } });
+    await env.sw.handleFetchRating(INCEPTION);
+
+    const { keys } = await env.status();
+    assert.deepEqual(keys.map(k => k.used), [1, 1]);
+    assert.equal((await env.chrome.storage.local.get('apiCallsToday')).apiCallsToday, 2);
+  });
+
+  it('reports invalid_key only when every key was rejected', async () => {
+    const env = setup({ local: { apiKeys: ['a1', 'b2'] }, keys: { a1: 'invalid', b2: 'invalid' } });
+    const result = await env.sw.handleFetchRating(INCEPTION);
+
+    assert.equal(result.code, 'invalid_key');
+    assert.match(result.error, /every API key/);
+  });
+
+  it('reports quota once the last key runs out', async () => {
+    const env = setup({ local: { apiKeys: ['a1', 'b2'] }, keys: { a1: 'invalid', b2: 'limit' } });
+    assert.equal((await env.sw.handleFetchRating(INCEPTION)).code, 'quota_exhausted');
+
+    const again = await env.sw.handleFetchRating({ title: 'Arcane', year: '2021' });
+    assert.equal(again.code, 'quota_exhausted');
+    assert.equal(env.used.length, 2);
+  });
+
+  it('gives rejected keys another chance when the key list changes', async () => {
+    const env = setup({ local: { apiKeys: ['a1'] }, keys: { a1: 'invalid' } });
+    await env.sw.handleFetchRating(INCEPTION);
+
+    await env.chrome.storage.local.set({ apiKeys: ['a1', 'c3'] });
+    await settle();
+    assert.deepEqual((await env.status()).keys.map(k => k.state), ['ready', 'ready']);
+  });
+});
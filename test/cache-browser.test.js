@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * The service-worker side of the cache browser page: listing entries
+ * with the query each one answered, and refreshing or deleting one.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { plain } = require('./helpers/load');
+const { query } = require('./helpers/omdb-replay');
+const { setupWorker } = require('./helpers/worker');
+
+const ROUTES = {
+  [query({ t: 'Inception', y: 2010, type: 'movie' })]: 'inception.json',
+  [query({ i: 'tt1375666' })]:                         'inception.json',
+};
+
+describe('cache browser messages', () => {
+  let chrome, replay, sw, cache;
+  beforeEach(() => {
+    ({ chrome, replay, sw, cache } = setupWorker({ routes: ROUTES, local: { apiKey: 'testkey' } }));
+  });
+
+  const list = async () => plain((await sw.handleListCache()).entries);
+
+  it('lists each entry with the query it answered', async () => {
+    await sw.handleFetchRating({ title: 'Inception', year: '2010', mediaType: 'movie', siteId: 'netflix:70131314' });
+    await cache.put('dune_2021_movie', { notFound: true, title: 'Dune', cachedAt: Date.now() });
+
+    const [dune, inception] = (await list()).sort((a, b) => a.key.localeCompare(b.key));
+    assert.equal(inception.key, 'netflix:70131314');
+    assert.deepEqual(inception.query, { title: 'Inception', year: '2010', mediaType: 'movie', siteId: 'netflix:70131314' });
+    assert.equal(inception.entry.imdbID, 'tt1375666');
+    assert.equal(inception.pinned, false);
+
+    // Written before entries remembered their query: read back from the key
+    assert.deepEqual(dune.query, { title: 'dune', year: '2021', mediaType: 'movie', siteId: null });
+  });
+
+  it('refreshes an entry from the providers instead of the cache', async () => {
+    const request = { title: 'Inception', year: '2010', mediaType: 'movie' };
+    await sw.handleFetchRating(request);
+    await sw.handleFetchRating(request);
+    assert.equal(replay.requests.length, 1);
+
+    const rating = await sw.handleRefreshCacheEntry({ key: 'inception_2010_movie' });
+    assert.equal(rating.imdbRating, '8.8');
+    assert.equal(replay.requests.length, 2);
+    assert.equal((await list()).length, 1);
+    // Not a hover: the popup's "Wrong match?" section is left alone
+    assert.deepEqual(plain(await chrome.storage.local.get('lastLookup')), {});
+
+    assert.match((await sw.handleRefreshCacheEntry({ key: 'gone_2020_any' })).error, /no longer in the cache/);
+  });
+
+  it('refreshes a video ID entry past the same title cached without one', async () => {
+    const request = { title: 'Inception', year: '2010', mediaType: 'movie' };
+    await sw.handleFetchRating({ ...request, siteId: 'netflix:70131314' });
+    await sw.handleFetchRating(request);
+    assert.equal(replay.requests.length, 2);
+
+    const rating = await sw.handleRefreshCacheEntry({ key: 'netflix:70131314' });
+    assert.equal(rating.imdbRating, '8.8');
+    assert.equal(replay.requests.length, 3);
+  });
+
+  it('deletes an entry together with its video ID mapping', async () => {
+    await sw.handleFetchRating({ title: 'Inception', year: '2010', mediaType: 'movie', siteId: 'netflix:70131314' });
+    assert.equal(await cache.getSiteId('netflix:70131314'), 'tt1375666');
+
+    assert.deepEqual(plain(await sw.handleDeleteCacheEntry({ key: 'netflix:70131314' })), { removed: true });
+    assert.deepEqual(await list(), []);
+    assert.equal(await cache.getSiteId('netflix:70131314'), null);
+  });
+
+  it('deletes the title entry a video ID entry would fall back to', async () => {
+    const request = { title: 'Inception', year: '2010', mediaType: 'movie' };
+    await sw.handleFetchRating({ ...request, siteId: 'netflix:70131314' });
+    await sw.handleFetchRating(request);
+
+    await sw.handleDeleteCacheEntry({ key: 'netflix:70131314' });
+    assert.deepEqual(await list(), []);
+
+    await sw.handleFetchRating({ ...request, siteId: 'netflix:70131314' });
+    assert.equal(replay.requests.length, 3, 'matched again, not relinked from the title entry');
+  });
+});
@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * Title / metadata extraction against saved Netflix markup. When Netflix
+ * reshuffles its DOM, refresh the fixture and these tests show which
+ * selector stopped matching.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContent, plain } = require('./helpers/load');
+
+// ─── Pure helpers ─────────────────────────────────────────────
+
+describe('content helpers', () => {
+  let page;
+  before(() => { page = loadContent('netflix/browse-row.html'); });
+  after(() => page.close());
+
+  it('parseAriaLabel splits off a year or year range', () => {
+    const { parseAriaLabel } = page.content;
+    assert.deepEqual(plain(parseAriaLabel('Inception (2010)')),
+      { title: 'Inception', year: '2010', mediaType: null });
+    assert.deepEqual(plain(parseAriaLabel('Dark (2017–2020)')),
+      { title: 'Dark', year: '2017', mediaType: null });
+  });
+
+  it('parseAriaLabel marks season / episode labels as series', () => {
+    const { parseAriaLabel } = page.content;
+    assert.deepEqual(plain(parseAriaLabel('Stranger Things - Season 4')),
+      { title: 'Stranger Things', year: null, mediaType: 'series' });
+    assert.deepEqual(plain(parseAriaLabel('The Crown Episode 3')),
+      { title: 'The Crown', year: null, mediaType: 'series' });
+  });
+
+  it('parseAriaLabel drops trailer / teaser prefixes', () => {
+    assert.equal(page.content.parseAriaLabel('Trailer: Dune').title, 'Dune');
+    assert.equal(page.content.parseAriaLabel('Teaser: Wednesday').title, 'Wednesday');
+  });
+
+  it('isNonTitle rejects UI chrome labels but keeps real titles', () => {
+    const { isNonTitle } = page.content;
+    for (const label of ['Play', 'Search', 'Account & Settings', 'Mute', 'Next']) {
+      assert.equal(isNonTitle(label), true, label);
+    }
+    for (const title of ['Inception', 'Arcane', 'Back to the Future Part II']) {
+      assert.equal(isNonTitle(title), false, title);
+    }
+  });
+
+  it('lookupDedup prefers the video ID over the title', () => {
+    const { lookupDedup } = page.content;
+    assert.equal(lookupDedup({ title: 'Inception', siteId: 'netflix:70131314' }), 'netflix:70131314');
+    assert.equal(lookupDedup({ title: 'Inception', year: '2010', mediaType: null }), 'Inception|2010|');
+  });
+
+  it('toLookup collapses whitespace and fills missing fields with null', () => {
+    assert.deepEqual(plain(page.content.toLookup({ title: '  The   Witcher ' })),
+      { title: 'The Witcher', year: null, mediaType: null, siteId: null });
+  });
+});
+
+// ─── Browse row cards ─────────────────────────────────────────
+
+describe('browse-row fixture', () => {
+  let page, card;
+  before(() => {
+    page = loadContent('netflix/browse-row.html');
+    card = id => page.document.querySelector(`[data-testid="${id}"]`);
+  });
+  after(() => page.close());
+
+  it('every slider item is recognised as a card', () => {
+    for (const el of page.document.querySelectorAll('.slider-item')) {
+      assert.equal(page.content.matchesCard(el), true);
+    }
+  });
+
+  it('reads the title from the fallback text when the boxart has no alt', () => {
+    assert.deepEqual(plain(page.content.extractTitle(card('card-inception'))),
+      { title: 'Inception', year: null, mediaType: null, siteId: 'netflix:70131314', strategy: 'selector' });
+  });
+
+  it('reads the title from the boxart alt text', () => {
+    assert.equal(page.content.extractTitle(card('card-stranger-things')).title, 'Stranger Things');
+  });
+
+  it('falls back to the tracking context for the video ID when there is no link', () => {
+    const info = page.content.extractTitle(card('card-arcane'));
+    assert.equal(info.title, 'Arcane');
+    assert.equal(info.siteId, 'netflix:81435684');
+  });
+
+  it('returns null for row chrome that carries no title', () => {
+    assert.equal(page.content.extractTitle(card('row-handle')), null);
+  });
+});
+
+// ─── Billboard ────────────────────────────────────────────────
+
+describe('billboard fixture', () => {
+  let page, hero;
+  before(() => {
+    page = loadContent('netflix/billboard.html');
+    hero = page.document.querySelector('[data-testid="billboard"]');
+  });
+  after(() => page.close());
+
+  it('is recognised as a card', () => {
+    assert.equal(page.content.matchesCard(hero), true);
+  });
+
+  it('reads the title logo, series hint and video ID', () => {
+    assert.deepEqual(plain(page.content.extractTitle(hero)),
+      { title: 'Stranger Things', year: null, mediaType: 'series', siteId: 'netflix:80057281', strategy: 'selector' });
+  });
+});
+
+// ─── Preview modal ────────────────────────────────────────────
+
+describe('preview-modal fixture', () => {
+  let page, modal;
+  before(() => {
+    page  = loadContent('netflix/preview-modal.html', { url: 'https://www.netflix.com/browse?jbv=70131314' });
+    modal = page.document.querySelector('[data-testid="preview-modal"]');
+  });
+  after(() => page.close());
+
+  it('reads title, year and runtime-based media type from the modal', () => {
+    assert.deepEqual(plain(page.content.extractTitle(modal)),
+      { title: 'Inception', year: '2010', mediaType: 'movie', siteId: 'netflix:70131314', strategy: 'img-alt' });
+  });
+
+  it('takes the video ID from ?jbv=, not from "More Like This" links', () => {
+    const similar = modal.querySelector('.moreLikeThis--item');
+    assert.equal(page.content.extractVideoId(similar), 'netflix:70131314');
+  });
+
+  it('extractYear and detectMediaType read the metadata line', () => {
+    assert.equal(page.content.extractYear(modal), '2010');
+    assert.equal(page.content.detectMediaType(modal), 'movie');
+  });
+});
+
+// ─── Other Netflix languages ──────────────────────────────────
+
+describe('preview-modal fixture (German profile)', () => {
+  let page, modal;
+  before(() => {
+    page  = loadContent('netflix/preview-modal-de.html', { url: 'https://www.netflix.com/de/browse?jbv=80192098' });
+    modal = page.document.querySelector('[data-testid="preview-modal"]');
+  });
+  after(() => page.close());
+
+  it('reads "5 Staffeln" as a series', () => {
+    assert.deepEqual(plain(page.content.extractTitle(modal)),
+      { title: 'Haus des Geldes', year: '2021', mediaType: 'series', siteId: 'netflix:80192098', strategy: 'img-alt' });
+  });
+});
+
+describe('locale-aware parsing', () => {
+  let page;
+  before(() => { page = loadContent('netflix/browse-row.html'); });
+  after(() => page.close());
+
+  /** Switch the page language the way Netflix does for another profile. */
+  const as = lang => { page.document.documentElement.lang = lang; return page.content; };
+
+  it('cuts season and episode markers in each language', () => {
+    assert.deepEqual(plain(as('de').parseAriaLabel('Dark: Staffel 2')),
+      { title: 'Dark', year: null, mediaType: 'series' });
+    assert.deepEqual(plain(as('es').parseAriaLabel('La casa de papel - Temporada 3')),
+      { title: 'La casa de papel', year: null, mediaType: 'series' });
+    assert.deepEqual(plain(as('fr').parseAriaLabel('Lupin Épisode 4')),
+      { title: 'Lupin', year: null, mediaType: 'series' });
+    assert.deepEqual(plain(as('ja-JP').parseAriaLabel('ペーパー・ハウス シーズン２')),
+      { title: 'ペーパー・ハウス', year: null, mediaType: 'series' });
+  });
+
+  it('drops localised trailer prefixes, full-width colon included', () => {
+    assert.equal(as('fr').parseAriaLabel('Bande-annonce : Lupin').title, 'Lupin');
+    assert.equal(as('es').parseAriaLabel('Tráiler: Élite').title, 'Élite');
+    assert.equal(as('ja').parseAriaLabel('予告編：今際の国のアリス').title, '今際の国のアリス');
+  });
+
+  it('still understands English labels on a non-English page', () => {
+    assert.equal(as('de').parseAriaLabel('Stranger Things - Season 4').title, 'Stranger Things');
+  });
+
+  it('rejects UI labels in the page language', () => {
+    const { isNonTitle } = as('de');
+    assert.equal(isNonTitle('Abspielen'), true);
+    assert.equal(isNonTitle('Einstellungen'), true);
+    assert.equal(isNonTitle('Haus des Geldes'), false);
+    assert.equal(as('ja').isNonTitle('検索'), true);
+  });
+
+  it('keeps titles that only contain a UI word', () => {
+    const fr = as('fr');
+    assert.equal(fr.isNonTitle('Retour'), true);
+    assert.equal(fr.isNonTitle("Retour à l'accueil"), true);
+    assert.equal(fr.isNonTitle('Le Retour'), false);
+    assert.equal(fr.isNonTitle('La Lecture'), false);
+    assert.equal(as('es').isNonTitle('El siguiente'), false);
+    assert.equal(as('de').isNonTitle('Die Pause'), false);
+  });
+
+  it('reads localised runtimes and Japanese years from metadata', () => {
+    const modal = page.document.createElement('div');
+    modal.className = 'previewModal--wrapper';
+    modal.innerHTML = '<div class="videoMetadata--second-line"><span class="year">２０１９年</span><span class="duration">2時間9分</span></div>';
+    page.document.body.appendChild(modal);
+
+    assert.equal(as('ja').detectMediaType(modal), 'movie');
+    assert.equal(as('ja').extractYear(modal), '2019');
+
+    modal.querySelector('.duration').textContent = '1 h 52 min';
+    assert.equal(as('fr').detectMediaType(modal), 'movie');
+
+    // \b would find no word start before "é"
+    modal.querySelector('.duration').textContent = 'Minisérie · 8 épisodes';
+    assert.equal(as('fr').detectMediaType(modal), 'series');
+
+    // …but a marker inside a longer word is not one
+    modal.querySelector('.duration').textContent = 'MTV Seriesque';
+    assert.equal(as('en').detectMediaType(modal), null);
+    modal.remove();
+  });
+});
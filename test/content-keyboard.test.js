@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Keyboard and screen-reader paths: focus drives the same lookup as a
+ * hover, results are read out through the live region, and the
+ * manifest's keyboard shortcuts reach the page via the service worker.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContent, plain } = require('./helpers/load');
+const { createChrome } = require('./helpers/chrome');
+const { query } = require('./helpers/omdb-replay');
+const { settle, until } = require('./helpers/timing');
+const { setupWorker } = require('./helpers/worker');
+
+const ROUTES = { [query({ t: 'Inception', type: 'movie' })]: 'inception.json' };
+
+
+describe('keyboard focus and announcements', () => {
+  let chrome, page, link, overlay, live;
+  beforeEach(async () => {
+    chrome = createChrome({ local: { apiKeys: ['testkey'], hoverDelayMs: 0, hideDelayMs: 0, spinnerDelayMs: 2000 } });
+    setupWorker({ chrome, routes: ROUTES });
+    page    = loadContent('netflix/browse-row.html', { chrome });
+    link    = id => page.document.querySelector(`[data-testid="${id}"] a`);
+    overlay = () => page.document.getElementById('nro-floating-overlay');
+    live    = () => page.document.getElementById('nro-live-region');
+    await settle(); // init() reads settings before attaching
+  });
+  afterEach(() => page.close());
+
+  const shown = () => overlay().style.opacity === '1';
+
+  it('looks a focused card up like a hovered one and reads the result out', async () => {
+    link('card-inception').focus();
+    await until(shown);
+
+    assert.ok(overlay().querySelector('.nro-imdb'));
+    assert.equal(overlay().getAttribute('role'), 'tooltip');
+    assert.equal(live().getAttribute('aria-live'), 'polite');
+    assert.equal(live().textContent, 'Inception: IMDb 8.8 from 2.6M votes, Rotten Tomatoes 87%, Metacritic 74');
+  });
+
+  it('hides the overlay once focus leaves the cards', async () => {
+    link('card-inception').focus();
+    await until(shown);
+
+    link('card-inception').blur();
+    await until(() => !shown());
+    assert.equal(shown(), false);
+  });
+
+  it('relays shortcuts from the service worker to the page', async () => {
+    link('card-inception').focus();
+    await until(shown);
+
+    chrome.commands.press('toggle-overlay');
+    assert.deepEqual(plain(chrome.tabs.sent.map(s => s.message)), [{ type: 'RUN_COMMAND', command: 'toggle-overlay' }]);
+    assert.equal(shown(), false);
+
+    chrome.commands.press('toggle-overlay');
+    await until(shown);
+    assert.equal(shown(), true);
+  });
+
+  it('reads the same ratings out again on request', async () => {
+    link('card-inception').focus();
+    await until(shown);
+    const first = live().textContent;
+
+    chrome.commands.press('announce-ratings');
+    assert.notEqual(live().textContent, first);
+    assert.equal(live().textContent.trim(), first);
+  });
+});
+
+describe('describeRating', () => {
+  let page;
+  beforeEach(() => { page = loadContent('netflix/browse-row.html'); });
+  afterEach(() => page.close());
+
+  it('speaks the enabled badges, or the notice the overlay would show', () => {
+    const { describeRating } = page.content;
+    assert.equal(describeRating('Dune', { imdbRating: '8.0', metascore: '74', tmdbRating: '7.8' }),
+      'Dune: IMDb 8.0, Metacritic 74, TMDb 7.8');
+    assert.equal(describeRating('Dune', { notFound: true }), 'Dune: Not on IMDb');
+    assert.equal(describeRating('Dune', {}), 'Dune: no ratings to show');
+  });
+
+  it('asks for a focused title when a shortcut has nothing to read', () => {
+    page.content.runCommand('announce-ratings');
+    assert.equal(page.document.getElementById('nro-live-region').textContent,
+      'Move focus to a title to hear its ratings');
+  });
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * The floating overlay's notice states: what each error code says, when
+ * the overlay takes pointer events, and where the notice button leads.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContent, loadServiceWorker } = require('./helpers/load');
+const { createChrome } = require('./helpers/chrome');
+const { settle } = require('./helpers/timing');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('overlay notices', () => {
+  let page, card, overlay;
+  beforeEach(() => {
+    page    = loadContent('netflix/browse-row.html');
+    card    = page.document.querySelector('[data-testid="card-inception"]');
+    overlay = () => page.document.getElementById('nro-floating-overlay');
+  });
+  afterEach(() => page.close());
+
+  const text   = () => overlay().querySelector('.nro-notice-text')?.textContent;
+  const button = () => overlay().querySelector('.nro-notice-action');
+
+  it('says which configuration problem stopped the lookup', () => {
+    page.content.showOverlay(card, { error: 'API key not configured.', code: 'no_key' });
+    assert.equal(text(), 'No API key');
+    assert.equal(button().textContent, 'Add key');
+
+    page.content.showOverlay(card, { error: 'Invalid API key.', code: 'invalid_key' });
+    assert.equal(text(), 'API key rejected');
+  });
+
+  it('counts down to the quota reset', () => {
+    const resetsAt = Date.now() + 5 * HOUR - 60 * 1000;
+    page.content.showOverlay(card, { error: 'Daily API limit reached.', code: 'quota_exhausted', resetsAt });
+    assert.equal(text(), 'Quota reached — resets in 5h');
+    assert.equal(button().textContent, 'Add TMDb key');
+  });
+
+  it('offers no TMDb key once one is set', async () => {
+    page.close();
+    page = loadContent('netflix/browse-row.html', { chrome: createChrome({ local: { tmdbApiKey: 'tmdbkey' } }) });
+    await settle(); // init() loads settings
+    card = page.document.querySelector('[data-testid="card-inception"]');
+
+    page.content.showOverlay(card, { error: 'Daily API limit reached.', code: 'quota_exhausted', resetsAt: Date.now() + HOUR });
+    assert.equal(text(), 'Quota reached — resets in 1h');
+    assert.equal(button(), null);
+  });
+
+  it('tells a miss apart from an error, cached misses without a code included', () => {
+    page.content.showOverlay(card, { notFound: true, title: 'Inception', cachedAt: Date.now() });
+    assert.equal(text(), 'Not on IMDb');
+    assert.equal(button().textContent, 'Fix match');
+  });
+
+  it('offers a retry for transient failures', () => {
+    page.content.showOverlay(card, { error: 'Request timed out.', code: 'timeout' });
+    assert.equal(text(), 'Rating unavailable');
+    assert.equal(button().dataset.nroAction, 'retry');
+  });
+
+  it('takes pointer events only while a notice is showing', () => {
+    const pointerEvents = () => overlay().style.getPropertyValue('pointer-events');
+
+    page.content.showOverlay(card, { error: 'x', code: 'no_key' });
+    assert.equal(pointerEvents(), 'auto');
+    assert.ok(overlay().classList.contains('nro-interactive'));
+
+    page.content.showOverlay(card, { imdbRating: '8.8' });
+    assert.equal(pointerEvents(), 'none');
+
+    page.content.showOverlay(card, { error: 'x', code: 'no_key' });
+    page.content.hideOverlay();
+    assert.equal(pointerEvents(), 'none');
+  });
+
+  it('escapes the message it puts in the tooltip', () => {
+    page.content.showOverlay(card, { error: '<img src=x onerror=alert(1)>', code: 'unknown' });
+    assert.equal(overlay().querySelector('img'), null);
+  });
+
+  it('formatDuration rounds up to minutes or hours', () => {
+    const { formatDuration } = page.content;
+    assert.equal(formatDuration(90 * 1000), '2m');
+    assert.equal(formatDuration(59 * 60 * 1000), '59m');
+    assert.equal(formatDuration(4.2 * HOUR), '5h');
+    assert.equal(formatDuration(0), null);
+    assert.equal(formatDuration(NaN), null);
+  });
+});
+
+describe('notice action → service worker', () => {
+  let chrome, page;
+  beforeEach(() => {
+    chrome = createChrome();
+    loadServiceWorker({ chrome });
+    page = loadContent('netflix/browse-row.html', { chrome });
+  });
+  afterEach(() => page.close());
+
+  async function clickNotice() {
+    const card = page.document.querySelector('[data-testid="card-inception"]');
+    page.content.showOverlay(card, { error: 'API key not configured.', code: 'no_key' });
+    page.document.querySelector('.nro-notice-action').click();
+    await settle();
+  }
+
+  it('opens the toolbar popup', async () => {
+    await clickNotice();
+    assert.equal(chrome.action.openPopupCalls, 1);
+    assert.equal(chrome.tabs.created.length, 0);
+  });
+
+  it('falls back to the popup page in a tab when openPopup() is unavailable', async () => {
+    chrome.action.openPopupFails = true;
+    await clickNotice();
+    assert.equal(chrome.tabs.created[0].url, 'chrome-extension://nro-test-extension/src/popup/popup.html');
+  });
+});
+
+describe('detail panel', () => {
+  const RATING = {
+    imdbRating: '8.8', imdbID: 'tt1375666',
+    runtime: 148, rated: 'PG-13', director: 'Christopher Nolan',
+    cast: ['Leonardo DiCaprio', 'Joseph Gordon-Levitt', 'Elliot Page'],
+    plot: 'A thief who steals corporate secrets is given the inverse task.',
+    awards: 'Won 4 Oscars. 159 wins & 220 nominations total',
+    boxOffice: '$292,587,330',
+  };
+
+  let page;
+  afterEach(() => page.close());
+
+  const overlay = () => page.document.getElementById('nro-floating-overlay');
+  const panel   = () => overlay().querySelector('.nro-detail-panel');
+
+  it('shows under the badges on the preview modal', () => {
+    page = loadContent('netflix/preview-modal.html');
+    page.content.showOverlay(page.document.querySelector('[data-testid="preview-modal"]'), RATING);
+
+    assert.ok(overlay().classList.contains('nro-with-details'));
+    assert.equal(overlay().querySelector('.nro-badge-row .nro-imdb') !== null, true);
+    assert.equal(panel().querySelector('.nro-detail-meta').textContent, '2h 28m · PG-13 · Dir. Christopher Nolan');
+    assert.equal(panel().querySelector('.nro-detail-cast').textContent, 'Leonardo DiCaprio, Joseph Gordon-Levitt, Elliot Page');
+    assert.equal(panel().querySelector('.nro-detail-box-office').textContent, 'Box office $292,587,330');
+  });
+
+  it('shows on the billboard but never on a row card', async () => {
+    page = loadContent('netflix/billboard.html');
+    page.content.showOverlay(page.document.querySelector('[data-testid="billboard"]'), RATING);
+    assert.ok(panel());
+
+    await page.close();
+    page = loadContent('netflix/browse-row.html');
+    page.content.showOverlay(page.document.querySelector('[data-testid="card-inception"]'), RATING);
+    assert.equal(panel(), null);
+    assert.ok(!overlay().classList.contains('nro-with-details'));
+  });
+
+  it('is left out when turned off in the settings', async () => {
+    page = loadContent('netflix/preview-modal.html', { chrome: createChrome({ local: { showDetails: false } }) });
+    await settle(); // init() loads settings
+    page.content.showOverlay(page.document.querySelector('[data-testid="preview-modal"]'), RATING);
+    assert.equal(panel(), null);
+  });
+
+  it('skips missing lines and renders nothing for entries without details', () => {
+    page = loadContent('netflix/browse-row.html');
+    const { buildDetailHTML } = page.content;
+
+    assert.equal(buildDetailHTML({ imdbRating: '7.0' }), null);
+    const html = buildDetailHTML({ runtime: 45, plot: 'x' });
+    assert.match(html, /nro-detail-meta" title="45m">45m</);
+    assert.doesNotMatch(html, /nro-detail-cast|nro-detail-awards/);
+  });
+
+  it('formatRuntime prints hours and minutes', () => {
+    page = loadContent('netflix/browse-row.html');
+    assert.equal(page.content.formatRuntime(148), '2h 28m');
+    assert.equal(page.content.formatRuntime(120), '2h');
+    assert.equal(page.content.formatRuntime(51), '51m');
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Per-episode IMDb ratings: the service worker's season lookup and cache,
+ * and the badges on a series' episode list in the preview modal.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContent, plain } = require('./helpers/load');
+const { createChrome } = require('./helpers/chrome');
+const { query } = require('./helpers/omdb-replay');
+const { settle, until } = require('./helpers/timing');
+const { setupWorker } = require('./helpers/worker');
+
+const SEASON_2 = query({ i: 'tt4574334', Season: 2 });
+const ROUTES = {
+  [query({ t: 'Stranger Things', y: 2016, type: 'series' })]: 'stranger-things.json',
+  [SEASON_2]:                                                 'stranger-things-season-2.json',
+};
+
+
+describe('FETCH_EPISODES', () => {
+  let replay, sw;
+  beforeEach(() => {
+    ({ replay, sw } = setupWorker({ routes: ROUTES, local: { apiKey: 'testkey' } }));
+  });
+
+  it('fetches a season once and answers the repeat from the cache', async () => {
+    const season = plain(await sw.handleFetchEpisodes({ imdbID: 'tt4574334', season: 2 }));
+    assert.equal(season.season, 2);
+    assert.equal(season.totalSeasons, 5);
+    assert.equal(season.episodes.length, 9);
+    assert.deepEqual(season.episodes[6], { episode: 7, title: 'Chapter Seven: The Lost Sister', imdbRating: '6.1', imdbID: 'tt5629674' });
+
+    await sw.handleFetchEpisodes({ imdbID: 'tt4574334', season: 2 });
+    assert.deepEqual(replay.requests, [SEASON_2]);
+  });
+
+  it('turns away a request without an imdbID or season', async () => {
+    assert.match((await sw.handleFetchEpisodes({ imdbID: 'tt4574334', season: 0 })).error, /season number/);
+    assert.match((await sw.handleFetchEpisodes({ imdbID: 'Stranger Things', season: 1 })).error, /imdbID/);
+    assert.deepEqual(replay.requests, []);
+  });
+
+  it('needs an OMDb key even when TMDb is set up', async () => {
+    const worker = setupWorker({ routes: ROUTES, local: { tmdbApiKey: 'tmdbkey' } });
+    assert.equal((await worker.sw.handleFetchEpisodes({ imdbID: 'tt4574334', season: 2 })).code, 'no_key');
+  });
+});
+
+describe('episode list badges', () => {
+  let chrome, page, badge;
+  beforeEach(async () => {
+    chrome = createChrome({ local: { apiKeys: ['testkey'], hoverDelayMs: 0, hideDelayMs: 0, spinnerDelayMs: 2000 } });
+    setupWorker({ chrome, routes: ROUTES });
+    page  = loadContent('netflix/preview-modal-series.html', { chrome, url: 'https://www.netflix.com/browse?jbv=80057281' });
+    badge = n => page.document.querySelectorAll('.episode-item')[n - 1].querySelector('.nro-episode-badge');
+    await settle(); // init() reads settings before attaching
+  });
+  afterEach(() => page.close());
+
+  const summary = () => page.document.querySelector('.episodeSelector > .nro-season-summary');
+
+  it('rates every episode of the season shown once the series resolves', async () => {
+    page.document.querySelector('.playLink').focus();
+    await until(() => badge(9));
+
+    assert.equal(badge(1).textContent, '8.1');
+    assert.equal(badge(9).className, 'nro-episode-badge nro-episode-standout');
+    assert.equal(badge(7).className, 'nro-episode-badge nro-episode-dud');
+    assert.equal(badge(7).title, 'Episode 7: IMDb 6.1 · well below the season average');
+    assert.equal(summary().textContent, 'Season 2 · IMDb average 8.2 · best: episode 9 (9.1)');
+  });
+
+  it('leaves the badges alone when a rescan finds them current', async () => {
+    page.document.querySelector('.playLink').focus();
+    await until(() => badge(9));
+    const records = [];
+    const observer = new page.window.MutationObserver(r => records.push(...r));
+    observer.observe(page.document.querySelector('.episodeSelector'), { subtree: true, childList: true, attributes: true, characterData: true });
+
+    page.content.annotateEpisodesAll();
+    await settle();
+    observer.disconnect();
+    assert.equal(records.length, 0);
+  });
+
+  it('takes the badges away when turned off in settings', async () => {
+    // jsdom computes no default position, so say what a browser would
+    for (const item of page.document.querySelectorAll('.episode-item')) item.style.position = 'static';
+    page.document.querySelector('.playLink').focus();
+    await until(() => badge(9));
+    assert.ok(badge(9).parentElement.classList.contains('nro-inline-host'), 'a static row is made the badge\'s containing block');
+
+    await chrome.storage.local.set({ episodeRatings: false });
+    await until(() => !badge(9));
+    assert.equal(page.document.querySelectorAll('.nro-episode-badge').length, 0);
+    assert.equal(page.document.querySelectorAll('.episode-item.nro-inline-host').length, 0);
+    assert.equal(summary(), null);
+  });
+});
@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * In-memory chrome.* fake — just the extension API surface the source
+ * uses: chrome.storage.local and .sync (+ onChanged), chrome.runtime messaging,
+ * the action / tabs calls that open the popup, keyboard commands (with
+ * tabs.sendMessage to relay them, as prefetch results are), and
+ * chrome.i18n backed by the real
+ * _locales/en messages.
+ *
+ * Values are structured-cloned on the way in and out, like the real
+ * storage area, so code under test can't mutate stored state by reference.
+ */
+
+const fs   = require('node:fs');
+const path = require('node:path');
+
+const MESSAGES = JSON.parse(fs.readFileSync(
+  path.join(__dirname, '..', '..', '_locales', 'en', 'messages.json'), 'utf8'));
+
+function createChrome({ local = {}, sync = {} } = {}) {
+  const storageListeners = new Set();
+  const messageListeners = new Set();
+  const commandListeners = new Set();
+
+  /** One storage area; changes go to storage.onChanged tagged with `name`. */
+  function createArea(name, initial) {
+    const data = structuredClone(initial);
+
+    function emitChanges(changes) {
+      if (!Object.keys(changes).length) return;
+      for (const listener of [...storageListeners]) listener(structuredClone(changes), name);
+    }
+
+    const area = {
+      async get(keys) {
+        if (keys == null) return structuredClone(data);
+
+        const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+        const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+        const out = {};
+        for (const key of list) {
+          if (key in data) out[key] = structuredClone(data[key]);
+          else if (key in defaults) out[key] = defaults[key];
+        }
+        return out;
+      },
+
+      async set(items) {
+        const changes = {};
+        for (const [key, value] of Object.entries(items)) {
+          changes[key] = { oldValue: data[key], newValue: value };
+          data[key] = structuredClone(value);
+        }
+        emitChanges(changes);
+      },
+
+      async remove(keys) {
+        const changes = {};
+        for (const key of [].concat(keys)) {
+          if (!(key in data)) continue;
+          changes[key] = { oldValue: data[key] };
+          delete data[key];
+        }
+        emitChanges(changes);
+      },
+
+      async clear() {
+        await area.remove(Object.keys(data));
+      },
+    };
+    return area;
+  }
+
+  const runtime = {
+    id: 'nro-test-extension',
+    lastError: undefined,
+    openOptionsPageCalls: 0,
+
+    onMessage: {
+      addListener:    fn => messageListeners.add(fn),
+      removeListener: fn => messageListeners.delete(fn),
+    },
+
+    /** Sent from the page under test, which is tab 1's top frame. */
+    sendMessage: message => deliver(message, { id: runtime.id, tab: { id: 1 }, frameId: 0 }),
+
+    async openOptionsPage() {
+      runtime.openOptionsPageCalls++;
+    },
+
+    getURL: path => `chrome-extension://${runtime.id}/${path}`,
+  };
+
+  const action = {
+    openPopupCalls: 0,
+    openPopupFails: false, // e.g. Chrome < 127, or no focused window
+
+    async openPopup() {
+      action.openPopupCalls++;
+      if (action.openPopupFails) throw new Error('Could not find an active browser window.');
+    },
+  };
+
+  /** Delivers to onMessage listeners the way Chrome does across contexts. */
+  function deliver(message, sender = { id: runtime.id }) {
+    return new Promise(resolve => {
+      let pending = false;
+      for (const listener of messageListeners) {
+        const keepOpen = listener(structuredClone(message), sender, resolve);
+        if (keepOpen === true) pending = true;
+      }
+      if (!pending) resolve(undefined);
+    });
+  }
+
+  const tabs = {
+    created: [],
+    sent:    [],
+    async create(props) {
+      tabs.created.push(props);
+      return { id: tabs.created.length, ...props };
+    },
+    /** One shared listener set: the page under test is every tab. */
+    sendMessage(tabId, message) {
+      tabs.sent.push({ tabId, message });
+      return deliver(message);
+    },
+  };
+
+  const commands = {
+    onCommand: {
+      addListener:    fn => commandListeners.add(fn),
+      removeListener: fn => commandListeners.delete(fn),
+    },
+    /** Test-only: the user presses the shortcut for `name` in `tab`. */
+    press(name, tab = { id: 1 }) {
+      for (const listener of commandListeners) listener(name, tab);
+    },
+  };
+
+  const i18n = {
+    getUILanguage: () => 'en',
+
+    /** $1…$9 from `subs`, $$ for a literal dollar; '' for unknown names. */
+    getMessage(name, subs = []) {
+      const text = MESSAGES[name]?.message;
+      if (text === undefined) return '';
+      return text.replace(/\$(\$|[1-9])/g, (_, n) => (n === '$' ? '$' : String([].concat(subs)[n - 1] ?? '')));
+    },
+  };
+
+  return {
+    runtime,
+    action,
+    tabs,
+    commands,
+    i18n,
+    storage: {
+      local: createArea('local', local),
+      sync:  createArea('sync', sync),
+      onChanged: {
+        addListener:    fn => storageListeners.add(fn),
+        removeListener: fn => storageListeners.delete(fn),
+      },
+    },
+  };
+}
+
+module.exports = { createChrome };
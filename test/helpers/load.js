@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Loaders that run the extension's classic scripts, unmodified, in Node:
+ *
+ *   loadServiceWorker() — service-worker.js in its own vm context, with
+ *                         importScripts() resolved against src/background/
+ *                         and a fresh in-memory IndexedDB (fake-indexeddb).
+ *   loadContent()       — the manifest's content scripts, in order, inside
+ *                         a jsdom window built from a saved HTML fixture;
+ *                         `url` picks the site adapter. content.js keeps
+ *                         its functions inside an IIFE; `content` reaches
+ *                         them through a lookup spliced into the copy the
+ *                         test runs (see withScopeLookup).
+ *
+ *   loadSettings()      — src/shared/settings.js and the i18n.js it needs;
+ *                         its NRO_SETTINGS.
+ *
+ * Neither touches the network: the service worker gets whatever `fetch`
+ * the test passes (see omdb-replay.js), and content.js only ever talks
+ * to the chrome.runtime fake.
+ */
+
+const fs   = require('node:fs');
+const path = require('node:path');
+const vm   = require('node:vm');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { createChrome } = require('./chrome');
+
+const ROOT     = path.resolve(__dirname, '..', '..');
+const FIXTURES = path.join(ROOT, 'test', 'fixtures');
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+function readSource(rel) {
+  return fs.readFileSync(path.join(ROOT, rel), 'utf8');
+}
+
+function readFixture(rel) {
+  return fs.readFileSync(path.join(FIXTURES, rel), 'utf8');
+}
+
+// The worker logs every provider error; set NRO_TEST_LOGS=1 to see them.
+const quietConsole = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+const testConsole  = process.env.NRO_TEST_LOGS ? console : quietConsole;
+
+async function noNetwork(url) {
+  throw new Error(`Unexpected network request in test: ${url}`);
+}
+
+function loadServiceWorker({ chrome = createChrome(), fetch = noNetwork, indexedDB = new IDBFactory() } = {}) {
+  const context = vm.createContext({
+    chrome,
+    fetch,
+    indexedDB,
+    IDBKeyRange,
+    console: testConsole,
+    setTimeout,
+    clearTimeout,
+    AbortController,
+    URLSearchParams,
+    importScripts(...urls) {
+      for (const url of urls) {
+        const rel = path.join('src', 'background', url);
+        vm.runInContext(readSource(rel), context, { filename: rel });
+      }
+    },
+  });
+
+  const rel = path.join('src', 'background', 'service-worker.js');
+  vm.runInContext(readSource(rel), context, { filename: rel });
+
+  return {
+    chrome,
+    context,
+    /** Evaluate an expression against the worker's globals (incl. top-level consts). */
+    run: code => vm.runInContext(code, context),
+  };
+}
+
+const CONTENT_SCRIPT = path.join('src', 'content', 'content.js');
+const SCOPE_LOOKUP   = '__nroScope';
+
+/**
+ * content.js with one line added before the IIFE closes: a function that
+ * evaluates a name inside the IIFE's scope. Only the copy run here gets
+ * it; the shipped script exposes nothing.
+ */
+function withScopeLookup(source) {
+  const end = source.lastIndexOf('})();');
+  if (end < 0) throw new Error(`${CONTENT_SCRIPT} no longer ends in an IIFE`);
+  return `${source.slice(0, end)}globalThis.${SCOPE_LOOKUP} = name => eval(name);\n${source.slice(end)}`;
+}
+
+/** content.js's functions by name, e.g. `content.extractTitle(card)`. */
+function scopeProxy(lookup) {
+  return new Proxy({}, { get: (_, name) => typeof name === 'string' ? lookup(name) : undefined });
+}
+
+function loadContent(fixture, { url = 'https://www.netflix.com/browse', chrome = createChrome() } = {}) {
+  const dom = new JSDOM(readFixture(fixture), { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+
+  window.chrome = chrome;
+
+  // Run as scripts, not eval(), so top-level consts (NRO_SETTINGS) are
+  // shared between them the way they are between manifest content scripts.
+  const context = dom.getInternalVMContext();
+  for (const rel of MANIFEST.content_scripts[0].js) {
+    const source = rel === CONTENT_SCRIPT ? withScopeLookup(readSource(rel)) : readSource(rel);
+    vm.runInContext(source, context, { filename: rel });
+  }
+
+  return {
+    chrome,
+    window,
+    document: window.document,
+    // Left undefined where no adapter claims the page and content.js bails out
+    content:  window[SCOPE_LOOKUP] && scopeProxy(window[SCOPE_LOOKUP]),
+    /** Evaluate an expression against the page's script globals (NRO_MARKS…). */
+    run:      code => vm.runInContext(code, context),
+    /**
+     * Let init() finish (it awaits storage), fire the script's own
+     * teardown, then stop jsdom's timers.
+     */
+    async close() {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      window.dispatchEvent(new window.Event('pagehide'));
+      window.close();
+    },
+  };
+}
+
+function loadSettings(chrome = createChrome()) {
+  const context = vm.createContext({ chrome });
+  for (const name of ['i18n.js', 'settings.js']) {
+    const rel = path.join('src', 'shared', name);
+    vm.runInContext(readSource(rel), context, { filename: rel });
+  }
+  return vm.runInContext('NRO_SETTINGS', context);
+}
+
+/** Strip vm-realm prototypes so deepStrictEqual compares values only. */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadServiceWorker, loadContent, loadSettings, readFixture, plain };
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Replays recorded OMDb responses in place of `fetch`.
+ *
+ * Routes map an OMDb query string — parameters sorted, `apikey` removed —
+ * to a file under test/fixtures/omdb/. Unrouted queries get OMDb's own
+ * "Movie not found!" reply, which is what the live API sends for a miss.
+ * Every request is recorded in `requests` for call-count assertions.
+ */
+
+const { readFixture } = require('./load');
+
+const NOT_FOUND = 'not-found.json';
+
+function routeKey(url) {
+  const params = new URL(url).searchParams;
+  params.delete('apikey');
+  params.sort();
+  return params.toString();
+}
+
+function createOmdbReplay(routes = {}) {
+  const requests = [];
+
+  async function fetch(url) {
+    const key = routeKey(url);
+    requests.push(key);
+    const body = JSON.parse(readFixture(`omdb/${routes[key] || NOT_FOUND}`));
+    return { ok: true, status: 200, json: async () => body };
+  }
+
+  return { fetch, requests };
+}
+
+/** Route key for the given OMDb params, e.g. query({ t: 'Inception', y: 2010 }). */
+function query(params) {
+  const search = new URLSearchParams(Object.entries(params).map(([k, v]) => [k, String(v)]));
+  search.sort();
+  return search.toString();
+}
+
+module.exports = { createOmdbReplay, query };
@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Waiting on the code under test: its storage, IndexedDB and fetch
+ * chains run on timers and microtasks the test doesn't hold.
+ */
+
+/** Let pending promise chains run for `ms`. */
+function settle(ms = 10) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/** Settle until `done()` holds; gives up after `timeoutMs`. */
+async function until(done, timeoutMs = 2000) {
+  for (let waited = 0; waited < timeoutMs && !done(); waited += 10) await settle();
+}
+
+module.exports = { settle, until };
@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * The service worker set up the way most tests need it: a fresh chrome
+ * fake, recorded OMDb answers and, optionally, a clock the test moves.
+ *
+ *   routes    — omdb-replay routes (see omdb-replay.js)
+ *   local     — initial chrome.storage.local contents
+ *   intercept — url → response, or undefined to fall through to the replay
+ *   now       — pins the worker's Date.now() to `clock.now`, starting here
+ *   chrome / indexedDB — share state with another worker or page
+ *
+ * Returns { chrome, replay, sw, run, clock, cache }: `sw` holds the
+ * worker's functions, `run` evaluates an expression among its globals
+ * and `cache` is its NRO_CACHE.
+ */
+
+const { loadServiceWorker } = require('./load');
+const { createChrome } = require('./chrome');
+const { createOmdbReplay } = require('./omdb-replay');
+
+function setupWorker({ routes = {}, local = {}, intercept, now, chrome = createChrome({ local }), indexedDB } = {}) {
+  const replay = createOmdbReplay(routes);
+  const fetch  = intercept ? async url => await intercept(url) || replay.fetch(url) : replay.fetch;
+  const worker = loadServiceWorker({ chrome, fetch, ...indexedDB && { indexedDB } });
+
+  const clock = now === undefined ? null : { now: typeof now === 'string' ? Date.parse(now) : now };
+  if (clock) worker.run('Date').now = () => clock.now;
+
+  return { chrome, replay, sw: worker.context, run: worker.run, clock, cache: worker.run('NRO_CACHE') };
+}
+
+module.exports = { setupWorker };
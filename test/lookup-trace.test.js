@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Debug mode's lookup trace: what the service worker records for each
+ * lookup, and the extraction strategy the content script sends along.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContent, plain } = require('./helpers/load');
+const { createChrome } = require('./helpers/chrome');
+const { query } = require('./helpers/omdb-replay');
+const { settle } = require('./helpers/timing');
+const { setupWorker } = require('./helpers/worker');
+
+const ROUTES = {
+  [query({ t: 'Inception', y: 2010, type: 'movie' })]: 'inception.json',
+  [query({ s: 'Stranger Things' })]:                   'search-stranger-things.json',
+  [query({ i: 'tt4574334' })]:                         'stranger-things.json',
+};
+
+function setup(local = { apiKey: 'testkey', debugMode: true }) {
+  const env    = setupWorker({ routes: ROUTES, local });
+  const traces = async () => plain((await env.sw.handleGetTrace()).traces);
+  return { ...env, traces };
+}
+
+describe('lookup trace', () => {
+  it('records the extraction, search strategy, scored candidates and calls of a lookup', async () => {
+    const { sw, traces } = setup();
+    await sw.handleFetchRating({ title: 'Stranger Things', year: null, mediaType: null, siteId: null, strategy: 'img-alt' });
+
+    const [trace] = await traces();
+    assert.deepEqual(trace.query, { title: 'Stranger Things', year: null, mediaType: null, siteId: null, strategy: 'img-alt' });
+    assert.equal(trace.source, 'providers');
+    assert.equal(trace.outcome, 'found');
+    assert.equal(trace.imdbID, 'tt4574334');
+    assert.equal(trace.calls, 4);
+
+    const [omdb] = trace.providers;
+    assert.equal(omdb.search, 'smartSearch');
+    assert.deepEqual(omdb.requests.map(r => r.request), [
+      '?t=Stranger+Things&type=movie',
+      '?t=Stranger+Things&type=series',
+      '?s=Stranger+Things',
+      '?i=tt4574334',
+    ]);
+    assert.equal(omdb.requests[2].answer, '3 results');
+
+    const scores = Object.fromEntries(omdb.candidates.map(c => [c.imdbID, c.score]));
+    assert.equal(Object.keys(scores).length, 3);
+    assert.ok(scores.tt4574334 > scores.tt7306056, 'the exact title outscores the spin-off');
+  });
+
+  it('marks a cache hit and keeps only the newest lookups', async () => {
+    const { chrome, sw, traces } = setup();
+    const request = { title: 'Inception', year: '2010', mediaType: 'movie' };
+    await sw.handleFetchRating(request);
+
+    const old = Array.from({ length: 100 }, (_, i) => ({ at: i }));
+    await chrome.storage.local.set({ lookupTrace: old });
+    await sw.handleFetchRating(request);
+
+    const recorded = await traces();
+    assert.equal(recorded.length, 100);
+    assert.equal(recorded[0].at, 1);
+    const hit = recorded.at(-1);
+    assert.equal(hit.source, 'cache');
+    assert.equal(hit.imdbID, 'tt1375666');
+    assert.equal(hit.calls, 0);
+    assert.deepEqual(hit.providers, []);
+
+    assert.deepEqual(plain(await sw.handleClearTrace()), { cleared: true });
+    assert.deepEqual(await traces(), []);
+  });
+
+  it('records nothing while debug mode is off', async () => {
+    const { sw, traces } = setup({ apiKey: 'testkey' });
+    await sw.handleFetchRating({ title: 'Inception', year: '2010', mediaType: 'movie' });
+    assert.deepEqual(await traces(), []);
+  });
+});
+
+describe('extraction strategy in lookups', () => {
+  it('is only sent while debug mode is on', async () => {
+    const chrome = createChrome({ local: { debugMode: true } });
+    const page   = loadContent('netflix/browse-row.html', { chrome });
+    await settle(); // init() reads settings
+    try {
+      const info = page.content.extractTitle(page.document.querySelector('[data-testid="card-inception"]'));
+      assert.equal(page.content.toLookup(info).strategy, 'selector');
+
+      await chrome.storage.local.set({ debugMode: false });
+      await settle();
+      assert.equal('strategy' in page.content.toLookup(info), false);
+    } finally {
+      page.close();
+    }
+  });
+});
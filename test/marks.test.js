@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * Seen / watchlist marks: the local store and its synced copy, the
+ * service worker that makes every change, the overlay toggles, and the
+ * flags on marked cards.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContent, plain } = require('./helpers/load');
+const { createChrome } = require('./helpers/chrome');
+const { settle } = require('./helpers/timing');
+const { setupWorker } = require('./helpers/worker');
+
+/** The synced copy, all its items merged into one imdbID → entry map. */
+async function synced(chrome) {
+  return Object.assign({}, ...Object.values(await chrome.storage.sync.get(null)));
+}
+
+describe('NRO_MARKS', () => {
+  let page;
+  afterEach(() => page.close());
+
+  function open(options) {
+    const chrome = createChrome(options);
+    setupWorker({ chrome });
+    page = loadContent('netflix/browse-row.html', { chrome });
+    return { chrome, marks: page.run('NRO_MARKS') };
+  }
+
+  it('keeps every mark under one local key, with a copy in sync', async () => {
+    const { chrome, marks } = open();
+
+    await marks.set('tt1375666', 'watchlist', { title: 'Inception', year: '2010', videoId: 'netflix:70131314' });
+    await marks.set('tt1375666', 'seen', { videoId: 'prime:B0CLRMVK6P' });
+
+    const { marks: { tt1375666: stored } } = await chrome.storage.local.get('marks');
+    assert.equal(stored.list, 'seen');
+    assert.equal(stored.title, 'Inception');
+    assert.deepEqual(plain(stored.ids), ['netflix:70131314', 'prime:B0CLRMVK6P']);
+    assert.deepEqual(plain(await synced(chrome)), plain({ tt1375666: stored }));
+
+    await marks.clear('tt1375666');
+    assert.equal((await marks.all()).size, 0);
+    assert.equal((await synced(chrome)).tt1375666.list, undefined);
+    await assert.rejects(marks.set('inception', 'seen'), /Not an IMDb ID/);
+  });
+
+  it('takes the newer side where this device and another disagree', async () => {
+    const { chrome, marks } = open({
+      local: { marks: { tt1375666: { list: 'watchlist', at: 1 }, tt4574334: { list: 'seen', at: 5 } } },
+      sync:  {
+        'marks.10': { tt1375666: { list: 'seen', at: 2 } },
+        'marks.6':  { tt4574334: { at: 3 } },
+        'marks.5':  { tt0111161: { list: 'seen', at: 4 } },
+      },
+    });
+    const lists = new Map([...await marks.all()].map(([id, m]) => [id, m.list]));
+    assert.deepEqual([...lists].sort(), [['tt0111161', 'seen'], ['tt1375666', 'seen'], ['tt4574334', 'seen']]);
+
+    // A clear that arrives from the other device wins over the older mark
+    await chrome.storage.sync.set({ 'marks.6': { tt4574334: { at: 6 } } });
+    assert.equal(await marks.get('tt4574334'), null);
+  });
+
+  it('makes changes from two tabs at once one after the other', async () => {
+    const { chrome, marks } = open();
+    const other = loadContent('netflix/browse-row.html', { chrome });
+    try {
+      await Promise.all([
+        marks.set('tt1375666', 'seen'),
+        other.run('NRO_MARKS').set('tt4574334', 'watchlist'),
+      ]);
+    } finally {
+      await other.close();
+    }
+    assert.deepEqual(Object.keys((await chrome.storage.local.get('marks')).marks).sort(), ['tt1375666', 'tt4574334']);
+  });
+
+  it('spreads the synced copy over several items, so hundreds of marks reach other devices', async () => {
+    const at    = Date.now();
+    const local = Object.fromEntries(Array.from({ length: 300 }, (_, i) =>
+      [`tt${String(1000000 + i)}`, { list: 'seen', title: `Title ${i}`, year: '2000', at: at - i, ids: [`netflix:${80000000 + i}`] }]));
+    const { chrome, marks } = open({ local: { marks: local } });
+
+    await marks.set('tt1375666', 'watchlist', { title: 'Inception' });
+    const items = await chrome.storage.sync.get(null);
+    assert.equal(Object.keys(await synced(chrome)).length, 301);
+    for (const [key, item] of Object.entries(items)) {
+      assert.ok(key.length + JSON.stringify(item).length <= 8192, `${key} fits one sync item`);
+    }
+  });
+
+  it('still marks when sync refuses the copy, and only syncs what fits', async () => {
+    const { chrome, marks } = open();
+    chrome.storage.sync.QUOTA_BYTES_PER_ITEM = 200;
+
+    for (let i = 0; i < 40; i++) await marks.set(`tt00000${String(i).padStart(2, '0')}`, 'seen', { title: `Title ${i}` });
+    const ids = Object.keys(await synced(chrome));
+    assert.ok(ids.length < 40 && ids.includes('tt0000039'), 'the newest marks sync');
+    assert.equal((await marks.all()).size, 40);
+
+    chrome.storage.sync.set = async () => { throw new Error('MAX_WRITE_OPERATIONS_PER_MINUTE'); };
+    await marks.set('tt1375666', 'watchlist');
+    assert.equal((await marks.get('tt1375666')).list, 'watchlist');
+  });
+});
+
+describe('overlay mark toggles', () => {
+  let chrome, page, card, overlay;
+  function open(sync = {}) {
+    chrome  = createChrome({ sync });
+    setupWorker({ chrome });
+    page    = loadContent('netflix/browse-row.html', { chrome });
+    card    = id => page.document.querySelector(`[data-testid="${id}"]`);
+    overlay = () => page.document.getElementById('nro-floating-overlay');
+  }
+  afterEach(() => page.close());
+
+  const pressed = list => overlay().querySelector(`[data-nro-list="${list}"]`).getAttribute('aria-pressed');
+
+  it('marks the title from the overlay and flags its card', async () => {
+    open();
+    await settle();
+    const inception = card('card-inception');
+    page.content.showOverlay(inception, { imdbRating: '8.8', imdbID: 'tt1375666', title: 'Inception' });
+    // Only the toggles take the pointer, not the badges around them
+    assert.equal(overlay().style.getPropertyValue('pointer-events'), 'none');
+
+    overlay().querySelector('[data-nro-list="seen"]').click();
+    await settle();
+
+    assert.equal((await chrome.storage.local.get('marks')).marks.tt1375666.list, 'seen');
+    assert.equal(pressed('seen'), 'true');
+    assert.equal(pressed('watchlist'), 'false');
+    assert.equal(inception.querySelector(':scope > .nro-mark-flag').textContent, 'Seen');
+
+    // Pressed again, the mark is cleared
+    overlay().querySelector('[data-nro-list="seen"]').click();
+    await settle();
+    assert.equal(await page.run('NRO_MARKS').get('tt1375666'), null);
+    assert.equal(inception.querySelector('.nro-mark-flag'), null);
+  });
+
+  it('says so in the overlay when the mark could not be saved', async () => {
+    open();
+    await settle();
+    chrome.storage.local.set = async () => { throw new Error('QUOTA_BYTES quota exceeded'); };
+    page.content.showOverlay(card('card-inception'), { imdbRating: '8.8', imdbID: 'tt1375666', title: 'Inception' });
+
+    overlay().querySelector('[data-nro-list="seen"]').click();
+    await settle();
+    assert.equal(overlay().querySelector('.nro-marks .nro-mark-error').textContent, "Couldn't save the mark");
+    assert.equal(pressed('seen'), 'false');
+  });
+
+  it('flags cards marked on another device as soon as they are attached', async () => {
+    open({ 'marks.6': { tt4574334: { list: 'watchlist', title: 'Stranger Things', at: 1, ids: ['netflix:80057281'] } } });
+    await settle();
+    assert.equal(card('card-stranger-things').querySelector('.nro-mark-flag')?.textContent, 'Watchlist');
+    assert.equal(card('card-inception').querySelector('.nro-mark-flag'), null);
+  });
+
+  it('keeps a flagged card positioned when its strip goes, until the flag goes too', async () => {
+    open({ 'marks.6': { tt4574334: { list: 'watchlist', title: 'Stranger Things', at: 1, ids: ['netflix:80057281'] } } });
+    const stranger = card('card-stranger-things');
+    stranger.style.position = 'static'; // jsdom computes no default position
+    await settle();
+    assert.ok(stranger.classList.contains('nro-inline-host'));
+
+    page.content.renderStrip(stranger, { imdbRating: '8.7', imdbID: 'tt4574334' });
+    page.content.removeStrip(stranger);
+    assert.ok(stranger.classList.contains('nro-inline-host'), 'the flag still needs it');
+
+    await page.run('NRO_MARKS').clear('tt4574334');
+    await settle();
+    assert.equal(stranger.querySelector('.nro-mark-flag'), null);
+    assert.equal(stranger.classList.contains('nro-inline-host'), false);
+  });
+
+  it('leaves an unchanged flag alone, so a rescan does not set off another', async () => {
+    open({ 'marks.6': { tt4574334: { list: 'watchlist', title: 'Stranger Things', at: 1, ids: ['netflix:80057281'] } } });
+    await settle();
+    const records = [];
+    const observer = new page.window.MutationObserver(r => records.push(...r));
+    observer.observe(card('card-stranger-things'), { subtree: true, childList: true, attributes: true, characterData: true });
+
+    page.content.applyMarkAll();
+    await settle();
+    observer.disconnect();
+    assert.equal(records.length, 0);
+  });
+});
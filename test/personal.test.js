@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Personal ratings: the chrome.storage.local store and its export, the
+ * badge, and the form in the preview modal.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContent, plain } = require('./helpers/load');
+const { createChrome } = require('./helpers/chrome');
+const { settle } = require('./helpers/timing');
+
+const RATING = { imdbRating: '8.8', imdbID: 'tt1375666', title: 'Inception', year: '2010' };
+
+describe('NRO_PERSONAL', () => {
+  let page;
+  afterEach(() => page.close());
+
+  it('keeps every 1–10 score and note under one key and exports them', async () => {
+    const chrome = createChrome();
+    page = loadContent('netflix/browse-row.html', { chrome });
+    const personal = page.run('NRO_PERSONAL');
+
+    await personal.set('tt1375666', { score: '9', note: '  Rewatch in IMAX ', title: 'Inception', year: '2010' });
+    await personal.set('tt1375666', { score: 8, note: 'Rewatch in IMAX' });
+
+    const { personalRatings: { tt1375666: stored } } = await chrome.storage.local.get('personalRatings');
+    assert.equal(stored.score, 8);
+    assert.equal(stored.note, 'Rewatch in IMAX');
+    assert.equal(stored.title, 'Inception');
+
+    const data = await personal.exportData();
+    assert.equal(data.format, 'netflix-ratings-overlay/personal');
+    assert.deepEqual(Object.keys(data.ratings), ['tt1375666']);
+    assert.equal(typeof data.exportedAt, 'number');
+
+    await personal.clear('tt1375666');
+    assert.deepEqual(plain((await chrome.storage.local.get('personalRatings')).personalRatings), {});
+
+    await assert.rejects(personal.set('tt1375666', { score: 11 }), /1 to 10/);
+    await assert.rejects(personal.set('tt1375666', { score: '7.5' }), /1 to 10/);
+    await assert.rejects(personal.set('tt1375666', { score: '' }), /1 to 10/);
+    await assert.rejects(personal.set('inception', { score: 5 }), /Not an IMDb ID/);
+  });
+});
+
+describe('personal badge and modal form', () => {
+  let chrome, page, overlay;
+  function open(fixture, local = {}) {
+    chrome  = createChrome({ local });
+    page    = loadContent(fixture, { chrome });
+    overlay = () => page.document.getElementById('nro-floating-overlay');
+  }
+  afterEach(() => page.close());
+
+  it('shows your score as a badge, with the note on hover', async () => {
+    open('netflix/browse-row.html', { personalRatings: { tt1375666: { score: 9, note: 'Rewatch', at: 1 } } });
+    await settle();
+    page.content.showOverlay(page.document.querySelector('[data-testid="card-inception"]'), RATING);
+
+    const badge = overlay().querySelector('.nro-personal-badge');
+    assert.equal(badge.querySelector('.nro-rating-value').textContent, '9');
+    assert.equal(badge.querySelector('[title]').getAttribute('title'), 'Rewatch');
+    // The form is only offered in the preview modal
+    assert.equal(overlay().querySelector('.nro-personal'), null);
+    assert.match(page.content.describeRating('Inception', RATING), /your rating 9$/);
+  });
+
+  it('rates a title from the preview modal', async () => {
+    open('netflix/preview-modal.html');
+    await settle();
+    page.content.showOverlay(page.document.querySelector('[data-testid="preview-modal"]'), RATING);
+    assert.equal(overlay().querySelector('.nro-personal-text').textContent, "You haven't rated this");
+
+    overlay().querySelector('[data-nro-action="edit-personal"]').click();
+    const form = overlay().querySelector('.nro-personal-form');
+    form.elements.score.value = '12';
+    form.querySelector('[data-nro-action="save-personal"]').click();
+    await settle();
+    assert.equal(overlay().querySelector('[name="score"]').getAttribute('aria-invalid'), 'true');
+
+    overlay().querySelector('[name="score"]').value = '9';
+    overlay().querySelector('[name="note"]').value  = 'Rewatch in IMAX';
+    overlay().querySelector('[data-nro-action="save-personal"]').click();
+    await settle();
+
+    const { personalRatings: { tt1375666: stored } } = await chrome.storage.local.get('personalRatings');
+    assert.deepEqual(plain({ score: stored.score, note: stored.note, title: stored.title, year: stored.year }),
+      { score: 9, note: 'Rewatch in IMAX', title: 'Inception', year: '2010' });
+    assert.equal(overlay().querySelector('.nro-personal-form'), null);
+    assert.equal(overlay().querySelector('.nro-personal-text').textContent, 'Your rating: 9/10 — Rewatch in IMAX');
+    assert.equal(overlay().querySelector('.nro-personal-badge .nro-rating-value').textContent, '9');
+  });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+/** Quota days in the reset time zone, and the per-day usage history. */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { plain } = require('./helpers/load');
+const { query } = require('./helpers/omdb-replay');
+const { setupWorker } = require('./helpers/worker');
+
+const HOUR = 60 * 60 * 1000;
+const DAY  = 24 * HOUR;
+
+const INCEPTION = { title: 'Inception', year: '2010', mediaType: 'movie' };
+const ROUTES    = { [query({ t: 'Inception', y: 2010, type: 'movie' })]: 'inception.json' };
+
+/** A worker whose Date.now() reads `clock.now`. */
+function setup({ local = {}, now = '2026-03-01T12:00:00Z' } = {}) {
+  const env   = setupWorker({ routes: ROUTES, local: { apiKeys: ['testkey'], ...local }, now });
+  const usage = async () => plain(await env.chrome.runtime.sendMessage({ type: 'GET_USAGE' }));
+  return { ...env, usage };
+}
+
+describe('quota day', () => {
+  it('is the calendar date in the reset time zone, UTC by default', async () => {
+    const { sw } = setup();
+    const lateEvening = Date.parse('2026-03-01T23:30:00Z');
+
+    assert.equal(await sw.quotaDay(lateEvening), '2026-03-01');
+    assert.equal(sw.quotaDayOf(lateEvening, 'Asia/Tokyo'), '2026-03-02');
+    assert.equal(sw.quotaDayOf(lateEvening, 'America/Los_Angeles'), '2026-03-01');
+  });
+
+  it('ends at the next midnight in that zone, across DST changes too', async () => {
+    assert.equal(await setup().sw.nextQuotaReset(Date.parse('2026-03-01T12:00:00Z')), Date.parse('2026-03-02T00:00:00Z'));
+
+    // New York springs forward on 8 March 2026: that day is 23 hours long
+    const { sw } = setup({ local: { quotaTimeZone: 'America/New_York' } });
+    assert.equal(await sw.nextQuotaReset(Date.parse('2026-03-08T12:00:00Z')), Date.parse('2026-03-09T04:00:00Z'));
+    assert.equal(await sw.nextQuotaReset(Date.parse('2026-03-07T12:00:00Z')), Date.parse('2026-03-08T05:00:00Z'));
+  });
+
+  it('rolls the call counter over at the reset, not at local midnight', async () => {
+    const env = setup({ now: '2026-03-01T23:00:00Z' });
+    await env.sw.handleFetchRating(INCEPTION);
+    assert.equal(await env.sw.getApiCallCount(), 1);
+
+    env.clock.now += 2 * HOUR;
+    assert.equal(await env.sw.getApiCallCount(), 0);
+    assert.deepEqual(plain(await env.chrome.storage.local.get('apiCallsDate')), { apiCallsDate: '2026-03-01' });
+  });
+
+  it('keeps counts dated the way earlier versions wrote them', async () => {
+    // Date#toDateString() in the test's own time zone, as the browser wrote it
+    const legacy = new Date(2026, 2, 1, 12).toDateString();
+    const env = setup({
+      now: new Date(2026, 2, 1, 12).getTime(),
+      local: {
+        apiCallsToday: 41, apiCallsDate: legacy,
+        omdbKeyUsage:  { date: legacy, calls: { testkey: 41 }, spent: {} },
+        quotaTimeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      },
+    });
+
+    assert.equal(await env.sw.getApiCallCount(), 41);
+    await env.sw.handleFetchRating(INCEPTION);
+    const stored = plain(await env.chrome.storage.local.get(['apiCallsToday', 'apiCallsDate', 'omdbKeyUsage']));
+    assert.deepEqual(stored, {
+      apiCallsToday: 42, apiCallsDate: '2026-03-01',
+      omdbKeyUsage:  { date: '2026-03-01', calls: { testkey: 42 }, spent: {} },
+    });
+  });
+
+  it('quota notices carry the reset time', async () => {
+    const env = setup({ local: { omdbKeyUsage: { date: '2026-03-01', calls: { testkey: 1000 }, spent: {} } } });
+    const result = await env.sw.handleFetchRating(INCEPTION);
+
+    assert.equal(result.code, 'quota_exhausted');
+    assert.equal(result.resetsAt, Date.parse('2026-03-02T00:00:00Z'));
+  });
+
+  it('only accepts time zones the browser knows', () => {
+    const { validate } = setup().run('NRO_SETTINGS');
+    assert.equal(validate('quotaTimeZone', 'europe/berlin').value, 'Europe/Berlin');
+    assert.match(validate('quotaTimeZone', 'Mars/Olympus').error, /Unknown time zone/);
+    assert.equal(validate('quotaTimeZone', 'Mars/Olympus').value, 'UTC');
+  });
+});
+
+describe('usage history', () => {
+  it('counts OMDb calls, cache hits and misses per quota day', async () => {
+    const env = setup();
+    await env.sw.handleFetchRating(INCEPTION);
+    await env.sw.handleFetchRating(INCEPTION);
+    await env.sw.handleFetchRating(INCEPTION);
+
+    const { days, callsToday } = await env.usage();
+    assert.equal(callsToday, 1);
+    assert.deepEqual(days.at(-1), { date: '2026-03-01', calls: 1, hits: 2, misses: 1 });
+  });
+
+  it('reports the last 30 days oldest first, with empty days filled in', async () => {
+    const env = setup();
+    await env.sw.handleFetchRating(INCEPTION);
+    env.clock.now += 2 * DAY;
+    await env.sw.handleFetchRating(INCEPTION);
+
+    const { days } = await env.usage();
+    assert.equal(days.length, 30);
+    assert.equal(days[0].date, '2026-02-02');
+    assert.deepEqual(days.slice(-3).map(d => [d.date, d.hits + d.misses]),
+      [['2026-03-01', 1], ['2026-03-02', 0], ['2026-03-03', 1]]);
+  });
+
+  it('keeps no more than 30 days in storage', async () => {
+    const history = {};
+    for (let d = 1; d <= 31; d++) history[`2026-01-${String(d).padStart(2, '0')}`] = { calls: 1, hits: 0, misses: 1 };
+    const env = setup({ local: { usageHistory: history } });
+
+    await env.sw.handleFetchRating(INCEPTION);
+
+    const { usageHistory } = await env.chrome.storage.local.get('usageHistory');
+    const dates = Object.keys(usageHistory).sort();
+    assert.equal(dates.length, 30);
+    assert.deepEqual([dates[0], dates.at(-1)], ['2026-01-03', '2026-03-01']);
+  });
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+/** The IndexedDB rating cache: migration, TTL, LRU eviction, merge, stats. */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { plain } = require('./helpers/load');
+const { createChrome } = require('./helpers/chrome');
+const { setupWorker } = require('./helpers/worker');
+
+const MINUTE = 60 * 1000;
+const DAY    = 24 * 60 * MINUTE;
+
+/** A worker whose Date.now() reads `clock.now`. */
+const setup = (options = {}) => setupWorker({ now: '2026-03-01T12:00:00Z', ...options });
+
+const entry = (imdbID, cachedAt) => ({ imdbRating: '7.0', imdbID, cachedAt });
+
+describe('migration from chrome.storage.local', () => {
+  it('moves rating_ keys into IndexedDB once and removes them', async () => {
+    const now = Date.now();
+    const chrome = createChrome({
+      local: {
+        apiKey: 'k',
+        rating_inception_2010_movie: entry('tt1375666', now - DAY),
+        rating_dune_2021_movie:      entry('tt1160419', now - DAY),
+        _nro_cacheWriteCount:        7,
+      },
+    });
+    const indexedDB = new IDBFactory();
+    const { cache } = setup({ chrome, indexedDB });
+
+    assert.deepEqual(plain(await cache.stats()), { ratings: 2, siteIds: 0 });
+    assert.equal((await cache.get('inception_2010_movie', DAY)).imdbID, 'tt1375666');
+    assert.deepEqual(Object.keys(await chrome.storage.local.get(null)).sort(), ['apiKey', 'cacheMigratedToIdb']);
+
+    // A second worker start must not migrate again
+    await chrome.storage.local.set({ rating_late: entry('tt0000001', now) });
+    const second = setup({ chrome, indexedDB });
+    assert.equal((await second.cache.stats()).ratings, 2);
+    assert.ok('rating_late' in await chrome.storage.local.get('rating_late'));
+  });
+});
+
+describe('NRO_CACHE', () => {
+  let env;
+  beforeEach(() => { env = setup(); });
+
+  it('returns what was put, and null for unknown keys', async () => {
+    await env.cache.put('arcane_2021_any', entry('tt11126994', env.clock.now));
+    assert.equal((await env.cache.get('arcane_2021_any', DAY)).imdbID, 'tt11126994');
+    assert.equal(await env.cache.get('missing', DAY), null);
+  });
+
+  it('treats entries older than the TTL as misses and drops them', async () => {
+    await env.cache.put('old', entry('tt0000001', env.clock.now - 2 * DAY));
+    assert.equal(await env.cache.get('old', DAY), null);
+    assert.equal((await env.cache.stats()).ratings, 0);
+  });
+
+  it('evicts expired entries first, then the least recently used', async () => {
+    const { cache, clock } = env;
+    await cache.put('expired', entry('tt0000001', clock.now - 10 * DAY));
+    await cache.put('a', entry('tt0000002', clock.now)); clock.now += MINUTE;
+    await cache.put('b', entry('tt0000003', clock.now)); clock.now += MINUTE;
+    await cache.put('c', entry('tt0000004', clock.now)); clock.now += 2 * MINUTE;
+
+    await cache.get('a', 7 * DAY); // a is now the most recently used
+
+    assert.equal(await cache.evict({ ttlMs: 7 * DAY, maxSize: 2 }), 2);
+    assert.deepEqual(Object.keys(await cache.exportRatings()).sort(), ['a', 'c']);
+  });
+
+  it('only rewrites lastAccess once it is more than a minute old', async () => {
+    const { cache, clock } = env;
+    const lastAccess = async () => (await cache.list())[0].lastAccess;
+    await cache.put('a', entry('tt0000001', clock.now));
+    const written = clock.now;
+
+    clock.now += MINUTE / 2;
+    await cache.get('a', DAY);
+    assert.equal(await lastAccess(), written);
+
+    clock.now += MINUTE;
+    await cache.get('a', DAY);
+    assert.equal(await lastAccess(), clock.now);
+  });
+
+  it('mergeRatings keeps whichever side is newer', async () => {
+    const { cache, clock } = env;
+    await cache.put('kept', entry('tt0000001', clock.now));
+    await cache.put('replaced', entry('tt0000002', clock.now - DAY));
+
+    const result = await cache.mergeRatings({
+      kept:     entry('tt9999999', clock.now - DAY),
+      replaced: entry('tt0000003', clock.now),
+      added:    entry('tt0000004', clock.now),
+    });
+
+    assert.deepEqual(plain(result), { written: 2, skipped: 1 });
+    assert.equal((await cache.get('kept', DAY)).imdbID, 'tt0000001');
+    assert.equal((await cache.get('replaced', DAY)).imdbID, 'tt0000003');
+  });
+
+  it('clear empties both stores and reports what it removed', async () => {
+    await env.cache.put('a', entry('tt0000001', env.clock.now));
+    await env.cache.setSiteId('netflix:1', 'tt0000001');
+
+    assert.deepEqual(plain(await env.cache.clear()), { ratings: 1, siteIds: 1 });
+    assert.deepEqual(plain(await env.cache.stats()), { ratings: 0, siteIds: 0 });
+  });
+});
+
+describe('cache messages', () => {
+  it('GET_CACHE_STATS and CLEAR_CACHE answer the popup', async () => {
+    const { chrome, cache, clock } = setup();
+    await cache.put('a', entry('tt0000001', clock.now));
+    await cache.put('b', entry('tt0000002', clock.now));
+
+    assert.equal((await chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' })).ratings, 2);
+    assert.equal((await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' })).ratings, 2);
+    assert.equal((await chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' })).ratings, 0);
+  });
+
+  it('EXPORT_CACHE and IMPORT_CACHE carry ratings, overrides and video IDs to another profile', async () => {
+    const from  = setup({ local: { apiKey: 'k' } });
+    const query = { title: 'Inception', year: '2010', mediaType: 'movie', siteId: 'netflix:70131314' };
+    await from.chrome.storage.local.set({ matchOverrides: { 'netflix:70131314': { imdbID: 'tt1375666', query, createdAt: from.clock.now } } });
+    await from.cache.put('netflix:80057281', entry('tt4574334', from.clock.now));
+    await from.cache.setSiteId('netflix:80057281', 'tt4574334');
+
+    const { data } = await from.sw.handleExportCache();
+    assert.equal(data.version, 1);
+    assert.deepEqual(Object.keys(data.overrides), ['netflix:70131314']);
+    assert.deepEqual(Object.keys(data.siteIds), ['netflix:80057281']);
+
+    const to = setup();
+    assert.deepEqual(plain(await to.sw.handleImportCache({ data: plain(data) })), { ratings: 1, overrides: 1, siteIds: 1, skipped: 0 });
+    assert.equal((await to.cache.get('netflix:80057281', DAY)).imdbID, 'tt4574334');
+    assert.equal(await to.cache.getSiteId('netflix:80057281'), 'tt4574334');
+    assert.equal((await to.sw.handleListOverrides()).overrides[0].imdbID, 'tt1375666');
+  });
+
+  it('writes past maxCacheSize evict down to the limit', async () => {
+    const { sw, cache, chrome, clock } = setup();
+    await chrome.storage.local.set({ maxCacheSize: 100 });
+
+    for (let i = 0; i < 105; i++) {
+      await sw.writeCache(`t${i}`, entry('tt0000001', clock.now));
+      clock.now += 1000;
+    }
+    const kept = Object.keys(await cache.exportRatings());
+    assert.equal(kept.length, 100);
+    assert.ok(!kept.includes('t0') && kept.includes('t104'));
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+/** Title matching and candidate scoring in the service worker. */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, plain } = require('./helpers/load');
+
+describe('title matching', () => {
+  let sw;
+  before(() => { sw = loadServiceWorker().context; });
+
+  it('isTitleMatch ignores case and punctuation', () => {
+    assert.equal(sw.isTitleMatch('Spider-Man: Into the Spider-Verse', 'Spider-Man: Into the Spider-Verse'), true);
+    assert.equal(sw.isTitleMatch('the office', 'The Office'), true);
+    assert.equal(sw.isTitleMatch("Schitt's Creek", 'Schitts Creek'), true);
+  });
+
+  it('isTitleMatch folds accents and keeps non-Latin titles', () => {
+    assert.equal(sw.isTitleMatch('Amélie', 'Amelie'), true);
+    assert.equal(sw.isTitleMatch('Élite', 'Elite'), true);
+    assert.equal(sw.isTitleMatch('ペーパー・ハウス', 'ペーパーハウス'), true);
+    // Non-ASCII titles used to normalise to "", which "matched" anything
+    assert.equal(sw.isTitleMatch('今際の国のアリス', 'Inception'), false);
+    assert.equal(sw.isTitleMatch('Дом бумаги', 'Dark'), false);
+  });
+
+  it('isTitleMatch accepts containment and large word overlap', () => {
+    assert.equal(sw.isTitleMatch('Stranger Things', 'Stranger Things 4'), true);
+    assert.equal(sw.isTitleMatch('Avatar: The Last Airbender', 'The Last Airbender (Avatar)'), true);
+  });
+
+  it('isTitleMatch rejects unrelated titles and empty input', () => {
+    assert.equal(sw.isTitleMatch('Inception', 'Interstellar'), false);
+    assert.equal(sw.isTitleMatch('Dark', 'Ozark'), false);
+    assert.equal(sw.isTitleMatch('', 'Inception'), false);
+    assert.equal(sw.isTitleMatch('Inception', null), false);
+  });
+
+  it('titleSimilarity ranks exact > containment > overlap > none', () => {
+    const exact    = sw.titleSimilarity('Arcane', 'Arcane');
+    const contains = sw.titleSimilarity('Arcane', 'Arcane: League of Legends');
+    const overlap  = sw.titleSimilarity('The Last Kingdom', 'The Last Airbender');
+    const none     = sw.titleSimilarity('Arcane', 'Ozark');
+
+    assert.equal(exact, 1);
+    assert.ok(contains > 0.8 && contains < 1, `containment ${contains}`);
+    assert.ok(overlap > 0 && overlap < contains, `overlap ${overlap}`);
+    assert.equal(none, 0);
+  });
+});
+
+describe('pickBest', () => {
+  let sw;
+  before(() => { sw = loadServiceWorker().context; });
+
+  it('returns null for no candidates and the only one for a single candidate', () => {
+    assert.equal(sw.pickBest('Inception', '2010', []), null);
+    const only = { Title: 'Inception' };
+    assert.equal(sw.pickBest('Inception', '2010', [only]), only);
+  });
+
+  it('prefers the closest year among same-title candidates', () => {
+    const uk = { Title: 'The Office', Year: '2001–2003', Type: 'series', imdbID: 'tt0290978' };
+    const us = { Title: 'The Office', Year: '2005–2013', Type: 'series', imdbID: 'tt0386676' };
+    assert.equal(sw.pickBest('The Office', '2005', [uk, us]).imdbID, 'tt0386676');
+    assert.equal(sw.pickBest('The Office', '2001', [uk, us]).imdbID, 'tt0290978');
+  });
+
+  it('prefers the better title over a spin-off', () => {
+    const spinoff = { Title: 'Beyond Stranger Things', Year: '2017', Type: 'series', Poster: 'x.jpg' };
+    const show    = { Title: 'Stranger Things', Year: '2016–2025', Type: 'series', Poster: 'y.jpg' };
+    assert.equal(sw.pickBest('Stranger Things', null, [spinoff, show]), show);
+  });
+
+  it('breaks ties with rating and poster presence', () => {
+    const bare  = { Title: 'Dark', Year: '2017', Type: 'series', Poster: 'N/A', imdbRating: 'N/A' };
+    const rated = { Title: 'Dark', Year: '2017', Type: 'series', Poster: 'd.jpg', imdbRating: '8.7' };
+    assert.equal(sw.pickBest('Dark', '2017', [bare, rated]), rated);
+  });
+
+  it('scores a TMDb hit on its TMDb rating without passing it off as IMDb', () => {
+    const hit = { id: 70523, name: 'Dark', first_air_date: '2017-12-01', vote_average: 8.4, vote_count: 6400, poster_path: '/d.jpg' };
+    const candidate = plain(sw.tmdbCandidate(hit, 'series'));
+    assert.equal(candidate.tmdbRating, '8.4');
+    assert.equal('imdbRating' in candidate, false);
+
+    const unrated = sw.tmdbCandidate({ ...hit, id: 1, vote_count: 0 }, 'series');
+    assert.equal(sw.pickBest('Dark', '2017', [unrated, sw.tmdbCandidate(hit, 'series')]).tmdbRef.id, 70523);
+  });
+});
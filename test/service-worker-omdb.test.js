@@ -0,0 +1,360 @@
+'use strict';
+
+/**
+ * End-to-end lookups through handleFetchRating → omdbFetch with recorded
+ * OMDb responses replayed in place of the network.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { plain } = require('./helpers/load');
+const { query } = require('./helpers/omdb-replay');
+const { settle, until } = require('./helpers/timing');
+const { setupWorker } = require('./helpers/worker');
+
+const ROUTES = {
+  [query({ t: 'Inception', y: 2010, type: 'movie' })]: 'inception.json',
+  [query({ t: 'Arcane', y: 2021, type: 'series' })]:   'arcane.json',
+  [query({ s: 'Stranger Things' })]:                   'search-stranger-things.json',
+  [query({ i: 'tt4574334' })]:                         'stranger-things.json',
+};
+
+function setup({ routes = ROUTES, local = { apiKey: 'testkey' }, ...options } = {}) {
+  return setupWorker({ routes, local, ...options });
+}
+
+describe('OMDb lookups (replayed)', () => {
+  let env;
+  beforeEach(() => { env = setup(); });
+
+  it('resolves an exact title + year + type match and extracts every rating', async () => {
+    const rating = plain(await env.sw.handleFetchRating({ title: 'Inception', year: '2010', mediaType: 'movie' }));
+
+    assert.deepEqual(env.replay.requests, [query({ t: 'Inception', y: 2010, type: 'movie' })]);
+    assert.equal(rating.imdbID, 'tt1375666');
+    assert.equal(rating.imdbRating, '8.8');
+    assert.equal(rating.imdbVotes, 2612482);
+    assert.equal(rating.rottenTomatoes, '87%');
+    assert.equal(rating.metascore, '74');
+    assert.deepEqual(rating.sources, {
+      'Internet Movie Database': '8.8/10',
+      'Rotten Tomatoes':         '87%',
+      'Metacritic':              '74/100',
+    });
+  });
+
+  it('keeps the detail-panel fields from the OMDb record', async () => {
+    const rating = plain(await env.sw.handleFetchRating({ title: 'Inception', year: '2010', mediaType: 'movie' }));
+
+    assert.equal(rating.runtime, 148);
+    assert.equal(rating.rated, 'PG-13');
+    assert.equal(rating.director, 'Christopher Nolan');
+    assert.deepEqual(rating.cast, ['Leonardo DiCaprio', 'Joseph Gordon-Levitt', 'Elliot Page']);
+    assert.equal(rating.awards, 'Won 4 Oscars. 159 wins & 220 nominations total');
+    assert.equal(rating.boxOffice, '$292,587,330');
+    assert.match(rating.plot, /^A thief who steals corporate secrets/);
+  });
+
+  it('leaves N/A detail fields empty', async () => {
+    const rating = await env.sw.handleFetchRating({ title: 'Stranger Things' });
+
+    assert.equal(rating.boxOffice, null);
+    assert.equal(rating.director, null);
+  });
+
+  it('caches the result and answers the repeat lookup without a request', async () => {
+    const request = { title: 'Inception', year: '2010', mediaType: 'movie' };
+    await env.sw.handleFetchRating(request);
+    const again = await env.sw.handleFetchRating(request);
+
+    assert.equal(env.replay.requests.length, 1);
+    assert.equal(again.imdbRating, '8.8');
+
+    const stored = await env.run(`NRO_CACHE.get('inception_2010_movie', Infinity)`);
+    assert.equal(stored.imdbID, 'tt1375666');
+  });
+
+  it('counts every OMDb request against today\'s quota', async () => {
+    await env.sw.handleFetchRating({ title: 'Arcane', year: '2021' });
+    const { apiCallsToday, apiCallsDate } = await env.chrome.storage.local.get(['apiCallsToday', 'apiCallsDate']);
+
+    assert.equal(apiCallsToday, 2);
+    assert.equal(apiCallsDate, new Date().toISOString().slice(0, 10)); // quota day, UTC by default
+  });
+
+  it('with a year but no type, tries movie first and then series', async () => {
+    const rating = await env.sw.handleFetchRating({ title: 'Arcane', year: '2021' });
+
+    assert.deepEqual(env.replay.requests, [
+      query({ t: 'Arcane', y: 2021, type: 'movie' }),
+      query({ t: 'Arcane', y: 2021, type: 'series' }),
+    ]);
+    assert.equal(rating.imdbID, 'tt11126994');
+    assert.equal(rating.type, 'series');
+  });
+
+  it('falls back to the search API and picks the best candidate', async () => {
+    const rating = await env.sw.handleFetchRating({ title: 'Stranger Things' });
+
+    assert.deepEqual(env.replay.requests, [
+      query({ t: 'Stranger Things', type: 'movie' }),
+      query({ t: 'Stranger Things', type: 'series' }),
+      query({ s: 'Stranger Things' }),
+      query({ i: 'tt4574334' }),
+    ]);
+    assert.equal(rating.imdbID, 'tt4574334');
+    assert.equal(rating.imdbRating, '8.7');
+    assert.equal(rating.rottenTomatoes, null);
+  });
+
+  it('caches a miss so the title is not searched again', async () => {
+    const miss = await env.sw.handleFetchRating({ title: 'Not On OMDb', year: '2024', mediaType: 'movie' });
+    await env.sw.handleFetchRating({ title: 'Not On OMDb', year: '2024', mediaType: 'movie' });
+
+    assert.equal(miss.notFound, true);
+    assert.equal(env.replay.requests.length, 1);
+  });
+});
+
+describe('OMDb errors (replayed)', () => {
+  it('surfaces an invalid key as an error instead of a miss', async () => {
+    const env = setup({ routes: { [query({ t: 'Inception', y: 2010, type: 'movie' })]: 'invalid-key.json' } });
+    const result = await env.sw.handleFetchRating({ title: 'Inception', year: '2010', mediaType: 'movie' });
+
+    assert.match(result.error, /Invalid API key/);
+    assert.equal(result.code, 'invalid_key');
+    assert.equal(env.replay.requests.length, 1); // not worth a retry
+    assert.equal(await env.run(`NRO_CACHE.get('inception_2010_movie', Infinity)`), null);
+  });
+
+  it('omdbFetch sends the configured key and rejects on an invalid-key reply', async () => {
+    const urls = [];
+    const { run } = setup({
+      local: {},
+      intercept: url => {
+        urls.push(url);
+        return { json: async () => ({ Response: 'False', Error: 'Invalid API key!' }) };
+      },
+    });
+
+    await assert.rejects(
+      run(`omdbFetch({ provider: PROVIDERS.omdb, apiKey: 'abc123', calls: 0 }, new URLSearchParams({ t: 'Inception' }))`),
+      /Invalid API key/,
+    );
+    assert.equal(new URL(urls[0]).searchParams.get('apikey'), 'abc123');
+  });
+
+  it('reports a missing key without touching the network', async () => {
+    const env = setup({ local: {} });
+    const result = await env.sw.handleFetchRating({ title: 'Inception' });
+
+    assert.match(result.error, /API key not configured/);
+    assert.equal(result.code, 'no_key');
+    assert.equal(env.replay.requests.length, 0);
+  });
+});
+
+describe('transient failures and retry', () => {
+  const INCEPTION = { title: 'Inception', year: '2010', mediaType: 'movie' };
+
+  /**
+   * A worker whose fetch plays `script` in order — an HTTP status, 'offline'
+   * for a rejected fetch, or a fixture name — then falls back to the replay.
+   * Backoff sleeps are recorded instead of waited out.
+   */
+  function scripted(script) {
+    const steps  = [...script];
+    const sleeps = [];
+    const env    = setup({
+      intercept: () => {
+        const step = steps.shift();
+        if (step === undefined) return undefined;
+        env.replay.requests.push('scripted');
+        if (step === 'offline') throw new TypeError('Failed to fetch');
+        return { ok: false, status: step, json: async () => ({}) };
+      },
+    });
+    env.sw.sleep = async ms => { sleeps.push(ms); };
+    return { ...env, sleeps };
+  }
+
+  it('retries a 5xx with exponential backoff and then succeeds', async () => {
+    const env = scripted([503, 502]);
+    const rating = await env.sw.handleFetchRating(INCEPTION);
+
+    assert.equal(rating.imdbID, 'tt1375666');
+    assert.equal(env.replay.requests.length, 3);
+    assert.equal(env.sleeps.length, 2);
+    assert.ok(env.sleeps[0] >= 500 && env.sleeps[0] < 650, `first backoff ${env.sleeps[0]}`);
+    assert.ok(env.sleeps[1] >= 1000 && env.sleeps[1] < 1300, `second backoff ${env.sleeps[1]}`);
+  });
+
+  it('gives up after three attempts with a network code and caches nothing', async () => {
+    const env = scripted(['offline', 'offline', 'offline']);
+    const result = await env.sw.handleFetchRating(INCEPTION);
+
+    assert.equal(result.code, 'network');
+    assert.equal(env.replay.requests.length, 3);
+    assert.equal(await env.run(`NRO_CACHE.get('inception_2010_movie', Infinity)`), null);
+  });
+
+  it('reports upstream errors by code once retries run out', async () => {
+    const env = scripted([500, 500, 500]);
+    const result = await env.sw.handleFetchRating(INCEPTION);
+
+    assert.equal(result.code, 'upstream_error');
+    assert.match(result.error, /HTTP 500/);
+  });
+
+  it('believes OMDb when it says the daily limit is used up', async () => {
+    const { chrome, replay, sw } = setup({
+      intercept: url => {
+        replay.requests.push(url);
+        return { ok: false, status: 401, json: async () => ({ Response: 'False', Error: 'Request limit reached!' }) };
+      },
+    });
+
+    const result = await sw.handleFetchRating(INCEPTION);
+    assert.equal(result.code, 'quota_exhausted');
+    assert.equal(new Date(result.resetsAt).getHours(), 0);
+    assert.ok(result.resetsAt > Date.now() && result.resetsAt - Date.now() <= 24 * 60 * 60 * 1000);
+    assert.equal((await chrome.storage.local.get('omdbKeyUsage')).omdbKeyUsage.spent.testkey, 'quota');
+
+    const next = await sw.handleFetchRating({ title: 'Arcane', year: '2021' });
+    assert.equal(next.code, 'quota_exhausted');
+    assert.equal(replay.requests.length, 1);
+  });
+});
+
+describe('negative cache', () => {
+  const HOUR = 60 * 60 * 1000;
+  const MISS = { title: 'Not On OMDb', year: '2024', mediaType: 'movie' };
+
+  const withClock = local => setup({ local, now: Date.now() });
+
+  it('tags misses with not_found and forgets them after notFoundTtlHours', async () => {
+    const env = withClock({ apiKey: 'testkey', notFoundTtlHours: 6 });
+
+    const miss = await env.sw.handleFetchRating(MISS);
+    assert.equal(miss.code, 'not_found');
+
+    env.clock.now += 5 * HOUR;
+    await env.sw.handleFetchRating(MISS);
+    assert.equal(env.replay.requests.length, 1);
+
+    env.clock.now += 2 * HOUR;
+    await env.sw.handleFetchRating(MISS);
+    assert.equal(env.replay.requests.length, 2);
+  });
+
+  it('keeps real ratings for the full cache lifetime', async () => {
+    const env = withClock({ apiKey: 'testkey', notFoundTtlHours: 1 });
+    await env.sw.handleFetchRating({ title: 'Inception', year: '2010', mediaType: 'movie' });
+
+    env.clock.now += 3 * 24 * HOUR;
+    await env.sw.handleFetchRating({ title: 'Inception', year: '2010', mediaType: 'movie' });
+    assert.equal(env.replay.requests.length, 1);
+  });
+});
+
+describe('concurrent lookups (replayed)', () => {
+  const INCEPTION = { title: 'Inception', year: '2010', mediaType: 'movie' };
+
+  it('shares one provider chain between simultaneous requests for a title', async () => {
+    const env = setup();
+    const results = await Promise.all([1, 2, 3].map(() => env.sw.handleFetchRating({ ...INCEPTION })));
+
+    assert.equal(env.replay.requests.length, 1);
+    assert.ok(results.every(r => r.imdbID === 'tt1375666'));
+    assert.equal(env.run('inFlight.size'), 0);
+  });
+
+  it('still coalesces while the first lookup waits on the quota counter lock', async () => {
+    const env = setup();
+    env.run('_counterLock = new Promise(r => { globalThis.releaseCounter = r; })');
+
+    const first = env.sw.handleFetchRating({ ...INCEPTION });
+    await until(() => env.replay.requests.length);
+    await settle();
+    assert.equal(env.replay.requests.length, 1); // fetched, now parked on the lock
+
+    const second = env.sw.handleFetchRating({ ...INCEPTION });
+    env.run('_counterLock = null; releaseCounter()');
+
+    assert.equal((await second).imdbID, 'tt1375666');
+    assert.equal((await first).imdbID, 'tt1375666');
+    assert.equal(env.replay.requests.length, 1);
+  });
+
+  it('shares the provider query between video IDs already mapped to one imdbID', async () => {
+    // Give the network real latency so the second lookup gets there first
+    const { replay, sw, run } = setup({
+      routes:    { [query({ i: 'tt1375666' })]: 'inception.json' },
+      intercept: () => settle(),
+    });
+    await run(`NRO_CACHE.setSiteId('netflix:70131314', 'tt1375666')`);
+    await run(`NRO_CACHE.setSiteId('netflix:81000001', 'tt1375666')`);
+
+    const [card, billboard] = await Promise.all([
+      sw.handleFetchRating({ ...INCEPTION, siteId: 'netflix:70131314' }),
+      sw.handleFetchRating({ ...INCEPTION, siteId: 'netflix:81000001' }),
+    ]);
+
+    assert.deepEqual(replay.requests, [query({ i: 'tt1375666' })]);
+    assert.equal(card.imdbRating, billboard.imdbRating);
+    assert.equal((await run(`NRO_CACHE.get('netflix:81000001', Infinity)`)).imdbID, 'tt1375666');
+  });
+
+  it('a hover that joins a budget-deferred prefetch runs its own lookup', async () => {
+    const env = setup({ local: { apiKey: 'testkey', prefetchShare: 0 } });
+
+    const [prefetched, hovered] = await Promise.all([
+      env.sw.handleFetchRating({ ...INCEPTION }, { background: true, calls: 0 }),
+      env.sw.handleFetchRating({ ...INCEPTION }),
+    ]);
+
+    assert.equal(prefetched.deferred, true);
+    assert.equal(hovered.imdbID, 'tt1375666');
+    assert.equal(env.replay.requests.length, 1);
+  });
+});
+
+describe('TMDb ahead of OMDb', () => {
+  const INCEPTION = { title: 'Inception', year: '2010', mediaType: 'movie' };
+  const json = body => ({ ok: true, status: 200, json: async () => body });
+
+  /** TMDb answers every search with `hit` and `details` for its record. */
+  function withTmdb(hit, details) {
+    return setup({
+      routes:    { ...ROUTES, [query({ i: 'tt1375666' })]: 'inception.json' },
+      local:     { apiKey: 'testkey', tmdbApiKey: 'tmdbkey' },
+      intercept: url => {
+        if (!url.startsWith('https://api.themoviedb.org/')) return undefined;
+        const { pathname } = new URL(url);
+        if (pathname.startsWith('/3/search/')) return json({ results: [hit] });
+        return json(pathname === `/3/movie/${hit.id}` ? details : {});
+      },
+    });
+  }
+
+  it('hands a sure TMDb match on to OMDb as one imdbID request', async () => {
+    const hit = { id: 27205, title: 'Inception', release_date: '2010-07-15', vote_average: 8.4, vote_count: 37000 };
+    const env = withTmdb(hit, { ...hit, imdb_id: 'tt1375666' });
+
+    const rating = await env.sw.handleFetchRating({ ...INCEPTION });
+    assert.deepEqual(env.replay.requests, [query({ i: 'tt1375666' })]);
+    assert.equal(rating.imdbRating, '8.8');
+    assert.equal(rating.tmdbRating, '8.4');
+  });
+
+  it('lets OMDb match on its own after an unsure TMDb match', async () => {
+    const hit = { id: 64956, title: 'Inception: The Cobol Job', release_date: '2010-12-07', vote_average: 7.1, vote_count: 300 };
+    const env = withTmdb(hit, { ...hit, imdb_id: 'tt5295894' });
+
+    const rating = await env.sw.handleFetchRating({ ...INCEPTION });
+    assert.deepEqual(env.replay.requests, [query({ t: 'Inception', y: 2010, type: 'movie' })]);
+    assert.equal(rating.imdbID, 'tt1375666');
+    assert.equal(rating.title, 'Inception');
+    assert.equal(rating.tmdbRating, undefined, 'the short film’s TMDb score is not kept');
+  });
+});
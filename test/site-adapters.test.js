@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * The shared content core driven by each non-Netflix site adapter, against
+ * saved markup from that site. Netflix itself is covered by
+ * content-extraction.test.js.
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContent, plain } = require('./helpers/load');
+
+function open(fixture, url) {
+  const page = loadContent(fixture, { url });
+  page.card = id => page.document.querySelector(`[data-testid="${id}"]`);
+  return page;
+}
+
+describe('Prime Video', () => {
+  const page = open('prime-video/browse-row.html', 'https://www.primevideo.com/storefront');
+  after(() => page.close());
+
+  it('reads the title and kind from the card attributes', () => {
+    assert.deepEqual(plain(page.content.extractTitle(page.card('card-the-boys'))),
+      { title: 'The Boys', year: null, mediaType: 'series', siteId: 'prime:0KRGHGZCHKS920ZQGY5LBRF7MA', strategy: 'site' });
+  });
+
+  it('takes the ASIN from /gp/video/detail links', () => {
+    const info = page.content.extractTitle(page.card('card-saltburn'));
+    assert.equal(info.mediaType, 'movie');
+    assert.equal(info.siteId, 'prime:B0CLRMVK6P');
+  });
+
+  it('attaches to cards, not to the account menu', () => {
+    assert.equal(page.document.querySelectorAll('[data-nro-attached]').length, 2);
+  });
+});
+
+describe('Disney+', () => {
+  const page = open('disney-plus/browse-row.html', 'https://www.disneyplus.com/home');
+  after(() => page.close());
+
+  it('reads the title from the poster alt and the kind from the link', () => {
+    const tiles = page.document.querySelectorAll('[data-testid="set-item"]');
+    assert.deepEqual(plain(page.content.extractTitle(tiles[0])),
+      { title: 'Coco', year: null, mediaType: 'movie', siteId: 'disney:db9orsI5O4gC', strategy: 'img-alt' });
+    assert.equal(page.content.extractTitle(tiles[1]).mediaType, 'series');
+  });
+});
+
+describe('Max', () => {
+  const page = open('max/browse-row.html', 'https://play.max.com/');
+  after(() => page.close());
+
+  it('parses the tile aria-label and tells movies from shows by link', () => {
+    assert.deepEqual(plain(page.content.extractTitle(page.card('dune-part-two_tile'))),
+      { title: 'Dune: Part Two', year: '2024', mediaType: 'movie', siteId: 'max:c7f7cb76-fa31-4cc8-a8ee-7f2b7b6e0f63', strategy: 'aria-label' });
+    assert.equal(page.content.extractTitle(page.card('the-last-of-us_tile')).mediaType, 'series');
+  });
+});
+
+describe('Hulu', () => {
+  const page = loadContent('hulu/details.html', { url: 'https://www.hulu.com/series/the-bear-05ff8f2f-6a2c-4a8a-a4e1-4e3f7e0a8f8f' });
+  after(() => page.close());
+
+  it('reads the details masthead title, year and seasons', () => {
+    const masthead = page.document.querySelector('[data-automationid="details-masthead"]');
+    assert.deepEqual(plain(page.content.extractTitle(masthead)),
+      { title: 'The Bear', year: '2022', mediaType: 'series', siteId: 'hulu:05ff8f2f-6a2c-4a8a-a4e1-4e3f7e0a8f8f', strategy: 'selector' });
+  });
+});
+
+describe('unsupported pages', () => {
+  it('leave the content script idle', async () => {
+    const page = loadContent('max/browse-row.html', { url: 'https://play.example.com/' });
+    assert.equal(page.content, undefined);
+    assert.equal(page.document.querySelectorAll('[data-nro-attached]').length, 0);
+    await page.close();
+  });
+});